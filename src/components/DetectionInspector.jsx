@@ -0,0 +1,177 @@
+import { useState, useMemo, useCallback } from 'react'
+import { GESTURE_TYPES } from '../lib/gestureSegmenter'
+import { REVIEW_THRESHOLD } from '../lib/tapConfidence'
+import { serializeTrackCSV, serializeTrackJSON } from '../lib/tapData'
+
+// Stationary zones are tracked on a 50 px grid, drawn as circles that size
+const ZONE_RADIUS = 25
+
+/**
+ * Detection inspector - tracked trajectory over time and on screen, rejected candidates,
+ * stationary zones, and the queue of low-confidence taps to accept or reject
+ */
+function DetectionInspector({ detectionDebug, tapEvents, duration, currentTime, onSeek, onSelectTap, onDeleteTap, onTapEventsChange, videoName }) {
+  const [isOpen, setIsOpen] = useState(true)
+  const { track, stationaryZones, width, height } = detectionDebug
+
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60)
+    const secs = Math.floor(seconds % 60)
+    const ms = Math.floor((seconds % 1) * 10)
+    return `${mins}:${secs.toString().padStart(2, '0')}.${ms}`
+  }
+
+  // Time plot coordinates: 1000 wide, x and y normalized to 0-100
+  const tx = useCallback((time) => (duration > 0 ? (time / duration) * 1000 : 0), [duration])
+
+  // Trajectory split where the dot was lost, plus rejected candidates, as path data for both plots.
+  // Candidates are one path per plot (a round dot per move), deduplicated on a grid finer than a dot,
+  // since there are up to 8 per frame and the panel re-renders on every playback tick
+  const { segments, rejectedTimePath, rejectedScreenPath, trackedShare } = useMemo(() => {
+    const segments = []
+    let current = null
+    let tracked = 0
+    for (const f of track) {
+      if (f.x === null) {
+        current = null
+        continue
+      }
+      tracked++
+      if (!current) {
+        current = []
+        segments.push(current)
+      }
+      current.push(f)
+    }
+    const timeDots = new Set()
+    const screenDots = new Set()
+    const cell = width / 300
+    for (const f of track) {
+      for (const c of f.rejected || []) {
+        timeDots.add(`M${Math.round(tx(f.time))},${Math.round(100 - (c.x / width) * 100)}h0.01`)
+        screenDots.add(`M${Math.round(c.x / cell) * cell},${Math.round(c.y / cell) * cell}h0.01`)
+      }
+    }
+    const plotPath = (frames, key, size) => frames.map((f, i) => `${i === 0 ? 'M' : 'L'}${tx(f.time).toFixed(1)},${(100 - (f[key] / size) * 100).toFixed(1)}`).join(' ')
+    return {
+      segments: segments.map(frames => ({
+        xPath: plotPath(frames, 'x', width),
+        yPath: plotPath(frames, 'y', height),
+        points: frames.map(f => `${f.x},${f.y}`).join(' '),
+      })),
+      rejectedTimePath: [...timeDots].join(''),
+      rejectedScreenPath: [...screenDots].join(''),
+      trackedShare: track.length > 0 ? tracked / track.length : 0,
+    }
+  }, [track, width, height, tx])
+
+  const reviewQueue = tapEvents
+    .map((tap, index) => ({ tap, index }))
+    .filter(({ tap }) => tap.needsReview)
+
+  const handleAccept = useCallback((index) => {
+    onTapEventsChange(tapEvents.map((tap, i) => (i === index ? { ...tap, needsReview: false } : tap)))
+  }, [tapEvents, onTapEventsChange])
+
+  const handleDownload = useCallback((format) => {
+    const text = format === 'csv' ? serializeTrackCSV(track) : serializeTrackJSON(track, stationaryZones, tapEvents)
+    const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${(videoName || 'video').replace(/\.\w+$/, '')}.track.${format}`
+    a.click()
+    URL.revokeObjectURL(url)
+  }, [track, stationaryZones, tapEvents, videoName])
+
+  const handlePlotClick = useCallback((e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    onSeek(Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration)))
+  }, [duration, onSeek])
+
+  const isTap = (event) => event.type === 'tap' || event.type === 'longpress'
+
+  return (
+    <div className="glass-panel p-4">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <button onClick={() => setIsOpen(!isOpen)} className="text-white font-semibold text-sm">{isOpen ? '▾' : '▸'} Detection Inspector</button>
+          <span className="text-mavs-silver text-xs">{track.length} frames • tracked {Math.round(trackedShare * 100)}% • {stationaryZones.length} stationary zone{stationaryZones.length !== 1 ? 's' : ''}</span>
+          {reviewQueue.length > 0 && <span className="text-amber-400 text-xs">{reviewQueue.length} to review</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={() => handleDownload('csv')} className="px-2 h-6 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white text-xs">Track CSV</button>
+          <button onClick={() => handleDownload('json')} className="px-2 h-6 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white text-xs">Track JSON</button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="flex flex-col lg:flex-row gap-3">
+          <div className="flex-1 min-w-0">
+            {/* Position over time */}
+            <svg viewBox="0 0 1000 100" preserveAspectRatio="none" className="w-full h-32 bg-mavs-navy/60 rounded-lg cursor-pointer" onClick={handlePlotClick}>
+              <path d={rejectedTimePath} stroke="#94a3b8" strokeOpacity="0.35" strokeWidth="3" strokeLinecap="round" vectorEffect="non-scaling-stroke" />
+              {segments.map((segment, i) => (
+                <g key={i}>
+                  <path d={segment.xPath} fill="none" stroke="#3b82f6" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                  <path d={segment.yPath} fill="none" stroke="#14b8a6" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                </g>
+              ))}
+              {tapEvents.map((event, i) => (
+                <line key={i} x1={tx(event.time)} x2={tx(event.time)} y1="0" y2="100" stroke={!isTap(event) ? GESTURE_TYPES[event.type]?.color || '#94a3b8' : event.needsReview ? '#f59e0b' : '#22c55e'} strokeOpacity="0.7" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+              ))}
+              <line x1={tx(currentTime)} x2={tx(currentTime)} y1="0" y2="100" stroke="#fff" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+            </svg>
+            <div className="flex gap-3 mt-1 text-xs text-mavs-silver/60">
+              <span><span className="text-blue-500">━</span> x</span>
+              <span><span className="text-teal-500">━</span> y</span>
+              <span><span className="text-slate-400">•</span> rejected candidates (x)</span>
+              <span><span className="text-green-500">│</span> tap</span>
+              <span><span className="text-amber-500">│</span> below {Math.round(REVIEW_THRESHOLD * 100)}%</span>
+            </div>
+          </div>
+
+          {/* Positions on screen */}
+          <svg viewBox={`0 0 ${width} ${height}`} className="h-44 bg-mavs-navy/60 rounded-lg shrink-0 self-center lg:self-start" style={{ aspectRatio: `${width} / ${height}` }}>
+            {stationaryZones.map((z, i) => (
+              <circle key={i} cx={z.x} cy={z.y} r={ZONE_RADIUS} fill="#ef4444" fillOpacity="0.2" stroke="#ef4444" strokeWidth={width / 200}>
+                <title>Stationary {formatTime(z.from)}-{formatTime(z.to)}, {z.frames} frames</title>
+              </circle>
+            ))}
+            <path d={rejectedScreenPath} stroke="#94a3b8" strokeOpacity="0.3" strokeWidth={width / 75} strokeLinecap="round" />
+            {segments.map((segment, i) => (
+              <polyline key={i} points={segment.points} fill="none" stroke="#3b82f6" strokeWidth={width / 250} strokeOpacity="0.8" />
+            ))}
+            {tapEvents.filter(isTap).map((tap, i) => (
+              <circle key={i} cx={tap.x} cy={tap.y} r={width / 60} fill={tap.needsReview ? '#f59e0b' : '#22c55e'} fillOpacity="0.8" />
+            ))}
+          </svg>
+
+          {/* Review queue */}
+          <div className="lg:w-64 shrink-0">
+            <p className="text-mavs-silver text-xs mb-1">Review queue</p>
+            {reviewQueue.length === 0 ? (
+              <p className="text-mavs-silver/50 text-xs">No taps below {Math.round(REVIEW_THRESHOLD * 100)}% confidence</p>
+            ) : (
+              <div className="space-y-1 max-h-40 overflow-y-auto pr-1">
+                {reviewQueue.map(({ tap, index }) => (
+                  <div key={index} className="flex items-center gap-1 bg-mavs-navy/40 rounded px-2 py-1 text-xs">
+                    <button onClick={() => onSelectTap(index)} className="flex-1 text-left text-white hover:text-mavs-blue truncate">
+                      {formatTime(tap.time)} • {GESTURE_TYPES[tap.type]?.name || tap.type}
+                    </button>
+                    <span className="text-amber-400 w-8 text-right">{Math.round((tap.confidence || 0) * 100)}%</span>
+                    <button onClick={() => handleAccept(index)} className="px-1.5 rounded bg-green-700/50 text-green-300 hover:bg-green-700/80" title="Keep this tap">✓</button>
+                    <button onClick={() => onDeleteTap(index)} className="px-1.5 rounded bg-red-700/50 text-red-300 hover:bg-red-700/80" title="Delete this tap">✕</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DetectionInspector
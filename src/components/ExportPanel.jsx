@@ -1,29 +1,191 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef, useEffect } from 'react'
 import { renderVideoWithMetadata, getExportExtension } from '../lib/videoRenderer'
+import { OUTPUT_ASPECTS } from '../lib/frameRenderer'
+import { downloadBlob } from '../lib/marketingRenderer'
+import { exportAspectBatch } from '../lib/export/batchExporter'
+import {
+  EXPORT_RESOLUTIONS,
+  EXPORT_FRAME_RATES,
+  EXPORT_QUALITIES,
+  EXPORT_CODECS,
+  EXPORT_FORMATS,
+  ANIMATED_FRAME_RATES,
+  ANIMATED_MAX_WIDTHS,
+  ANIMATED_COLOR_COUNTS,
+  DITHER_MODES,
+  LOOP_OPTIONS,
+  TARGET_SIZES,
+  APP_PREVIEW_DEVICES,
+  STILL_FORMATS,
+  CONTACT_SHEET_COLUMNS,
+  APP_PREVIEW_MIN_DURATION,
+  APP_PREVIEW_MAX_DURATION,
+  resolveExportSettings,
+  isAnimatedFormat,
+  resolveFrameRate,
+  getExportBitrate,
+  getSupportedCodecs,
+  getExportFileType,
+} from '../lib/export/exportSettings'
+import { isWebpEncodingSupported } from '../lib/export/animatedEncoders'
+import { getAppPreviewDuration } from '../lib/export/appPreview'
+import {
+  exportStill,
+  exportTapStills,
+  exportContactSheet,
+  exportFrameSequence,
+  formatTimestamp,
+} from '../lib/export/stillExporter'
+import {
+  isStreamingExportSupported,
+  openExportOutput,
+  downloadExportOutput,
+  discardExportOutput,
+} from '../lib/export/fileOutput'
+
+const IDLE_PROGRESS = { phase: 'idle', percent: 0, message: '' }
+
+const PHASE_LABELS = {
+  init: 'Preparing',
+  audio: 'Audio',
+  palette: 'Palette',
+  rendering: 'Rendering',
+  encoding: 'Encoding',
+  finalizing: 'Finalizing',
+  validating: 'Validating',
+  done: 'Done',
+}
+
+/**
+ * Format seconds remaining as m:ss
+ */
+function formatEta(seconds) {
+  if (seconds == null || !isFinite(seconds)) return null
+  const total = Math.max(0, Math.round(seconds))
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`
+}
+
+/**
+ * Format bits per second as Mbps
+ */
+function formatBitrate(bitrate) {
+  return `${(bitrate / 1_000_000).toFixed(1)} Mbps`
+}
+
+/**
+ * Format bytes as MB
+ */
+function formatSize(bytes) {
+  return `${(bytes / 1_000_000).toFixed(bytes < 10_000_000 ? 1 : 0)} MB`
+}
+
+// Small option button shared by the settings rows
+function optionClass(active) {
+  return `px-1 py-1 rounded text-xs transition-all disabled:opacity-40 disabled:cursor-not-allowed ${active ? 'bg-mavs-blue text-white' : 'bg-mavs-navy/50 text-mavs-silver'}`
+}
 
 /**
  * Export panel - exports video exactly as shown in preview
  */
-function ExportPanel({ videoFile, previewSettings }) {
+function ExportPanel({ videoFile, previewSettings, duration = 0, currentTime = 0, onExportSettingsChange }) {
   const [isExporting, setIsExporting] = useState(false)
-  const [exportProgress, setExportProgress] = useState(0)
+  const [exportProgress, setExportProgress] = useState(IDLE_PROGRESS)
+  const [appPreviewReport, setAppPreviewReport] = useState(null)
+  const [supportedCodecs, setSupportedCodecs] = useState(null)
+  const [webpSupported] = useState(isWebpEncodingSupported)
+  const [streamingSupported] = useState(isStreamingExportSupported)
+  const abortControllerRef = useRef(null)
+
+  const exportSettings = resolveExportSettings(previewSettings?.exportSettings)
+  const resolution = EXPORT_RESOLUTIONS[exportSettings.resolution] || EXPORT_RESOLUTIONS['1080p']
+  // Portrait box at the chosen resolution (the actual size depends on the aspect ratio)
+  const nominalFps = resolveFrameRate(exportSettings.frameRate)
+  const nominalBitrate = getExportBitrate(exportSettings, resolution.short, resolution.long, nominalFps)
+
+  const animated = exportSettings.animated
+  const stills = exportSettings.stills
+  const isAnimated = isAnimatedFormat(exportSettings.format)
+  const isAppPreview = exportSettings.format === 'appPreview'
+  const appPreviewDuration = getAppPreviewDuration(duration)
+
+  const updateExportSettings = useCallback((changes) => {
+    onExportSettingsChange?.((prev) => ({ ...prev, ...changes }))
+  }, [onExportSettingsChange])
+
+  const updateAnimatedSettings = useCallback((changes) => {
+    onExportSettingsChange?.((prev) => ({ ...prev, animated: { ...prev.animated, ...changes } }))
+  }, [onExportSettingsChange])
+
+  const updateStillSettings = useCallback((changes) => {
+    onExportSettingsChange?.((prev) => ({ ...prev, stills: { ...prev.stills, ...changes } }))
+  }, [onExportSettingsChange])
+
+  // Probe which codecs the encoder supports at the chosen resolution
+  useEffect(() => {
+    let cancelled = false
+    getSupportedCodecs(resolution.short, resolution.long, nominalFps, nominalBitrate).then((supported) => {
+      if (!cancelled) setSupportedCodecs(supported)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [resolution.short, resolution.long, nominalFps, nominalBitrate])
+
+  // Cancel a running export when the panel unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  const handleCancel = useCallback(() => {
+    abortControllerRef.current?.abort()
+  }, [])
 
   const handleExport = useCallback(async () => {
     if (!videoFile || !previewSettings) return
 
+    const fileType = getExportFileType(previewSettings.exportSettings)
+    const fileName = `video-${previewSettings.outputAspect.replace(':', 'x')}-${Date.now()}.${fileType.extension}`
+
+    // Pick the output file first, the save picker needs the click's user activation
+    let output = null
+    if (streamingSupported && exportSettings.streamToDisk) {
+      try {
+        output = await openExportOutput(fileName, fileType)
+      } catch (error) {
+        console.error('[ExportPanel] Could not open output file:', error)
+        alert(`Could not open output file: ${error.message}`)
+        return
+      }
+      if (!output) return // Picker cancelled
+    }
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
     setIsExporting(true)
-    setExportProgress(0)
+    setExportProgress(IDLE_PROGRESS)
+    setAppPreviewReport(null)
 
     try {
-      console.log('[ExportPanel] Starting export...')
+      console.log('[ExportPanel] Starting export...', output ? `streaming to ${output.kind}` : 'in memory')
       const result = await renderVideoWithMetadata(
         videoFile,
         previewSettings,
-        (progress) => setExportProgress(progress)
+        (progress) => setExportProgress(progress),
+        { signal: controller.signal, output }
       )
 
       console.log('[ExportPanel] Export result:', result)
 
+      if (result?.streamed) {
+        console.log('[ExportPanel] Streamed', result.bytesWritten, 'bytes to', output.kind)
+        if (result.overTarget) {
+          alert(`Could not reach the ${formatSize(animated.targetSize)} target. Smallest result is ${formatSize(result.bytesWritten)}.`)
+        }
+        // Save picker files are already where the user wants them
+        if (output.kind === 'opfs') {
+          await downloadExportOutput(output)
+        }
+        return
+      }
+
       // Validate result
       if (!result || !result.data) {
         throw new Error('Export returned empty result')
@@ -39,25 +201,143 @@ function ExportPanel({ videoFile, previewSettings }) {
         throw new Error('Exported video has 0 bytes')
       }
 
+      if (result.overTarget) {
+        alert(`Could not reach the ${formatSize(animated.targetSize)} target. Smallest result is ${formatSize(data.length)}.`)
+      }
+
+      if (result.validation) {
+        setAppPreviewReport(result.validation)
+        const failed = result.validation.checks.filter(c => !c.passed)
+        if (failed.length > 0 && !confirm(`This app preview does not meet the App Store requirements:\n\n${failed.map(c => `• ${c.label}: ${c.detail}`).join('\n')}\n\nDownload anyway?`)) {
+          return
+        }
+      }
+
       const blob = new Blob([data], { type: mimeType })
       console.log('[ExportPanel] Blob size:', blob.size, 'bytes')
 
       const url = URL.createObjectURL(blob)
       const a = document.createElement('a')
       a.href = url
-      a.download = `video-${previewSettings.outputAspect.replace(':', 'x')}-${Date.now()}.${extension}`
+      a.download = fileName.replace(/\.\w+$/, `.${extension}`)
       a.click()
       URL.revokeObjectURL(url)
     } catch (error) {
-      console.error('[ExportPanel] Export failed:', error)
-      alert(`Export failed: ${error.message}`)
+      await discardExportOutput(output)
+      if (error.name === 'AbortError') {
+        console.log('[ExportPanel] Export cancelled')
+      } else {
+        console.error('[ExportPanel] Export failed:', error)
+        alert(`Export failed: ${error.message}`)
+      }
+    } finally {
+      abortControllerRef.current = null
+      setIsExporting(false)
+      setExportProgress(IDLE_PROGRESS)
+    }
+  }, [videoFile, previewSettings, streamingSupported, exportSettings.streamToDisk, animated.targetSize])
+
+  const handleBatchExport = useCallback(async () => {
+    if (!videoFile || !previewSettings) return
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    setIsExporting(true)
+    setExportProgress(IDLE_PROGRESS)
+
+    try {
+      console.log('[ExportPanel] Starting batch export...')
+      const zipBlob = await exportAspectBatch(
+        videoFile,
+        previewSettings,
+        (progress) => setExportProgress(progress),
+        { signal: controller.signal }
+      )
+      downloadBlob(zipBlob, `video-batch-${Date.now()}.zip`)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[ExportPanel] Batch export cancelled')
+      } else {
+        console.error('[ExportPanel] Batch export failed:', error)
+        alert(`Batch export failed: ${error.message}`)
+      }
     } finally {
+      abortControllerRef.current = null
       setIsExporting(false)
-      setExportProgress(0)
+      setExportProgress(IDLE_PROGRESS)
     }
   }, [videoFile, previewSettings])
 
+  // Poster frame at the playhead, a still per tap, the contact sheet or the PNG sequence
+  const handleStillExport = useCallback(async (kind) => {
+    if (!videoFile || !previewSettings) return
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    setIsExporting(true)
+    setExportProgress(IDLE_PROGRESS)
+
+    const onProgress = (progress) => setExportProgress(progress)
+    const options = { signal: controller.signal }
+    const stamp = Date.now()
+
+    try {
+      console.log('[ExportPanel] Starting still export:', kind)
+      if (kind === 'poster') {
+        const { blob, extension } = await exportStill(videoFile, previewSettings, currentTime, onProgress, options)
+        downloadBlob(blob, `poster-${currentTime.toFixed(2)}s-${stamp}.${extension}`)
+      } else if (kind === 'taps') {
+        downloadBlob(await exportTapStills(videoFile, previewSettings, onProgress, options), `tap-stills-${stamp}.zip`)
+      } else if (kind === 'sheet') {
+        const { blob, extension } = await exportContactSheet(videoFile, previewSettings, onProgress, options)
+        downloadBlob(blob, `contact-sheet-${stamp}.${extension}`)
+      } else if (kind === 'sequence') {
+        downloadBlob(await exportFrameSequence(videoFile, previewSettings, onProgress, options), `frames-${stamp}.zip`)
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[ExportPanel] Still export cancelled')
+      } else {
+        console.error('[ExportPanel] Still export failed:', error)
+        alert(`Still export failed: ${error.message}`)
+      }
+    } finally {
+      abortControllerRef.current = null
+      setIsExporting(false)
+      setExportProgress(IDLE_PROGRESS)
+    }
+  }, [videoFile, previewSettings, currentTime])
+
+  const toggleBatchAspect = useCallback((aspect) => {
+    onExportSettingsChange?.((prev) => {
+      const current = resolveExportSettings(prev).batchAspects
+      const batchAspects = current.includes(aspect)
+        ? current.filter(a => a !== aspect)
+        : Object.keys(OUTPUT_ASPECTS).filter(a => a === aspect || current.includes(a))
+      return { ...prev, batchAspects }
+    })
+  }, [onExportSettingsChange])
+
+  // Store the preview's current framing as this aspect's override
+  const saveAspectFraming = useCallback((aspect) => {
+    onExportSettingsChange?.((prev) => ({
+      ...prev,
+      aspectOverrides: {
+        ...prev.aspectOverrides,
+        [aspect]: { videoTransform: previewSettings.videoTransform, appliedCrop: previewSettings.appliedCrop },
+      },
+    }))
+  }, [onExportSettingsChange, previewSettings?.videoTransform, previewSettings?.appliedCrop])
+
+  const resetAspectFraming = useCallback((aspect) => {
+    onExportSettingsChange?.((prev) => {
+      const { [aspect]: removed, ...aspectOverrides } = prev.aspectOverrides || {}
+      return { ...prev, aspectOverrides }
+    })
+  }, [onExportSettingsChange])
+
   const canExport = videoFile && previewSettings && previewSettings.tapEvents?.length > 0
+  const eta = formatEta(exportProgress.eta)
 
   return (
     <div className="glass-panel p-6">
@@ -87,6 +367,206 @@ function ExportPanel({ videoFile, previewSettings }) {
           </div>
         </div>
 
+        {/* Export Settings */}
+        <div className="glass-panel-light p-4 rounded-xl space-y-3">
+          <p className="text-white font-semibold text-sm">Export Settings</p>
+
+          {/* Format */}
+          <div>
+            <p className="text-mavs-silver text-xs mb-1">Format</p>
+            <div className="grid grid-cols-5 gap-1">
+              {Object.entries(EXPORT_FORMATS).map(([key, format]) => {
+                const unsupported = key === 'webp' && !webpSupported
+                const title = unsupported ? 'This browser cannot encode WebP'
+                  : key === 'video' ? 'MP4 or WebM, depending on the codec'
+                    : key === 'appPreview' ? `App Store app preview (H.264, ${APP_PREVIEW_MIN_DURATION}-${APP_PREVIEW_MAX_DURATION} s, 30 fps, with audio)`
+                      : `Animated ${format.name}`
+                return (
+                  <button key={key} onClick={() => updateExportSettings({ format: key })} disabled={isExporting || unsupported} className={optionClass(exportSettings.format === key)} title={title}>{format.name}</button>
+                )
+              })}
+            </div>
+          </div>
+
+          {isAppPreview ? (
+            <>
+              {/* App Preview Device */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Device</p>
+                <div className="grid grid-cols-3 gap-1">
+                  <button onClick={() => updateExportSettings({ appPreviewDevice: 'auto' })} disabled={isExporting} className={optionClass(exportSettings.appPreviewDevice === 'auto')} title="Closest size to the output aspect ratio">Auto</button>
+                  {Object.entries(APP_PREVIEW_DEVICES).map(([key, device]) => (
+                    <button key={key} onClick={() => updateExportSettings({ appPreviewDevice: key })} disabled={isExporting} className={optionClass(exportSettings.appPreviewDevice === key)} title={`${device.desc}: ${device.width}×${device.height} (swapped for landscape)`}>{device.name}</button>
+                  ))}
+                </div>
+                <p className="text-mavs-silver/60 text-xs mt-1">
+                  H.264 at {formatBitrate(exportSettings.bitrate)}, 30 fps, with an audio track (silent if the source has none).
+                </p>
+              </div>
+
+              {/* Duration */}
+              {duration > 0 && (appPreviewDuration.trimmed || appPreviewDuration.tooShort) && (
+                <p className="text-yellow-400/80 text-xs">
+                  {appPreviewDuration.trimmed
+                    ? `The video is ${duration.toFixed(1)} s, only the first ${APP_PREVIEW_MAX_DURATION} s will be exported.`
+                    : `The video is ${duration.toFixed(1)} s, App Store previews must be at least ${APP_PREVIEW_MIN_DURATION} s.`}
+                </p>
+              )}
+            </>
+          ) : !isAnimated ? (
+            <>
+              {/* Resolution */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Resolution</p>
+                <div className="grid grid-cols-4 gap-1">
+                  {Object.entries(EXPORT_RESOLUTIONS).map(([key, res]) => (
+                    <button key={key} onClick={() => updateExportSettings({ resolution: key })} disabled={isExporting} className={optionClass(exportSettings.resolution === key)}>{res.name}</button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Frame Rate */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Frame Rate</p>
+                <div className="grid grid-cols-4 gap-1">
+                  {Object.entries(EXPORT_FRAME_RATES).map(([key, rate]) => {
+                    const value = key === 'match' ? 'match' : Number(key)
+                    return (
+                      <button key={key} onClick={() => updateExportSettings({ frameRate: value })} disabled={isExporting} className={optionClass(exportSettings.frameRate === value)} title={key === 'match' ? 'Use the source frame rate' : `${key} fps`}>{rate.name}</button>
+                    )
+                  })}
+                </div>
+              </div>
+
+              {/* Quality */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Quality</p>
+                <div className="grid grid-cols-5 gap-1">
+                  {Object.entries(EXPORT_QUALITIES).map(([key, quality]) => (
+                    <button key={key} onClick={() => updateExportSettings({ quality: key })} disabled={isExporting} className={optionClass(exportSettings.quality === key)}>{quality.name}</button>
+                  ))}
+                </div>
+                {exportSettings.quality === 'custom' ? (
+                  <div className="flex items-center gap-2 mt-2">
+                    <input type="range" min="1" max="50" step="0.5" value={exportSettings.bitrate / 1_000_000} onChange={(e) => updateExportSettings({ bitrate: parseFloat(e.target.value) * 1_000_000 })} disabled={isExporting} className="flex-1 accent-mavs-blue h-1" />
+                    <span className="text-mavs-silver text-xs w-16 text-right">{formatBitrate(exportSettings.bitrate)}</span>
+                  </div>
+                ) : (
+                  <p className="text-mavs-silver/60 text-xs mt-1">~{formatBitrate(nominalBitrate)} at 9:16</p>
+                )}
+              </div>
+
+              {/* Codec */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Codec</p>
+                <div className="grid grid-cols-5 gap-1">
+                  <button onClick={() => updateExportSettings({ codec: 'auto' })} disabled={isExporting} className={optionClass(exportSettings.codec === 'auto')} title="H.264, or VP9 if H.264 is unavailable">Auto</button>
+                  {Object.entries(EXPORT_CODECS).map(([key, codec]) => {
+                    const unsupported = supportedCodecs && !supportedCodecs[key]
+                    return (
+                      <button key={key} onClick={() => updateExportSettings({ codec: key })} disabled={isExporting || unsupported} className={optionClass(exportSettings.codec === key)} title={unsupported ? `${codec.name} is not supported by this browser at ${resolution.name}` : `${codec.name} (${codec.container.toUpperCase()})`}>{codec.name}</button>
+                    )
+                  })}
+                </div>
+                {supportedCodecs && exportSettings.codec !== 'auto' && !supportedCodecs[exportSettings.codec] && (
+                  <p className="text-yellow-400/80 text-xs mt-1">
+                    {EXPORT_CODECS[exportSettings.codec]?.name} is not supported here, export will fall back to H.264/VP9.
+                  </p>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              {/* Frame Rate */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Frame Rate</p>
+                <div className="grid grid-cols-5 gap-1">
+                  {ANIMATED_FRAME_RATES.map((fps) => (
+                    <button key={fps} onClick={() => updateAnimatedSettings({ fps })} disabled={isExporting} className={optionClass(animated.fps === fps)}>{fps}</button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Max Width */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Max Width</p>
+                <div className="grid grid-cols-4 gap-1">
+                  {ANIMATED_MAX_WIDTHS.map((width) => (
+                    <button key={width} onClick={() => updateAnimatedSettings({ maxWidth: width })} disabled={isExporting} className={optionClass(animated.maxWidth === width)}>{width}px</button>
+                  ))}
+                </div>
+              </div>
+
+              {exportSettings.format === 'webp' ? (
+                /* WebP Quality */
+                <div>
+                  <p className="text-mavs-silver text-xs mb-1">Quality</p>
+                  <div className="flex items-center gap-2">
+                    <input type="range" min="0.3" max="1" step="0.05" value={animated.webpQuality} onChange={(e) => updateAnimatedSettings({ webpQuality: parseFloat(e.target.value) })} disabled={isExporting} className="flex-1 accent-mavs-blue h-1" />
+                    <span className="text-mavs-silver text-xs w-10 text-right">{Math.round(animated.webpQuality * 100)}%</span>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  {/* Palette */}
+                  <div>
+                    <p className="text-mavs-silver text-xs mb-1">Colors</p>
+                    <div className="grid grid-cols-4 gap-1">
+                      {ANIMATED_COLOR_COUNTS.map((colors) => (
+                        <button key={colors} onClick={() => updateAnimatedSettings({ colors })} disabled={isExporting} className={optionClass(animated.colors === colors)}>{colors}</button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Dithering */}
+                  <div>
+                    <p className="text-mavs-silver text-xs mb-1">Dithering</p>
+                    <div className="grid grid-cols-3 gap-1">
+                      {Object.entries(DITHER_MODES).map(([key, mode]) => (
+                        <button key={key} onClick={() => updateAnimatedSettings({ dither: key })} disabled={isExporting} className={optionClass(animated.dither === key)} title={mode.desc}>{mode.name}</button>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {/* Loop */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Loop</p>
+                <div className="grid grid-cols-3 gap-1">
+                  {Object.entries(LOOP_OPTIONS).map(([key, loop]) => (
+                    <button key={key} onClick={() => updateAnimatedSettings({ loopCount: Number(key) })} disabled={isExporting} className={optionClass(animated.loopCount === Number(key))}>{loop.name}</button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Target Size */}
+              <div>
+                <p className="text-mavs-silver text-xs mb-1">Target Size</p>
+                <div className="grid grid-cols-5 gap-1">
+                  {TARGET_SIZES.map((size) => (
+                    <button key={size ?? 'off'} onClick={() => updateAnimatedSettings({ targetSize: size })} disabled={isExporting} className={optionClass(animated.targetSize === size)} title={size ? 'Shrinks width, frame rate and colors until the file fits' : 'No size limit'}>{size ? formatSize(size) : 'Off'}</button>
+                  ))}
+                </div>
+              </div>
+
+              {/* Frame Skipping */}
+              <label className="flex items-center gap-2 text-xs text-mavs-silver cursor-pointer">
+                <input type="checkbox" checked={animated.skipDuplicates} onChange={(e) => updateAnimatedSettings({ skipDuplicates: e.target.checked })} disabled={isExporting} className="accent-mavs-blue" />
+                Skip unchanged frames (hold the previous frame longer)
+              </label>
+            </>
+          )}
+
+          {/* Stream to Disk */}
+          {streamingSupported && !isAppPreview && (
+            <label className="flex items-center gap-2 text-xs text-mavs-silver cursor-pointer" title="Writes the file as it is encoded instead of holding it in memory. Recommended for long or 4K exports.">
+              <input type="checkbox" checked={exportSettings.streamToDisk} onChange={(e) => updateExportSettings({ streamToDisk: e.target.checked })} disabled={isExporting} className="accent-mavs-blue" />
+              Save directly to disk (for long or 4K exports)
+            </label>
+          )}
+        </div>
+
         {/* Info */}
         <div className="glass-panel-light p-4 rounded-xl">
           <div className="flex items-start gap-3">
@@ -113,7 +593,7 @@ function ExportPanel({ videoFile, previewSettings }) {
           {isExporting ? (
             <span className="flex items-center justify-center gap-3">
               <span className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-              Exporting... {Math.round(exportProgress)}%
+              Exporting... {Math.round(exportProgress.percent)}%
             </span>
           ) : (
             'Export Video'
@@ -122,14 +602,122 @@ function ExportPanel({ videoFile, previewSettings }) {
 
         {/* Progress Bar */}
         {isExporting && (
-          <div className="w-full h-3 bg-mavs-navy/50 rounded-full overflow-hidden">
-            <div
-              className="h-full bg-gradient-to-r from-mavs-blue via-mavs-silver to-mavs-blue transition-all duration-300"
-              style={{ width: `${exportProgress}%` }}
-            />
+          <div className="space-y-2">
+            <div className="w-full h-3 bg-mavs-navy/50 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-mavs-blue via-mavs-silver to-mavs-blue transition-all duration-300"
+                style={{ width: `${exportProgress.percent}%` }}
+              />
+            </div>
+            <div className="flex items-center justify-between text-xs text-mavs-silver">
+              <span>
+                {exportProgress.batch && `${exportProgress.batch.aspect} (${exportProgress.batch.index + 1}/${exportProgress.batch.count}) • `}
+                {PHASE_LABELS[exportProgress.phase] || 'Exporting'}
+                {exportProgress.totalFrames
+                  ? ` • Frame ${exportProgress.frame}/${exportProgress.totalFrames}`
+                  : exportProgress.message ? ` • ${exportProgress.message}` : ''}
+                {exportProgress.bytesWritten ? ` • ${formatSize(exportProgress.bytesWritten)} written` : ''}
+              </span>
+              {eta && <span>{eta} left</span>}
+            </div>
+            <button
+              onClick={handleCancel}
+              className="glass-button w-full py-2 text-sm text-red-400 hover:text-red-300"
+            >
+              Cancel Export
+            </button>
+          </div>
+        )}
+
+        {/* App Preview Validation */}
+        {appPreviewReport && !isExporting && (
+          <div className="glass-panel-light p-4 rounded-xl space-y-1">
+            <p className={`font-semibold text-sm ${appPreviewReport.passed ? 'text-green-400' : 'text-yellow-400'}`}>
+              {appPreviewReport.passed ? 'App preview meets the App Store requirements' : 'App preview does not meet the App Store requirements'}
+            </p>
+            {appPreviewReport.checks.map((check) => (
+              <div key={check.label} className="flex items-start gap-2 text-xs">
+                <span className={check.passed ? 'text-green-400' : 'text-red-400'}>{check.passed ? '✓' : '✗'}</span>
+                <span className="text-white w-24 flex-shrink-0">{check.label}</span>
+                <span className="text-mavs-silver">{check.detail}</span>
+              </div>
+            ))}
           </div>
         )}
 
+        {/* Batch Export */}
+        <div className="glass-panel-light p-4 rounded-xl space-y-2">
+          <p className="text-white font-semibold text-sm">Batch Export</p>
+          <p className="text-mavs-silver/60 text-xs">
+            Exports every checked aspect into one ZIP. To frame an aspect differently, switch the preview to it,
+            adjust Resize/Crop, then save the framing here.
+          </p>
+          {Object.entries(OUTPUT_ASPECTS).map(([key, asp]) => {
+            const checked = exportSettings.batchAspects.includes(key)
+            const hasOverride = !!exportSettings.aspectOverrides[key]
+            return (
+              <div key={key} className="flex items-center gap-2 text-xs">
+                <label className="flex items-center gap-2 flex-1 text-mavs-silver cursor-pointer">
+                  <input type="checkbox" checked={checked} onChange={() => toggleBatchAspect(key)} disabled={isExporting} className="accent-mavs-blue" />
+                  <span className="text-white w-10">{asp.name}</span>
+                  <span className="text-mavs-silver/60">{hasOverride ? 'Custom framing' : 'Preview framing'}</span>
+                </label>
+                <button onClick={() => saveAspectFraming(key)} disabled={isExporting} className="px-2 py-1 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-40" title="Use the preview's current Resize/Crop for this aspect">Save framing</button>
+                {hasOverride && (
+                  <button onClick={() => resetAspectFraming(key)} disabled={isExporting} className="px-2 py-1 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-40">Reset</button>
+                )}
+              </div>
+            )
+          })}
+          <button
+            onClick={handleBatchExport}
+            disabled={isExporting || !canExport || exportSettings.batchAspects.length === 0}
+            className="glass-button w-full py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export {exportSettings.batchAspects.length} Aspect{exportSettings.batchAspects.length === 1 ? '' : 's'} as ZIP
+          </button>
+        </div>
+
+        {/* Stills */}
+        <div className="glass-panel-light p-4 rounded-xl space-y-2">
+          <p className="text-white font-semibold text-sm">Stills</p>
+          <p className="text-mavs-silver/60 text-xs">
+            Rendered at the export resolution. Tap stills and the contact sheet are taken just after each tap.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <p className="text-mavs-silver text-xs mb-1">Format</p>
+              <div className="grid grid-cols-2 gap-1">
+                {Object.entries(STILL_FORMATS).map(([key, format]) => (
+                  <button key={key} onClick={() => updateStillSettings({ format: key })} disabled={isExporting} className={optionClass(stills.format === key)}>{format.name}</button>
+                ))}
+              </div>
+            </div>
+            <div>
+              <p className="text-mavs-silver text-xs mb-1">Sheet Columns</p>
+              <div className="grid grid-cols-4 gap-1">
+                {CONTACT_SHEET_COLUMNS.map((columns) => (
+                  <button key={columns} onClick={() => updateStillSettings({ sheetColumns: columns })} disabled={isExporting} className={optionClass(stills.sheetColumns === columns)}>{columns}</button>
+                ))}
+              </div>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <button onClick={() => handleStillExport('poster')} disabled={isExporting || !videoFile || !previewSettings} className="glass-button py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed" title="Still of the frame under the playhead">
+              Poster at {formatTimestamp(currentTime)}
+            </button>
+            <button onClick={() => handleStillExport('taps')} disabled={isExporting || !canExport} className="glass-button py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+              Stills at Each Tap (ZIP)
+            </button>
+            <button onClick={() => handleStillExport('sheet')} disabled={isExporting || !canExport} className="glass-button py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed" title="Grid of tap stills with tap numbers and timestamps">
+              Contact Sheet
+            </button>
+            <button onClick={() => handleStillExport('sequence')} disabled={isExporting || !videoFile || !previewSettings} className="glass-button py-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed" title="Every frame as PNG, for compositing in other tools. Held in memory until zipped.">
+              PNG Sequence (ZIP)
+            </button>
+          </div>
+        </div>
+
         {/* Requirements notice */}
         {!canExport && !isExporting && (
           <p className="text-yellow-400/80 text-sm text-center">
@@ -1,10 +1,16 @@
 import { useRef, useCallback, useState, useEffect } from 'react'
+import { GESTURE_TYPES, isGesture, isMultiTouch, getEventEndTime } from '../lib/gestureSegmenter'
 
-function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDeleteTap, onSelectTap, selectedTapIndex }) {
+// Shorter selections are treated as a Shift+click and clear the range
+const MIN_RANGE = 0.1 // s
+
+function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDeleteTap, onConfirmTaps, onSelectTap, selectedTapIndex, selectedRange, onRangeChange }) {
   const trackRef = useRef(null)
   const containerRef = useRef(null)
   const [isDragging, setIsDragging] = useState(false)
   const [hoveredTapIndex, setHoveredTapIndex] = useState(null)
+  // Where a Shift+drag range selection started, null while scrubbing
+  const rangeAnchorRef = useRef(null)
   
   // Timeline zoom
   const [zoom, setZoom] = useState(1) // 1 = fit all, higher = zoomed in
@@ -34,19 +40,37 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
     }
     
     setIsDragging(true)
-    const time = getTimeFromPosition(e.clientX)
-    onSeek(Math.max(0, Math.min(time, duration)))
-  }, [getTimeFromPosition, onSeek, duration, onSelectTap, selectedTapIndex])
+    const time = Math.max(0, Math.min(getTimeFromPosition(e.clientX), duration))
+
+    // Shift+drag selects a range for re-running detection
+    if (e.shiftKey && onRangeChange) {
+      rangeAnchorRef.current = time
+      onRangeChange({ start: time, end: time })
+      return
+    }
+    rangeAnchorRef.current = null
+    onSeek(time)
+  }, [getTimeFromPosition, onSeek, duration, onSelectTap, selectedTapIndex, onRangeChange])
 
   const handleMouseMove = useCallback((e) => {
     if (!isDragging) return
-    const time = getTimeFromPosition(e.clientX)
-    onSeek(Math.max(0, Math.min(time, duration)))
-  }, [isDragging, getTimeFromPosition, onSeek, duration])
+    const time = Math.max(0, Math.min(getTimeFromPosition(e.clientX), duration))
+    const anchor = rangeAnchorRef.current
+    if (anchor !== null) {
+      onRangeChange({ start: Math.min(anchor, time), end: Math.max(anchor, time) })
+      return
+    }
+    onSeek(time)
+  }, [isDragging, getTimeFromPosition, onSeek, duration, onRangeChange])
 
   const handleMouseUp = useCallback(() => {
     setIsDragging(false)
-  }, [])
+    // A Shift+click without dragging clears the range
+    if (rangeAnchorRef.current !== null && selectedRange && selectedRange.end - selectedRange.start < MIN_RANGE) {
+      onRangeChange(null)
+    }
+    rangeAnchorRef.current = null
+  }, [selectedRange, onRangeChange])
 
   // Global mouse events
   useEffect(() => {
@@ -102,6 +126,28 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
     return `${mins}:${secs.toString().padStart(2, '0')}.${ms}`
   }
 
+  // Events drawn as spans rather than instant markers
+  const hasSpan = (event) => isGesture(event) || event.type === 'longpress'
+
+  // Gesture type, direction, length and duration for tooltips
+  const describeEvent = (gesture) => {
+    const type = GESTURE_TYPES[gesture.type]?.name || gesture.type
+    if (!isGesture(gesture)) return `${type} • ${(gesture.duration || 0).toFixed(1)}s`
+    if (isMultiTouch(gesture)) {
+      const change = gesture.type === 'rotate' ? `${gesture.rotation}°` : `${gesture.scale}×`
+      return `${type} • ${change} • ${gesture.duration.toFixed(1)}s`
+    }
+    return `${type} ${gesture.direction} • ${gesture.distance}px • ${gesture.duration.toFixed(1)}s`
+  }
+
+  // Taps waiting for the user: proposed from screen changes, or detected with low confidence
+  const unconfirmed = tapEvents.reduce((indices, tap, index) => (tap.needsReview ? [...indices, index] : indices), [])
+
+  const describeUnconfirmed = (tap) => {
+    const confidence = `${Math.round((tap.confidence || 0) * 100)}%`
+    return tap.source === 'transition' ? `proposed from ${tap.transition} • ${confidence}` : `low confidence • ${confidence}`
+  }
+
   // Calculate position within visible range
   const getVisiblePosition = (time) => {
     if (time < startTime || time > endTime) return null
@@ -110,6 +156,11 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
 
   const playheadPosition = getVisiblePosition(currentTime)
 
+  // Selected range clipped to the visible part of the timeline
+  const rangeVisible = selectedRange && selectedRange.end > startTime && selectedRange.start < endTime
+  const rangeLeft = rangeVisible ? ((Math.max(selectedRange.start, startTime) - startTime) / visibleDuration) * 100 : 0
+  const rangeRight = rangeVisible ? ((Math.min(selectedRange.end, endTime) - startTime) / visibleDuration) * 100 : 0
+
   return (
     <div className="glass-panel p-4">
       {/* Header with time and zoom controls */}
@@ -118,6 +169,30 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
           <h3 className="text-white font-semibold text-sm">Timeline</h3>
           <span className="text-mavs-blue font-mono text-sm">{formatTime(currentTime)}</span>
           <span className="text-mavs-silver text-xs">/ {formatTime(duration)}</span>
+          {unconfirmed.length > 0 && onConfirmTaps && (
+            <>
+              <span className="text-amber-400 text-xs">{unconfirmed.length} to confirm</span>
+              <button
+                onClick={() => onConfirmTaps(unconfirmed)}
+                className="px-2 h-6 rounded bg-amber-600/30 text-amber-300 hover:bg-amber-600/50 text-xs"
+                title="Keep every proposed and low-confidence tap"
+              >
+                Confirm All
+              </button>
+            </>
+          )}
+          {selectedRange && selectedRange.end - selectedRange.start >= MIN_RANGE && onRangeChange && (
+            <span className="flex items-center gap-1 px-2 h-6 rounded bg-amber-500/15 text-amber-300 text-xs">
+              Range {formatTime(selectedRange.start)} - {formatTime(selectedRange.end)}
+              <button
+                onClick={() => onRangeChange(null)}
+                className="ml-1 text-amber-300/70 hover:text-white"
+                title="Clear range"
+              >
+                ×
+              </button>
+            </span>
+          )}
         </div>
         
         {/* Zoom controls */}
@@ -181,13 +256,59 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
             />
           )}
 
+          {/* Selected range */}
+          {rangeVisible && (
+            <div
+              className="absolute inset-y-0 bg-amber-500/20 border-x-2 border-amber-400/70 pointer-events-none"
+              style={{ left: `${rangeLeft}%`, width: `${rangeRight - rangeLeft}%` }}
+            />
+          )}
+
+          {/* Gesture spans (swipes, drags and long presses) */}
+          {tapEvents.map((gesture, index) => {
+            if (!hasSpan(gesture)) return null
+            const gestureEnd = getEventEndTime(gesture)
+            if (gestureEnd < startTime || gesture.time > endTime) return null
+
+            const left = ((Math.max(gesture.time, startTime) - startTime) / visibleDuration) * 100
+            const right = ((Math.min(gestureEnd, endTime) - startTime) / visibleDuration) * 100
+            const isSelected = selectedTapIndex === index
+            const isHovered = hoveredTapIndex === index
+            const color = GESTURE_TYPES[gesture.type]?.color || GESTURE_TYPES.tap.color
+
+            return (
+              <div
+                key={index}
+                className="tap-marker absolute top-1/2 -translate-y-1/2 h-4 cursor-pointer z-10"
+                style={{ left: `${left}%`, width: `max(${right - left}%, 6px)` }}
+                onClick={(e) => handleTapClick(index, e)}
+                onMouseEnter={() => setHoveredTapIndex(index)}
+                onMouseLeave={() => setHoveredTapIndex(null)}
+              >
+                <div
+                  className={`w-full h-full rounded-full border-2 transition-all ${isSelected ? 'border-white' : isHovered ? 'border-mavs-silver' : 'border-transparent'}`}
+                  style={{ backgroundColor: `${color}cc` }}
+                />
+
+                {/* Tooltip */}
+                {(isHovered || isSelected) && (
+                  <div className="absolute -top-8 left-0 bg-mavs-navy/95 px-2 py-1 rounded text-xs text-white whitespace-nowrap shadow-lg z-20 border border-mavs-blue/30">
+                    {formatTime(gesture.time)} • {describeEvent(gesture)}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
           {/* Tap markers */}
           {tapEvents.map((tap, index) => {
+            if (hasSpan(tap)) return null
             const position = getVisiblePosition(tap.time)
             if (position === null) return null
             
             const isSelected = selectedTapIndex === index
             const isHovered = hoveredTapIndex === index
+            const idleColor = tap.needsReview ? 'bg-amber-500' : 'bg-mavs-blue'
             
             return (
               <div
@@ -201,7 +322,7 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
                 {/* Tap line */}
                 <div 
                   className={`w-0.5 h-full transition-all ${
-                    isSelected ? 'bg-white w-1' : isHovered ? 'bg-mavs-silver' : 'bg-mavs-blue'
+                    isSelected ? 'bg-white w-1' : isHovered ? 'bg-mavs-silver' : idleColor
                   }`}
                 />
                 
@@ -212,14 +333,14 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
                       ? 'w-5 h-5 bg-white border-white' 
                       : isHovered
                         ? 'w-4 h-4 bg-mavs-silver border-mavs-silver'
-                        : 'w-3 h-3 bg-mavs-blue border-mavs-blue'
+                        : `w-3 h-3 ${idleColor} ${tap.needsReview ? 'border-amber-500 border-dashed' : 'border-mavs-blue'}`
                   }`}
                 />
 
                 {/* Tooltip */}
                 {(isHovered || isSelected) && (
                   <div className="absolute -top-8 bg-mavs-navy/95 px-2 py-1 rounded text-xs text-white whitespace-nowrap shadow-lg z-20 border border-mavs-blue/30">
-                    {formatTime(tap.time)} • {tap.animation || 'ripple'}
+                    {formatTime(tap.time)} • {tap.needsReview ? describeUnconfirmed(tap) : tap.animation || 'ripple'}
                   </div>
                 )}
               </div>
@@ -285,10 +406,24 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
       {selectedTapIndex !== null && tapEvents[selectedTapIndex] && (
         <div className="mt-3 p-2 glass-panel-light rounded-lg flex items-center gap-3 text-sm">
           <span className="text-mavs-silver">
-            Tap {selectedTapIndex + 1}: {formatTime(tapEvents[selectedTapIndex].time)}
+            {GESTURE_TYPES[tapEvents[selectedTapIndex].type]?.name || 'Tap'} {selectedTapIndex + 1}: {formatTime(tapEvents[selectedTapIndex].time)}
           </span>
+          {hasSpan(tapEvents[selectedTapIndex]) && (
+            <span className="text-mavs-silver/70 text-xs">{describeEvent(tapEvents[selectedTapIndex])}</span>
+          )}
           <span className="text-mavs-blue">{tapEvents[selectedTapIndex].animation || 'ripple'}</span>
+          {tapEvents[selectedTapIndex].needsReview && (
+            <span className="text-amber-400 text-xs">{describeUnconfirmed(tapEvents[selectedTapIndex])}</span>
+          )}
           <div className="flex-1" />
+          {tapEvents[selectedTapIndex].needsReview && onConfirmTaps && (
+            <button
+              onClick={() => onConfirmTaps([selectedTapIndex])}
+              className="text-green-400 hover:text-green-300 text-xs"
+            >
+              Confirm
+            </button>
+          )}
           {onDeleteTap && (
             <button
               onClick={() => {
@@ -320,9 +455,14 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
               className={`px-2 py-0.5 rounded text-xs transition-all ${
                 selectedTapIndex === index
                   ? 'bg-mavs-blue text-white'
-                  : 'bg-mavs-navy/50 text-mavs-silver hover:text-white'
+                  : tap.needsReview
+                    ? 'bg-amber-900/40 text-amber-300 hover:text-white'
+                    : 'bg-mavs-navy/50 text-mavs-silver hover:text-white'
               }`}
             >
+              {hasSpan(tap) && (
+                <span className="inline-block w-1.5 h-1.5 rounded-full mr-1 align-middle" style={{ backgroundColor: GESTURE_TYPES[tap.type]?.color }} />
+              )}
               {formatTime(tap.time)}
             </button>
           ))}
@@ -331,7 +471,7 @@ function Timeline({ duration, currentTime, tapEvents, onSeek, onEditTap, onDelet
 
       {/* Help text */}
       <p className="mt-2 text-mavs-silver/40 text-xs">
-        Scroll to pan • Ctrl+scroll to zoom • Click to scrub • Click taps to edit
+        Scroll to pan • Ctrl+scroll to zoom • Click to scrub • Click taps to edit{onRangeChange && ' • Shift+drag to select a range'}
       </p>
     </div>
   )
@@ -1,9 +1,10 @@
 import { setCalibration } from '../../../lib/circleDetector'
 import { CropOverlay } from './CropOverlay'
 import { ResizeHandles } from './ResizeHandles'
+import { RegionOverlay } from './RegionOverlay'
 
 /**
- * Preview overlays - calibration markers, guides, handles, and tap drag overlay
+ * Preview overlays - calibration markers, detection regions, guides, handles, and tap drag overlay
  * Shared between device frame and video-only preview modes
  */
 export function PreviewOverlays({
@@ -15,11 +16,17 @@ export function PreviewOverlays({
   setTargetCirclePos,
   targetCircleRadius,
   setTargetCircleRadius,
+  indicatorAppearance,
+  setIndicatorAppearance,
   excludePosition,
   setExcludePosition,
   excludeRadius,
   setExcludeRadius,
   setIsDraggingMarker,
+  detectionRegions,
+  regionDrawMode,
+  onAddRegion,
+  onRemoveRegion,
   snapGuides,
   editMode,
   videoTransform,
@@ -41,6 +48,14 @@ export function PreviewOverlays({
 
   return (
     <>
+      {/* Detection regions during autodetect */}
+      {autodetectMode && !calibrationStep && (
+        <RegionOverlay
+          regions={detectionRegions} drawMode={regionDrawMode} videoW={videoW} videoH={videoH} rect={rect}
+          onAddRegion={onAddRegion} onRemoveRegion={onRemoveRegion}
+        />
+      )}
+
       {/* Calibration step overlay */}
       {calibrationStep && (
         <div className="absolute inset-0 bg-black/30 flex items-center justify-center z-50 pointer-events-none">
@@ -62,7 +77,7 @@ export function PreviewOverlays({
                 <div className="absolute inset-0 rounded-full border-2 border-green-500 bg-green-500/20" />
                 <div className="absolute -top-6 left-1/2 -translate-x-1/2 bg-green-600 text-white text-xs px-2 py-0.5 rounded whitespace-nowrap">Circle</div>
                 <div className="absolute -right-1 -bottom-1 w-4 h-4 bg-green-500 rounded-full cursor-se-resize border-2 border-white" onMouseDown={(e) => { e.stopPropagation(); setIsDraggingMarker('circle-resize') }} />
-                <button className="absolute -right-1 -top-1 w-4 h-4 bg-red-500 rounded-full text-white text-xs flex items-center justify-center hover:bg-red-400" onClick={(e) => { e.stopPropagation(); setTargetCirclePos(null); setCalibration(null, excludePosition) }}>x</button>
+                <button className="absolute -right-1 -top-1 w-4 h-4 bg-red-500 rounded-full text-white text-xs flex items-center justify-center hover:bg-red-400" onClick={(e) => { e.stopPropagation(); setTargetCirclePos(null); setIndicatorAppearance(null); setCalibration(null, excludePosition) }}>x</button>
               </div>
             )
           })()}
@@ -76,7 +91,7 @@ export function PreviewOverlays({
                 <div className="absolute inset-0 flex items-center justify-center pointer-events-none"><div className="w-full h-0.5 bg-red-500 rotate-45" /><div className="absolute w-full h-0.5 bg-red-500 -rotate-45" /></div>
                 <div className="absolute -top-6 left-1/2 -translate-x-1/2 bg-red-600 text-white text-xs px-2 py-0.5 rounded whitespace-nowrap">Exclude</div>
                 <div className="absolute -right-1 -bottom-1 w-4 h-4 bg-red-500 rounded-full cursor-se-resize border-2 border-white" onMouseDown={(e) => { e.stopPropagation(); setIsDraggingMarker('menu-resize') }} />
-                <button className="absolute -right-1 -top-1 w-4 h-4 bg-gray-600 rounded-full text-white text-xs flex items-center justify-center hover:bg-gray-500" onClick={(e) => { e.stopPropagation(); setExcludePosition(null); setCalibration(targetCirclePos, null) }}>x</button>
+                <button className="absolute -right-1 -top-1 w-4 h-4 bg-gray-600 rounded-full text-white text-xs flex items-center justify-center hover:bg-gray-500" onClick={(e) => { e.stopPropagation(); setExcludePosition(null); setCalibration(targetCirclePos, null, indicatorAppearance) }}>x</button>
               </div>
             )
           })()}
@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { rectFromDrag } from '../../../lib/detectionRegions'
+
+/**
+ * Detection region overlay - exclusion rectangles, region of interest, and drawing new ones
+ * Regions are in video pixels, drawn over the preview container
+ */
+export function RegionOverlay({ regions, drawMode, videoW, videoH, rect, onAddRegion, onRemoveRegion }) {
+  const [dragStart, setDragStart] = useState(null)
+  const [dragEnd, setDragEnd] = useState(null)
+
+  if (!rect) return null
+  const sx = rect.width / videoW
+  const sy = rect.height / videoH
+  const toScreen = (r) => ({ left: r.x * sx, top: r.y * sy, width: r.width * sx, height: r.height * sy })
+
+  const toVideo = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect()
+    return {
+      x: ((e.clientX - bounds.left) / bounds.width) * videoW,
+      y: ((e.clientY - bounds.top) / bounds.height) * videoH,
+    }
+  }
+
+  const finishDrag = (e) => {
+    if (!dragStart) return
+    const region = rectFromDrag(dragStart, toVideo(e), videoW, videoH)
+    if (region) onAddRegion(drawMode, region)
+    setDragStart(null)
+    setDragEnd(null)
+  }
+
+  const preview = dragStart && dragEnd ? rectFromDrag(dragStart, dragEnd, videoW, videoH) : null
+
+  return (
+    <>
+      {/* Region of interest: everything outside is dimmed */}
+      {regions.roi && (
+        <div className="absolute z-30 border-2 border-sky-400 pointer-events-none" style={{ ...toScreen(regions.roi), boxShadow: '0 0 0 9999px rgba(0,0,0,0.35)' }}>
+          <div className="absolute -top-5 left-0 flex items-center gap-1 bg-sky-500 text-white text-xs px-1.5 py-0.5 rounded pointer-events-auto">
+            ROI
+            <button className="hover:text-sky-200" onClick={(e) => { e.stopPropagation(); onRemoveRegion('roi') }}>x</button>
+          </div>
+        </div>
+      )}
+
+      {/* Exclusions */}
+      {regions.exclude.map((region, i) => (
+        <div key={i} className="absolute z-30 border-2 border-dashed border-red-500 bg-red-500/20 pointer-events-none" style={toScreen(region)}>
+          <button className="absolute -right-2 -top-2 w-4 h-4 bg-gray-600 rounded-full text-white text-xs flex items-center justify-center hover:bg-gray-500 pointer-events-auto" onClick={(e) => { e.stopPropagation(); onRemoveRegion('exclude', i) }}>x</button>
+        </div>
+      ))}
+
+      {/* Drawing surface */}
+      {drawMode && (
+        <div
+          className="absolute inset-0 z-50 cursor-crosshair bg-black/20"
+          onMouseDown={(e) => { e.stopPropagation(); setDragStart(toVideo(e)); setDragEnd(toVideo(e)) }}
+          onMouseMove={(e) => { if (dragStart) setDragEnd(toVideo(e)) }}
+          onMouseUp={finishDrag}
+          onMouseLeave={finishDrag}
+          onClick={(e) => e.stopPropagation()}
+        >
+          {!dragStart && (
+            <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+              <div className={`px-4 py-2 rounded-lg text-white text-sm ${drawMode === 'roi' ? 'bg-sky-600' : 'bg-red-600'}`}>
+                {drawMode === 'roi' ? 'Drag the area to detect in' : 'Drag over UI to ignore'}
+              </div>
+            </div>
+          )}
+          {preview && (
+            <div className={`absolute border-2 pointer-events-none ${drawMode === 'roi' ? 'border-sky-400' : 'border-dashed border-red-500 bg-red-500/20'}`} style={toScreen(preview)} />
+          )}
+        </div>
+      )}
+    </>
+  )
+}
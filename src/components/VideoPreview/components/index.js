@@ -1,3 +1,4 @@
 export { CropOverlay } from './CropOverlay'
 export { ResizeHandles } from './ResizeHandles'
 export { PreviewOverlays } from './PreviewOverlays'
+export { RegionOverlay } from './RegionOverlay'
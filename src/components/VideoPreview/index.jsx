@@ -1,6 +1,16 @@
 import { useRef, useState, useCallback, useEffect } from 'react'
-import { detectCircles, findGreyCircleLive, setCalibration } from '../../lib/circleDetector'
+import { detectCircles, findGreyCircleLive, setCalibration, setDetectorProfile, autoPickDetectorProfile, DETECTION_BACKENDS, setDetectionBackend, setDetectionRegions, mergeTapEvents } from '../../lib/circleDetector'
+import { benchmarkDetectionBackends } from '../../lib/detectorBenchmark'
+import { DETECTOR_PROFILES, DEFAULT_DETECTOR_PROFILE } from '../../lib/detectorProfiles'
+import { sampleIndicatorAppearance } from '../../lib/indicatorCalibration'
+import { serializeTapData, parseTapData } from '../../lib/tapData'
+import { eraseIndicator } from '../../lib/indicatorEraser'
+import { detectCirclesInWorker, isWorkerDetectionSupported } from '../../lib/workerDetector'
+import { detectTransitionTaps } from '../../lib/transitionDetector'
+import { detectCursorClicks } from '../../lib/cursorDetector'
 import { CameraEngine } from '../../lib/cameraEngine'
+import { drawGestureAnimation, drawHoldAnimation, getTapAnimationLength } from '../../lib/frameRenderer'
+import { isGesture, moveEvent } from '../../lib/gestureSegmenter'
 import { useOpenCVInit, useVideoPlayback, useVideoTransform, useCropTool } from './hooks'
 import { PreviewOverlays } from './components'
 
@@ -45,11 +55,19 @@ const OUTPUT_ASPECTS = {
 
 function VideoPreview({
   videoUrl,
+  videoFile,
   tapEvents,
   currentTime,
   onTimeUpdate,
   onDurationChange,
   onTapEventsDetected,
+  detectionRegions,
+  onDetectionRegionsChange,
+  indicatorTrack,
+  onDetectionDebug,
+  detectionRange,
+  hideIndicator,
+  setHideIndicator,
   isProcessing,
   processingProgress,
   setIsProcessing,
@@ -80,6 +98,8 @@ function VideoPreview({
   const outputCanvasRef = useRef(null)
   const containerRef = useRef(null)
   const cameraEngineRef = useRef(null)
+  const detectionAbortRef = useRef(null)
+  const tapDataInputRef = useRef(null)
   const animationFrameRef = useRef(null)
   const renderStateRef = useRef({ scaledWidth: 0, scaledHeight: 0, finalCropWidth: 0, finalCropHeight: 0, drawX: 0, drawY: 0 })
 
@@ -103,8 +123,17 @@ function VideoPreview({
   // Autodetect calibration state
   const [autodetectMode, setAutodetectMode] = useState(false)
   const [calibrationStep, setCalibrationStep] = useState(null)
+  const [detectorProfile, setDetectorProfileId] = useState(DEFAULT_DETECTOR_PROFILE)
+  const [profileScores, setProfileScores] = useState(null)
+  const [isPickingProfile, setIsPickingProfile] = useState(false)
+  const [detectionBackend, setDetectionBackendId] = useState('scan')
+  const [benchmarkResult, setBenchmarkResult] = useState(null)
+  const [benchmarkProgress, setBenchmarkProgress] = useState(null)
+  const [transitionProposals, setTransitionProposals] = useState(null) // { count, fallback } after a screen change scan
   const [targetCirclePos, setTargetCirclePos] = useState(null)
   const [targetCircleRadius, setTargetCircleRadius] = useState(40)
+  const [indicatorAppearance, setIndicatorAppearance] = useState(null)
+  const [regionDrawMode, setRegionDrawMode] = useState(null) // 'exclude' | 'roi' | null
   const [excludePosition, setExcludePosition] = useState(null)
   const [excludeRadius, setExcludeRadius] = useState(40)
   const [isDraggingMarker, setIsDraggingMarker] = useState(null)
@@ -119,6 +148,10 @@ function VideoPreview({
     const x = ((tap.x - cropX) / cropWidth) * canvasWidth + offsetX
     const y = ((tap.y - cropY) / cropHeight) * canvasHeight + offsetY
     const anim = TAP_ANIMATIONS[tap.animation] || TAP_ANIMATIONS.ripple
+    if (tap.type === 'longpress' && tap.duration) {
+      drawHoldAnimation(ctx, x, y, anim.color, progress, tap.duration)
+      return
+    }
     const alpha = 1 - progress
     ctx.save()
     switch (tap.animation) {
@@ -179,6 +212,8 @@ function VideoPreview({
     ctx.drawImage(video, 0, 0)
     const videoW = video.videoWidth || 1080
     const videoH = video.videoHeight || 1920
+    // Same erasing as export, except in the debug view, which looks for the dot in this frame
+    if (hideIndicator && indicatorTrack && !showDebug) eraseIndicator(ctx, indicatorTrack, video.currentTime, canvas.width, canvas.height)
 
     // Set output canvas size based on output aspect ratio
     // Device frame mode: output = selected aspect, crop only affects device content
@@ -388,9 +423,14 @@ function VideoPreview({
 
       // Draw tap animations
       for (const tap of tapEvents) {
-        const tapStart = tap.time, tapEnd = tap.time + 0.6
+        if (isGesture(tap)) {
+          drawGestureAnimation(outCtx, tap, video.currentTime, scaledWidth, scaledHeight, finalCropX, finalCropY, finalCropWidth, finalCropHeight, drawX, drawY)
+          continue
+        }
+        const length = getTapAnimationLength(tap)
+        const tapStart = tap.time, tapEnd = tap.time + length
         if (video.currentTime >= tapStart && video.currentTime <= tapEnd) {
-          const progress = (video.currentTime - tapStart) / 0.6
+          const progress = (video.currentTime - tapStart) / length
           drawTapAnimation(outCtx, tap, progress, scaledWidth, scaledHeight, finalCropX, finalCropY, finalCropWidth, finalCropHeight, drawX, drawY)
         }
       }
@@ -417,7 +457,7 @@ function VideoPreview({
       }
     }
     animationFrameRef.current = requestAnimationFrame(render)
-  }, [tapEvents, zoomLevel, videoTransform, selectedTapIndex, drawTapAnimation, appliedCrop, outputAspect, showDeviceFrame, showDebug, selectedDevice, selectedBackground, showNotch])
+  }, [tapEvents, zoomLevel, videoTransform, selectedTapIndex, drawTapAnimation, appliedCrop, outputAspect, showDeviceFrame, showDebug, selectedDevice, selectedBackground, showNotch, hideIndicator, indicatorTrack])
 
   useEffect(() => {
     animationFrameRef.current = requestAnimationFrame(render)
@@ -430,9 +470,108 @@ function VideoPreview({
     setExcludePosition(null)
     setTargetCircleRadius(40)
     setExcludeRadius(40)
+    setIndicatorAppearance(null)
     setCalibration(null, null)
   }, [])
 
+  // Measure the marked circle in the current frame, radius given when the marker was resized
+  const measureIndicator = useCallback((pos, radius = null) => {
+    const video = videoRef.current
+    const canvas = canvasRef.current
+    if (!video || !canvas || video.readyState < 2) return null
+    const ctx = canvas.getContext('2d')
+    canvas.width = video.videoWidth
+    canvas.height = video.videoHeight
+    ctx.drawImage(video, 0, 0)
+    return sampleIndicatorAppearance(ctx, canvas.width, canvas.height, pos, { profile: DETECTOR_PROFILES[detectorProfile], radius })
+  }, [detectorProfile])
+
+  const markCircle = useCallback((pos, radius = null) => {
+    const appearance = measureIndicator(pos, radius)
+    const target = appearance ? { x: appearance.x, y: appearance.y } : pos
+    setIndicatorAppearance(appearance)
+    setTargetCirclePos(target)
+    if (appearance) setTargetCircleRadius(appearance.radius)
+    setCalibration(target, excludePosition, appearance)
+  }, [measureIndicator, excludePosition])
+
+  // Detection reads the profile from module state, like calibration
+  useEffect(() => { setDetectorProfile(detectorProfile) }, [detectorProfile])
+
+  const handleAutoPickProfile = useCallback(async () => {
+    if (!videoRef.current || !canvasRef.current) return
+    setIsPickingProfile(true)
+    try {
+      const { profileId, scores } = await autoPickDetectorProfile(videoRef.current, canvasRef.current)
+      setDetectorProfileId(profileId)
+      setProfileScores(scores)
+    } catch (error) {
+      console.error('Detector profile auto-pick failed:', error)
+    } finally {
+      setIsPickingProfile(false)
+    }
+  }, [])
+
+  useEffect(() => { setDetectionBackend(detectionBackend) }, [detectionBackend])
+
+  // Regions are kept with the tap data, detection reads them from module state
+  useEffect(() => { setDetectionRegions(detectionRegions) }, [detectionRegions])
+
+  const handleAddRegion = useCallback((mode, region) => {
+    if (mode === 'roi') {
+      onDetectionRegionsChange({ ...detectionRegions, roi: region })
+      setRegionDrawMode(null)
+    } else {
+      onDetectionRegionsChange({ ...detectionRegions, exclude: [...detectionRegions.exclude, region] })
+    }
+  }, [detectionRegions, onDetectionRegionsChange])
+
+  const handleRemoveRegion = useCallback((kind, index) => {
+    if (kind === 'roi') onDetectionRegionsChange({ ...detectionRegions, roi: null })
+    else onDetectionRegionsChange({ ...detectionRegions, exclude: detectionRegions.exclude.filter((_, i) => i !== index) })
+  }, [detectionRegions, onDetectionRegionsChange])
+
+  // Tap data files: taps plus the regions they were detected with
+  const handleSaveTapData = useCallback(() => {
+    const blob = new Blob([serializeTapData(tapEvents, detectionRegions)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `${(videoFile?.name || 'video').replace(/\.\w+$/, '')}.taps.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }, [tapEvents, detectionRegions, videoFile])
+
+  const handleLoadTapData = useCallback(async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const data = parseTapData(await file.text())
+      onTapEventsDetected(data.tapEvents)
+      onDetectionRegionsChange(data.detectionRegions)
+      if (cameraEngineRef.current) cameraEngineRef.current.reset()
+    } catch (error) {
+      console.error('Loading tap data failed:', error)
+      alert(`Could not load tap data: ${error.message}`)
+    }
+  }, [onTapEventsDetected, onDetectionRegionsChange])
+
+  const handleBenchmark = useCallback(async () => {
+    if (!videoRef.current || !canvasRef.current) return
+    setBenchmarkProgress(0)
+    try {
+      setBenchmarkResult(await benchmarkDetectionBackends(videoRef.current, canvasRef.current, {
+        tapEvents: tapEvents.filter(e => !isGesture(e)),
+        onProgress: setBenchmarkProgress,
+      }))
+    } catch (error) {
+      console.error('Detector benchmark failed:', error)
+    } finally {
+      setBenchmarkProgress(null)
+    }
+  }, [tapEvents])
+
   const enterAutodetectMode = useCallback(() => {
     if (!videoRef.current || !opencvReady) return
     videoRef.current.currentTime = 0
@@ -442,28 +581,112 @@ function VideoPreview({
 
   const runDetection = useCallback(async () => {
     if (!videoRef.current || !opencvReady) return
+    const controller = new AbortController()
+    detectionAbortRef.current = controller
     setIsProcessing(true)
     setProcessingProgress(0)
+    // With a Timeline range selected only that part is detected, the taps elsewhere stay as they are
+    const range = detectionRange && detectionRange.end > detectionRange.start ? detectionRange : null
+    const previousEvents = tapEvents
+    const withSettings = (events) => {
+      const detected = events.map(e => ({ ...e, animation: selectedAnimation, zoomLevel }))
+      return range ? mergeTapEvents(previousEvents, detected, range) : detected
+    }
     try {
-      const result = await detectCircles(videoRef.current, canvasRef.current, (p) => setProcessingProgress(p))
-      const events = Array.isArray(result) ? result : result.taps
-      const eventsWithSettings = events.map(e => ({ ...e, animation: selectedAnimation, zoomLevel }))
-      onTapEventsDetected(eventsWithSettings)
+      let result = null
+      // OpenCV is loaded on the page, so that backend always runs on the main thread
+      if (videoFile && detectionBackend === 'scan' && isWorkerDetectionSupported()) {
+        try {
+          // Off the main thread, showing taps in the Timeline as they are found
+          result = await detectCirclesInWorker(videoFile, videoRef.current, {
+            onProgress: (p) => setProcessingProgress(p),
+            onPartial: (events) => onTapEventsDetected(withSettings(events)),
+            signal: controller.signal,
+            range,
+          })
+        } catch (error) {
+          if (error.name === 'AbortError') throw error
+          console.warn('Worker detection failed, detecting on the main thread:', error.message)
+        }
+      }
+      if (!result) {
+        result = await detectCircles(videoRef.current, canvasRef.current, (p) => setProcessingProgress(p), { signal: controller.signal, range })
+      }
+      let events = Array.isArray(result) ? result : result.taps
+      if (!Array.isArray(result)) {
+        // Keep the earlier trajectory outside the range, the eraser and inspector use all of it
+        const track = range && indicatorTrack
+          ? [...indicatorTrack.filter(f => f.time < range.start), ...result.debugData, ...indicatorTrack.filter(f => f.time > range.end)]
+          : result.debugData
+        onDetectionDebug({ track, stationaryZones: result.stationaryZones || [], width: videoRef.current.videoWidth, height: videoRef.current.videoHeight })
+      }
+      // No indicator in the recording: fall back to proposing taps where the screen changed
+      if (events.length === 0 && !range) {
+        setProcessingProgress(0)
+        events = await detectTransitionTaps(videoRef.current, (p) => setProcessingProgress(p), { signal: controller.signal })
+        setTransitionProposals({ count: events.length, fallback: true })
+      } else {
+        setTransitionProposals(null)
+      }
+      onTapEventsDetected(withSettings(events))
       if (cameraEngineRef.current) cameraEngineRef.current.reset()
     } catch (error) {
-      console.error('Circle detection failed:', error)
+      // Cancelling keeps the taps found so far
+      if (error.name === 'AbortError') console.log('Circle detection cancelled')
+      else console.error('Circle detection failed:', error)
     } finally {
+      detectionAbortRef.current = null
       setIsProcessing(false)
       setAutodetectMode(false)
       clearCalibration()
     }
-  }, [opencvReady, onTapEventsDetected, setIsProcessing, setProcessingProgress, selectedAnimation, zoomLevel, clearCalibration])
+  }, [opencvReady, videoFile, detectionBackend, tapEvents, detectionRange, indicatorTrack, onTapEventsDetected, onDetectionDebug, setIsProcessing, setProcessingProgress, selectedAnimation, zoomLevel, clearCalibration])
+
+  // For recordings made without a touch indicator: taps from screen changes, or clicks of a mouse cursor
+  const runAlternativeDetection = useCallback(async (mode) => {
+    if (!videoRef.current) return
+    const controller = new AbortController()
+    detectionAbortRef.current = controller
+    setIsProcessing(true)
+    setProcessingProgress(0)
+    const onProgress = (p) => setProcessingProgress(p)
+    try {
+      let events
+      if (mode === 'cursor') {
+        const result = await detectCursorClicks(videoRef.current, canvasRef.current, onProgress, { signal: controller.signal })
+        onDetectionDebug({ track: result.debugData, stationaryZones: result.stationaryZones, width: videoRef.current.videoWidth, height: videoRef.current.videoHeight })
+        setTransitionProposals(null)
+        events = result.taps
+      } else {
+        events = await detectTransitionTaps(videoRef.current, onProgress, { signal: controller.signal })
+        onDetectionDebug(null)
+        setTransitionProposals({ count: events.length, fallback: false })
+      }
+      onTapEventsDetected(events.map(e => ({ ...e, animation: selectedAnimation, zoomLevel })))
+      if (cameraEngineRef.current) cameraEngineRef.current.reset()
+    } catch (error) {
+      if (error.name === 'AbortError') console.log('Detection cancelled')
+      else console.error(`${mode === 'cursor' ? 'Cursor' : 'Screen change'} detection failed:`, error)
+    } finally {
+      detectionAbortRef.current = null
+      setIsProcessing(false)
+    }
+  }, [onTapEventsDetected, onDetectionDebug, setIsProcessing, setProcessingProgress, selectedAnimation, zoomLevel])
+
+  const stopDetection = useCallback(() => {
+    detectionAbortRef.current?.abort()
+  }, [])
 
   const cancelAutodetect = useCallback(() => {
+    stopDetection()
     setAutodetectMode(false)
+    setRegionDrawMode(null)
     clearCalibration()
     setCalibrationStep(null)
-  }, [clearCalibration])
+  }, [clearCalibration, stopDetection])
+
+  // Stop a running detection when the preview goes away
+  useEffect(() => stopDetection, [stopDetection])
 
   const handleCalibrationClick = useCallback((e) => {
     if (!calibrationStep) return
@@ -479,14 +702,13 @@ function VideoPreview({
     const clampedX = Math.max(0, Math.min(videoW, relX * videoW))
     const clampedY = Math.max(0, Math.min(videoH, relY * videoH))
     if (calibrationStep === 'circle') {
-      setTargetCirclePos({ x: clampedX, y: clampedY })
-      setCalibration({ x: clampedX, y: clampedY }, excludePosition)
+      markCircle({ x: clampedX, y: clampedY })
     } else if (calibrationStep === 'menu') {
       setExcludePosition({ x: clampedX, y: clampedY })
-      setCalibration(targetCirclePos, { x: clampedX, y: clampedY })
+      setCalibration(targetCirclePos, { x: clampedX, y: clampedY }, indicatorAppearance)
     }
     setCalibrationStep(null)
-  }, [calibrationStep, targetCirclePos, excludePosition])
+  }, [calibrationStep, targetCirclePos, indicatorAppearance, markCircle])
 
   // Marker drag handlers
   const handleMarkerDragMove = useCallback((e) => {
@@ -502,12 +724,12 @@ function VideoPreview({
       const relY = (e.clientY - rect.top) / rect.height
       const videoX = Math.max(0, Math.min(videoW, relX * videoW))
       const videoY = Math.max(0, Math.min(videoH, relY * videoH))
+      // The circle is measured again where the drag ends
       if (isDraggingMarker === 'circle') {
         setTargetCirclePos({ x: videoX, y: videoY })
-        setCalibration({ x: videoX, y: videoY }, excludePosition)
       } else {
         setExcludePosition({ x: videoX, y: videoY })
-        setCalibration(targetCirclePos, { x: videoX, y: videoY })
+        setCalibration(targetCirclePos, { x: videoX, y: videoY }, indicatorAppearance)
       }
     } else if (isDraggingMarker === 'circle-resize' || isDraggingMarker === 'menu-resize') {
       const isCircle = isDraggingMarker === 'circle-resize'
@@ -523,11 +745,18 @@ function VideoPreview({
       if (isCircle) setTargetCircleRadius(clampedRadius)
       else setExcludeRadius(clampedRadius)
     }
-  }, [isDraggingMarker, targetCirclePos, excludePosition])
+  }, [isDraggingMarker, targetCirclePos, excludePosition, indicatorAppearance])
+
+  // Moving the circle marker measures what is under it, resizing it sets the size to use
+  const finishMarkerDrag = useCallback(() => {
+    if (isDraggingMarker === 'circle' && targetCirclePos) markCircle(targetCirclePos)
+    else if (isDraggingMarker === 'circle-resize' && targetCirclePos) markCircle(targetCirclePos, targetCircleRadius)
+    setIsDraggingMarker(null)
+  }, [isDraggingMarker, targetCirclePos, targetCircleRadius, markCircle])
 
   useEffect(() => {
     if (isDraggingMarker) {
-      const handleUp = () => setIsDraggingMarker(null)
+      const handleUp = () => finishMarkerDrag()
       window.addEventListener('mousemove', handleMarkerDragMove)
       window.addEventListener('mouseup', handleUp)
       return () => {
@@ -535,7 +764,7 @@ function VideoPreview({
         window.removeEventListener('mouseup', handleUp)
       }
     }
-  }, [isDraggingMarker, handleMarkerDragMove])
+  }, [isDraggingMarker, handleMarkerDragMove, finishMarkerDrag])
 
   // Tap editing handlers
   const handleAddManualTap = useCallback(() => {
@@ -600,7 +829,7 @@ function VideoPreview({
     const tap = tapEvents[selectedTapIndex]
     const newX = Math.max(0, Math.min(video.videoWidth || 1080, tap.x + dx * scaleX))
     const newY = Math.max(0, Math.min(video.videoHeight || 1920, tap.y + dy * scaleY))
-    const newTaps = tapEvents.map((t, i) => i === selectedTapIndex ? { ...t, x: Math.round(newX), y: Math.round(newY) } : t)
+    const newTaps = tapEvents.map((t, i) => i === selectedTapIndex ? moveEvent(t, Math.round(newX), Math.round(newY)) : t)
     onTapEventsDetected(newTaps)
     setTapDragStart(prev => ({ ...prev, x: e.clientX, y: e.clientY }))
   }, [isDraggingTap, selectedTapIndex, tapDragStart, tapEvents, onTapEventsDetected])
@@ -650,9 +879,12 @@ function VideoPreview({
                   videoRef={videoRef} containerRef={containerRef} calibrationStep={calibrationStep}
                   autodetectMode={autodetectMode} targetCirclePos={targetCirclePos} setTargetCirclePos={setTargetCirclePos}
                   targetCircleRadius={targetCircleRadius} setTargetCircleRadius={setTargetCircleRadius}
+                  indicatorAppearance={indicatorAppearance} setIndicatorAppearance={setIndicatorAppearance}
                   excludePosition={excludePosition} setExcludePosition={setExcludePosition}
                   excludeRadius={excludeRadius} setExcludeRadius={setExcludeRadius}
                   setIsDraggingMarker={setIsDraggingMarker} snapGuides={snapGuides}
+                  detectionRegions={detectionRegions} regionDrawMode={regionDrawMode}
+                  onAddRegion={handleAddRegion} onRemoveRegion={handleRemoveRegion}
                   editMode={editMode} videoTransform={videoTransform} handleDragStart={handleDragStart}
                   cropMode={cropMode} cropBounds={cropBounds} handleCropDragStart={handleCropDragStart}
                   selectedTapIndex={selectedTapIndex} tapEvents={tapEvents}
@@ -669,9 +901,12 @@ function VideoPreview({
                   videoRef={videoRef} containerRef={containerRef} calibrationStep={calibrationStep}
                   autodetectMode={autodetectMode} targetCirclePos={targetCirclePos} setTargetCirclePos={setTargetCirclePos}
                   targetCircleRadius={targetCircleRadius} setTargetCircleRadius={setTargetCircleRadius}
+                  indicatorAppearance={indicatorAppearance} setIndicatorAppearance={setIndicatorAppearance}
                   excludePosition={excludePosition} setExcludePosition={setExcludePosition}
                   excludeRadius={excludeRadius} setExcludeRadius={setExcludeRadius}
                   setIsDraggingMarker={setIsDraggingMarker} snapGuides={snapGuides}
+                  detectionRegions={detectionRegions} regionDrawMode={regionDrawMode}
+                  onAddRegion={handleAddRegion} onRemoveRegion={handleRemoveRegion}
                   editMode={editMode} videoTransform={videoTransform} handleDragStart={handleDragStart}
                   cropMode={cropMode} cropBounds={cropBounds} handleCropDragStart={handleCropDragStart}
                   selectedTapIndex={selectedTapIndex} tapEvents={tapEvents}
@@ -752,17 +987,90 @@ function VideoPreview({
             </div>
             {autodetectMode && (
               <div className="bg-mavs-navy/40 rounded-lg p-2 mb-2 border border-mavs-blue/30">
+                <p className="text-mavs-silver text-xs mb-1">Touch Indicator</p>
+                <div className="grid grid-cols-3 gap-1 mb-1">
+                  <button onClick={handleAutoPickProfile} disabled={isPickingProfile || isProcessing} className="px-1 py-1 rounded text-xs transition-all bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-50">{isPickingProfile ? 'Scoring...' : 'Auto'}</button>
+                  {Object.entries(DETECTOR_PROFILES).map(([key, profile]) => (
+                    <button key={key} title={profile.desc} onClick={() => { setDetectorProfileId(key); setProfileScores(null) }} disabled={isProcessing} className={`px-1 py-1 rounded text-xs truncate transition-all ${detectorProfile === key ? 'bg-mavs-blue text-white' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{profile.name}</button>
+                  ))}
+                </div>
+                <p className="text-mavs-silver/60 text-xs mb-2">
+                  {profileScores
+                    ? `Best match on the first seconds: ${DETECTOR_PROFILES[detectorProfile].name} (${Math.round(profileScores[detectorProfile] * 100)}%)`
+                    : DETECTOR_PROFILES[detectorProfile].desc}
+                </p>
+                <p className="text-mavs-silver text-xs mb-1">Detector</p>
+                <div className="flex gap-1 mb-1">
+                  {Object.entries(DETECTION_BACKENDS).map(([key, backend]) => (
+                    <button key={key} title={backend.desc} onClick={() => setDetectionBackendId(key)} disabled={isProcessing} className={`flex-1 px-1 py-1 rounded text-xs transition-all ${detectionBackend === key ? 'bg-mavs-blue text-white' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{backend.name}</button>
+                  ))}
+                  <button onClick={handleBenchmark} disabled={benchmarkProgress !== null || isProcessing} title="Compare speed and accuracy on this video, using the current taps as reference" className="px-2 py-1 rounded text-xs transition-all bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-50">{benchmarkProgress !== null ? `${Math.round(benchmarkProgress)}%` : 'Benchmark'}</button>
+                </div>
+                {benchmarkResult && (
+                  <table className="w-full text-xs text-mavs-silver/80 mb-2">
+                    <thead><tr className="text-mavs-silver/50"><th className="text-left font-normal">{benchmarkResult.frames} frames</th><th className="font-normal">ms/frame</th><th className="font-normal">found</th><th className="font-normal">at taps</th></tr></thead>
+                    <tbody>
+                      {Object.entries(benchmarkResult.results).map(([key, r]) => (
+                        <tr key={key}>
+                          <td>{DETECTION_BACKENDS[key].name}</td>
+                          {r.error
+                            ? <td colSpan={3} className="text-red-400 truncate" title={r.error}>{r.error}</td>
+                            : <>
+                                <td className="text-center">{r.msPerFrame.toFixed(1)}</td>
+                                <td className="text-center">{Math.round(r.detectionRate * 100)}%</td>
+                                <td className="text-center">{r.tapHitRate === null ? '-' : `${Math.round(r.tapHitRate * 100)}%`}</td>
+                              </>}
+                        </tr>
+                      ))}
+                    </tbody>
+                    {benchmarkResult.agreement !== null && <tfoot><tr><td colSpan={4} className="text-mavs-silver/50">Agree on {Math.round(benchmarkResult.agreement * 100)}% of frames</td></tr></tfoot>}
+                  </table>
+                )}
                 <p className="text-mavs-silver text-xs mb-2">Optional: Identify elements for better detection</p>
                 <div className="flex gap-1 mb-2">
                   <button onClick={() => setCalibrationStep(calibrationStep === 'circle' ? null : 'circle')} className={`flex-1 text-xs py-1.5 rounded transition-all ${calibrationStep === 'circle' ? 'bg-green-600 text-white' : targetCirclePos ? 'bg-green-900/50 text-green-400 border border-green-500/50' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{calibrationStep === 'circle' ? 'Click circle...' : targetCirclePos ? 'Circle Set' : 'Mark Circle'}</button>
                   <button onClick={() => setCalibrationStep(calibrationStep === 'menu' ? null : 'menu')} className={`flex-1 text-xs py-1.5 rounded transition-all ${calibrationStep === 'menu' ? 'bg-red-600 text-white' : excludePosition ? 'bg-red-900/50 text-red-400 border border-red-500/50' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{calibrationStep === 'menu' ? 'Click menu...' : excludePosition ? 'Menu Set' : 'Mark Menu'}</button>
                 </div>
-                <button onClick={runDetection} disabled={isProcessing} className="w-full glass-button glass-button-accent text-sm py-2 disabled:opacity-50">{isProcessing ? `Detecting... ${Math.round(processingProgress)}%` : 'Run Detection'}</button>
+                <div className="flex gap-1 mb-1">
+                  <button onClick={() => setRegionDrawMode(regionDrawMode === 'exclude' ? null : 'exclude')} className={`flex-1 text-xs py-1.5 rounded transition-all ${regionDrawMode === 'exclude' ? 'bg-red-600 text-white' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{regionDrawMode === 'exclude' ? 'Done' : '+ Exclude Area'}</button>
+                  <button onClick={() => setRegionDrawMode(regionDrawMode === 'roi' ? null : 'roi')} className={`flex-1 text-xs py-1.5 rounded transition-all ${regionDrawMode === 'roi' ? 'bg-sky-600 text-white' : detectionRegions.roi ? 'bg-sky-900/50 text-sky-400 border border-sky-500/50' : 'bg-mavs-navy/50 text-mavs-silver'}`}>{regionDrawMode === 'roi' ? 'Drag area...' : detectionRegions.roi ? 'Redraw ROI' : 'Set ROI'}</button>
+                  {(detectionRegions.exclude.length > 0 || detectionRegions.roi) && <button onClick={() => { onDetectionRegionsChange({ exclude: [], roi: null }); setRegionDrawMode(null) }} className="text-xs px-2 py-1.5 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white">Clear</button>}
+                </div>
+                {detectionRegions.exclude.length > 0 && <p className="text-mavs-silver/60 text-xs mb-2">{detectionRegions.exclude.length} excluded area{detectionRegions.exclude.length !== 1 ? 's' : ''}</p>}
+                {targetCirclePos && (
+                  <p className="text-mavs-silver/60 text-xs mb-2">
+                    {indicatorAppearance
+                      ? `Measured: ${Math.round(indicatorAppearance.radius)} px, brightness ${Math.round(indicatorAppearance.color.minBrightness)}-${Math.round(indicatorAppearance.color.maxBrightness)}${indicatorAppearance.color.minChannelDiff > 0 ? ', colored' : ''}. Drag the ring edge to correct the size`
+                      : 'No round indicator under the marker, only its position is used'}
+                  </p>
+                )}
+                <div className="flex gap-1">
+                  <button onClick={runDetection} disabled={isProcessing} className="flex-1 glass-button glass-button-accent text-sm py-2 disabled:opacity-50">{isProcessing ? `Detecting... ${Math.round(processingProgress)}%` : detectionRange ? `Detect in ${detectionRange.start.toFixed(1)}s - ${detectionRange.end.toFixed(1)}s` : 'Run Detection'}</button>
+                  {isProcessing && <button onClick={stopDetection} className="glass-button text-sm px-3 py-2 bg-red-600/50 hover:bg-red-600/70">Stop</button>}
+                </div>
                 {isProcessing && <div className="w-full h-1.5 bg-mavs-navy/50 rounded-full overflow-hidden mt-2"><div className="h-full bg-mavs-blue transition-all" style={{ width: `${processingProgress}%` }} /></div>}
+                <div className="flex gap-1 mt-2">
+                  <button onClick={() => runAlternativeDetection('transitions')} disabled={isProcessing} title="For recordings without a touch indicator: propose taps where the screen changed (pushes, modals, button highlights)" className="flex-1 text-xs py-1.5 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-50">From Screen Changes</button>
+                  <button onClick={() => runAlternativeDetection('cursor')} disabled={isProcessing} title="Desktop and Simulator recordings: follow the mouse pointer and find clicks where it stops and the UI responds" className="flex-1 text-xs py-1.5 rounded bg-mavs-navy/50 text-mavs-silver hover:text-white disabled:opacity-50">Mouse Cursor</button>
+                </div>
               </div>
             )}
+            <button onClick={() => setHideIndicator(!hideIndicator)} disabled={!indicatorTrack} title={indicatorTrack ? 'Paint the recorded touch dot out, leaving only the tap animation' : 'Run detection first: erasing follows the detected dot'} className={`w-full text-xs py-1.5 rounded transition-all mb-2 disabled:opacity-50 ${hideIndicator && indicatorTrack ? 'bg-mavs-blue text-white' : 'bg-mavs-navy/30 text-mavs-silver hover:bg-mavs-navy/50'}`}>{hideIndicator && indicatorTrack ? 'Erasing Indicator' : 'Erase Indicator'}</button>
             <button onClick={() => setShowDebug(!showDebug)} className={`w-full text-xs py-1.5 rounded transition-all mb-2 ${showDebug ? 'bg-mavs-blue text-white' : 'bg-mavs-navy/30 text-mavs-silver hover:bg-mavs-navy/50'}`}>{showDebug ? 'Debug View On' : 'Enable Debug View'}</button>
+            <div className="flex gap-1">
+              <button onClick={handleSaveTapData} disabled={tapEvents.length === 0} className="flex-1 text-xs py-1.5 rounded bg-mavs-navy/30 text-mavs-silver hover:bg-mavs-navy/50 disabled:opacity-50">Save Taps</button>
+              <button onClick={() => tapDataInputRef.current?.click()} className="flex-1 text-xs py-1.5 rounded bg-mavs-navy/30 text-mavs-silver hover:bg-mavs-navy/50">Load Taps</button>
+              <input ref={tapDataInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleLoadTapData} />
+            </div>
             {tapEvents.length > 0 && <p className="text-mavs-silver/60 text-xs mt-2">{tapEvents.length} tap{tapEvents.length !== 1 ? 's' : ''} - Select a tap to drag it</p>}
+            {transitionProposals && (
+              <p className="text-amber-400/80 text-xs mt-2">
+                {transitionProposals.fallback ? 'No touch indicator found. ' : ''}
+                {transitionProposals.count > 0
+                  ? `${transitionProposals.count} tap${transitionProposals.count !== 1 ? 's' : ''} proposed from screen changes - confirm or delete them in the Timeline`
+                  : 'No screen changes found to propose taps from'}
+              </p>
+            )}
           </div>
 
           {/* Selected Tap Editor */}
@@ -0,0 +1,244 @@
+// Detection accuracy benchmark
+// Runs the tracker, tap segmentation and refinement on frames with a known answer and
+// scores the detected taps against it: hit/miss rates and per-tap timing error.
+// Swipes, drags and two-finger gestures are scored the same way, separately from the taps.
+// Needs no DOM, so it also runs headless under Node (see cli.js).
+
+import {
+  DETECTION_FPS,
+  createCircleTracker,
+  buildTapEvents,
+  findTouchCandidates,
+  setDetectorProfile,
+  getDetectorProfileId,
+  setDetectionRegions,
+  getDetectionRegions,
+} from '../circleDetector'
+import { refineTaps } from '../tapRefinement'
+import { scoreTapConfidence } from '../tapConfidence'
+import { isGesture } from '../gestureSegmenter'
+import { EMPTY_DETECTION_REGIONS } from '../detectionRegions'
+import { createFrameBuffer, createSceneRenderer } from './syntheticFrames'
+
+// A detected tap counts as a hit on a ground truth tap this close in time and space
+export const MATCH_TIME = 0.3 // s
+export const MATCH_DISTANCE = 40 // px
+
+/**
+ * Turn a scene (see scenes.js) into a benchmark source
+ * @returns {{name, width, height, duration, frameRate, profile, regions, taps, gestures, drawFrame}}
+ */
+export function createSceneSource(scene) {
+  const { timeline, drawFrame } = createSceneRenderer(scene)
+  return {
+    name: scene.name,
+    width: scene.width,
+    height: scene.height,
+    duration: timeline.duration,
+    frameRate: scene.frameRate,
+    profile: scene.profile,
+    regions: scene.regions || null,
+    taps: timeline.taps,
+    gestures: timeline.gestures,
+    drawFrame,
+  }
+}
+
+/**
+ * Run detection on one source and score it
+ * A source is anything that can draw its frame at a time into an RGBA buffer, with
+ * annotated taps [{time, x, y, type}] - a synthetic scene, or decoded frames of a clip.
+ * Annotated gestures [{time, x, y, type}] are optional; x, y is where a gesture starts
+ * (the midpoint of the fingers for pinch and spread).
+ * The source's profile and regions are used for the run, then the previous ones restored.
+ * @param {Object} source - See createSceneSource
+ * @param {Object} options
+ * @param {Function} options.onProgress - Receives progress 0-1
+ * @returns {Promise<Object>} { name, truth, events, matches, misses, falsePositives, summary,
+ *   gestures: { truth, matches, misses, falsePositives, summary }, elapsed }
+ */
+export async function runAccuracyBenchmark(source, { onProgress } = {}) {
+  const previousProfile = getDetectorProfileId()
+  const previousRegions = getDetectionRegions()
+  if (source.profile) setDetectorProfile(source.profile)
+  setDetectionRegions(source.regions || EMPTY_DETECTION_REGIONS)
+
+  const started = performance.now()
+  try {
+    const { width, height, duration, frameRate } = source
+    const buffer = createFrameBuffer(width, height)
+    const frameInterval = 1 / DETECTION_FPS
+    const totalFrames = Math.floor(duration * DETECTION_FPS)
+
+    // Same two passes as detectCircles: coarse tracking, then refinement at the source rate
+    const tracker = createCircleTracker()
+    for (let i = 0; i < totalFrames; i++) {
+      const time = i * frameInterval
+      source.drawFrame(buffer, time)
+      tracker.track(buffer, width, height, time)
+      onProgress?.((i + 1) / totalFrames * 0.6)
+    }
+
+    const refined = await refineTaps(buildTapEvents(tracker.frameData), tracker.frameData, {
+      frameRate,
+      sampleInterval: frameInterval,
+      scanFrame: async (time) => {
+        source.drawFrame(buffer, time)
+        return findTouchCandidates(buffer, width, height, tracker.stationaryMap, time)
+      },
+      onProgress: (p) => onProgress?.(0.6 + p * 0.4),
+    })
+    const events = scoreTapConfidence(refined, tracker.frameData, tracker.getStationaryZones())
+
+    const detected = events.filter(e => e.type === 'tap' || e.type === 'longpress')
+    const { matches, misses, falsePositives } = matchTaps(detected, source.taps)
+    const gestureTruth = source.gestures || []
+    const detectedGestures = events.filter(isGesture)
+    const gestures = matchTaps(detectedGestures, gestureTruth)
+
+    return {
+      name: source.name,
+      truth: source.taps,
+      events,
+      matches,
+      misses,
+      falsePositives,
+      summary: summarizeMatches(matches, source.taps.length, detected.length),
+      gestures: {
+        truth: gestureTruth,
+        ...gestures,
+        summary: summarizeMatches(gestures.matches, gestureTruth.length, detectedGestures.length),
+      },
+      elapsed: performance.now() - started,
+    }
+  } finally {
+    setDetectorProfile(previousProfile)
+    setDetectionRegions(previousRegions)
+  }
+}
+
+/**
+ * Run several sources one after another
+ * @returns {Promise<{results: Array, summary: Object, gestureSummary: Object}>} Per-source results and
+ *   the tap and gesture totals over all of them
+ */
+export async function runBenchmarkSuite(sources, { onProgress } = {}) {
+  const results = []
+  for (let i = 0; i < sources.length; i++) {
+    results.push(await runAccuracyBenchmark(sources[i], {
+      onProgress: (p) => onProgress?.((i + p) / sources.length, sources[i].name),
+    }))
+  }
+
+  const summary = summarizeMatches(
+    results.flatMap(r => r.matches),
+    results.reduce((sum, r) => sum + r.truth.length, 0),
+    results.reduce((sum, r) => sum + r.summary.detected, 0)
+  )
+  const gestureSummary = summarizeMatches(
+    results.flatMap(r => r.gestures.matches),
+    results.reduce((sum, r) => sum + r.gestures.truth.length, 0),
+    results.reduce((sum, r) => sum + r.gestures.summary.detected, 0)
+  )
+  return { results, summary, gestureSummary }
+}
+
+/**
+ * Pair detected taps with ground truth taps (or detected gestures with ground truth gestures)
+ * Closest in time first; each tap is used at most once.
+ * @returns {{matches: Array<{truth, detected, timeError, distance, typeMatch}>, misses: Array, falsePositives: Array}}
+ *   timeError is detected minus truth (s), negative when detected early
+ */
+export function matchTaps(detected, truth, { maxTime = MATCH_TIME, maxDistance = MATCH_DISTANCE } = {}) {
+  const pairs = []
+  for (const d of detected) {
+    for (const t of truth) {
+      const timeError = d.time - t.time
+      const distance = Math.sqrt((d.x - t.x) ** 2 + (d.y - t.y) ** 2)
+      if (Math.abs(timeError) <= maxTime && distance <= maxDistance) {
+        pairs.push({ truth: t, detected: d, timeError, distance, typeMatch: d.type === t.type })
+      }
+    }
+  }
+  pairs.sort((a, b) => Math.abs(a.timeError) - Math.abs(b.timeError))
+
+  const matches = []
+  const usedTruth = new Set()
+  const usedDetected = new Set()
+  for (const pair of pairs) {
+    if (usedTruth.has(pair.truth) || usedDetected.has(pair.detected)) continue
+    usedTruth.add(pair.truth)
+    usedDetected.add(pair.detected)
+    matches.push(pair)
+  }
+  matches.sort((a, b) => a.truth.time - b.truth.time)
+
+  return {
+    matches,
+    misses: truth.filter(t => !usedTruth.has(t)),
+    falsePositives: detected.filter(d => !usedDetected.has(d)),
+  }
+}
+
+function summarizeMatches(matches, truthCount, detectedCount) {
+  const errors = matches.map(m => m.timeError)
+  const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0)
+  return {
+    truth: truthCount,
+    detected: detectedCount,
+    hits: matches.length,
+    misses: truthCount - matches.length,
+    falsePositives: detectedCount - matches.length,
+    hitRate: truthCount > 0 ? matches.length / truthCount : 1,
+    precision: detectedCount > 0 ? matches.length / detectedCount : 1,
+    typeAccuracy: matches.length > 0 ? matches.filter(m => m.typeMatch).length / matches.length : 1,
+    meanTimeError: mean(errors.map(Math.abs)),
+    maxTimeError: errors.reduce((max, e) => Math.max(max, Math.abs(e)), 0),
+    timeBias: mean(errors),
+    meanDistance: mean(matches.map(m => m.distance)),
+  }
+}
+
+/**
+ * Plain-text report of a suite run, one line per source plus totals
+ * @param {boolean} verbose - Also list every tap with its timing error, and the misses
+ */
+export function formatBenchmarkReport({ results, summary, gestureSummary }, { verbose = false } = {}) {
+  const pct = (v) => `${Math.round(v * 100)}%`.padStart(5)
+  const ms = (s) => `${Math.round(s * 1000)}ms`.padStart(6)
+  const row = (name, s, g, elapsed) => [
+    name.padEnd(22),
+    `${s.hits}/${s.truth}`.padStart(6),
+    pct(s.hitRate),
+    pct(s.precision),
+    String(s.falsePositives).padStart(4),
+    pct(s.typeAccuracy),
+    ms(s.meanTimeError),
+    ms(s.maxTimeError),
+    ms(s.timeBias),
+    `${s.meanDistance.toFixed(1)}px`.padStart(7),
+    `${g.hits}/${g.truth}`.padStart(6),
+    String(g.falsePositives).padStart(4),
+    elapsed !== undefined ? `${(elapsed / 1000).toFixed(1)}s`.padStart(6) : '',
+  ].join('  ')
+
+  const lines = [
+    ['scene'.padEnd(22), '  hits', '  hit', 'prec.', '  FP', ' type', '  mean', '   max', '  bias', '   dist', ' gest.', ' gFP', '  time'].join('  '),
+  ]
+  for (const r of results) {
+    lines.push(row(r.name, r.summary, r.gestures.summary, r.elapsed))
+    if (!verbose) continue
+    for (const m of r.matches) {
+      lines.push(`    ${m.truth.type.padEnd(9)} ${m.truth.time.toFixed(2)}s  detected ${m.detected.time.toFixed(2)}s (${m.timeError >= 0 ? '+' : ''}${Math.round(m.timeError * 1000)}ms, ${m.distance.toFixed(1)}px${m.typeMatch ? '' : `, as ${m.detected.type}`})`)
+    }
+    for (const t of r.misses) lines.push(`    missed    ${t.time.toFixed(2)}s at ${Math.round(t.x)},${Math.round(t.y)}`)
+    for (const d of r.falsePositives) lines.push(`    extra     ${d.time.toFixed(2)}s at ${Math.round(d.x)},${Math.round(d.y)}`)
+    for (const m of r.gestures.matches) {
+      lines.push(`    ${m.truth.type.padEnd(9)} ${m.truth.time.toFixed(2)}s  detected ${m.detected.time.toFixed(2)}s (${m.timeError >= 0 ? '+' : ''}${Math.round(m.timeError * 1000)}ms, ${m.distance.toFixed(1)}px${m.typeMatch ? '' : `, as ${m.detected.type}`})`)
+    }
+    for (const t of r.gestures.misses) lines.push(`    missed    ${t.type} ${t.time.toFixed(2)}s at ${Math.round(t.x)},${Math.round(t.y)}`)
+    for (const d of r.gestures.falsePositives) lines.push(`    extra     ${d.type} ${d.time.toFixed(2)}s at ${Math.round(d.x)},${Math.round(d.y)}`)
+  }
+  lines.push(row('total', summary, gestureSummary))
+  return lines.join('\n')
+}
@@ -0,0 +1,70 @@
+// Headless detection accuracy benchmark
+// Usage: npm run bench:detection [-- [--verbose] [--json] [--min-hit-rate=0.9] [--min-precision=0.95] [fixture.json ...]]
+// Without fixture files the built-in scenes are run. A fixture file holds one scene or
+// an array of them, in the shape of scenes.js.
+// With a minimum hit rate or precision the run fails (exit code 1) when the taps or the
+// gestures over all scenes fall below it, so `npm test` catches detection regressions.
+
+import { register } from 'node:module'
+import { readFile } from 'node:fs/promises'
+
+register('./resolveExtensions.js', import.meta.url)
+
+const { createSceneSource, runBenchmarkSuite, formatBenchmarkReport } = await import('./accuracyBenchmark.js')
+const { BENCHMARK_SCENES } = await import('./scenes.js')
+
+const args = process.argv.slice(2)
+const verbose = args.includes('--verbose')
+const json = args.includes('--json')
+const files = args.filter(a => !a.startsWith('--'))
+const threshold = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`))
+  return arg ? Number(arg.slice(name.length + 3)) : null
+}
+const minHitRate = threshold('min-hit-rate')
+const minPrecision = threshold('min-precision')
+
+const scenes = []
+for (const file of files) {
+  const fixture = JSON.parse(await readFile(file, 'utf8'))
+  scenes.push(...(Array.isArray(fixture) ? fixture : [fixture]))
+}
+if (scenes.length === 0) scenes.push(...BENCHMARK_SCENES)
+
+// Detector logging goes to stderr, so stdout is only the report
+console.log = (...values) => console.error(...values)
+
+const run = await runBenchmarkSuite(scenes.map(createSceneSource))
+
+if (json) {
+  process.stdout.write(JSON.stringify({
+    summary: run.summary,
+    gestureSummary: run.gestureSummary,
+    scenes: run.results.map(r => ({
+      name: r.name,
+      summary: r.summary,
+      elapsed: Math.round(r.elapsed),
+      taps: r.matches.map(m => ({ time: m.truth.time, detected: m.detected.time, timeError: m.timeError, distance: m.distance, type: m.truth.type, detectedType: m.detected.type })),
+      misses: r.misses,
+      falsePositives: r.falsePositives.map(({ time, x, y, type, confidence }) => ({ time, x, y, type, confidence })),
+      gestures: {
+        summary: r.gestures.summary,
+        matches: r.gestures.matches.map(m => ({ time: m.truth.time, detected: m.detected.time, timeError: m.timeError, distance: m.distance, type: m.truth.type, detectedType: m.detected.type })),
+        misses: r.gestures.misses,
+        falsePositives: r.gestures.falsePositives.map(({ time, x, y, type }) => ({ time, x, y, type })),
+      },
+    })),
+  }, null, 2) + '\n')
+} else {
+  process.stdout.write(formatBenchmarkReport(run, { verbose }) + '\n')
+}
+
+const failures = []
+for (const [label, summary] of [['taps', run.summary], ['gestures', run.gestureSummary]]) {
+  if (minHitRate !== null && summary.hitRate < minHitRate) failures.push(`${label} hit rate ${summary.hitRate.toFixed(2)} < ${minHitRate}`)
+  if (minPrecision !== null && summary.precision < minPrecision) failures.push(`${label} precision ${summary.precision.toFixed(2)} < ${minPrecision}`)
+}
+if (failures.length > 0) {
+  console.error(`Benchmark failed: ${failures.join(', ')}`)
+  process.exitCode = 1
+}
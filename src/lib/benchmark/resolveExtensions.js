@@ -0,0 +1,13 @@
+// Node module resolve hook for the headless benchmark
+// The app's imports leave out the .js extension (Vite resolves them); add it when a
+// relative import can't be found as written
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (err) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../')
+    if (!isRelative || err.code !== 'ERR_MODULE_NOT_FOUND') throw err
+    return nextResolve(`${specifier}.js`, context)
+  }
+}
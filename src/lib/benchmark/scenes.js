@@ -0,0 +1,168 @@
+// Built-in benchmark scenes
+// Each one scripts an indicator over a phone-sized screen (see buildSceneTimeline for the
+// script steps). The taps and gestures in the script are the ground truth. Fixture files use the same shape.
+
+// Static grey UI the AssistiveTouch profile also matches
+const MENU_BUTTON = { shape: 'circle', x: 352, y: 610, radius: 27, color: [70, 70, 70], alpha: 0.6 }
+
+// Taps spread over the screen: a short tap, a long press, and taps near the edges.
+// Between taps the dot jumps within a sample or two, like the indicator does (slower moves are drags).
+const TAP_TOUR = [
+  { show: [195, 700] },
+  { move: [120, 210], duration: 0.1 },
+  { hold: 0.4 },
+  { move: [285, 330], duration: 0.1 },
+  { hold: 0.3 },
+  { move: [200, 520], duration: 0.1 },
+  { hold: 1.0 },
+  { move: [70, 780], duration: 0.1 },
+  { hold: 0.3 },
+  { move: [310, 120], duration: 0.1 },
+  { hold: 0.4 },
+  { move: [195, 450], duration: 0.1 },
+  { hide: 0.3 },
+]
+
+export const BENCHMARK_SCENES = [
+  {
+    name: 'assistive-light',
+    description: 'AssistiveTouch dot on a light screen with the menu button parked',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'assistiveTouch',
+    background: { color: [242, 242, 247], noise: 3, elements: [MENU_BUTTON] },
+    indicator: { radius: 28, color: [60, 60, 60], alpha: 0.55 },
+    script: TAP_TOUR,
+  },
+  {
+    name: 'assistive-dark',
+    description: 'AssistiveTouch dot in dark mode',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'assistiveTouch',
+    background: { color: [28, 28, 30], noise: 3, elements: [{ ...MENU_BUTTON, color: [200, 200, 200], alpha: 0.5 }] },
+    indicator: { radius: 28, color: [210, 210, 210], alpha: 0.55 },
+    script: TAP_TOUR,
+  },
+  {
+    name: 'assistive-grey-ui',
+    description: 'AssistiveTouch dot over grey cards, toggles and avatars',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'assistiveTouch',
+    background: {
+      color: [242, 242, 247],
+      noise: 3,
+      elements: [
+        MENU_BUTTON,
+        { shape: 'rect', x: 16, y: 90, width: 358, height: 70, color: [205, 205, 210] },
+        { shape: 'rect', x: 16, y: 400, width: 358, height: 44, color: [215, 215, 220] },
+        { shape: 'rect', x: 300, y: 250, width: 52, height: 32, color: [180, 180, 185] },
+        { shape: 'circle', x: 48, y: 320, radius: 20, color: [150, 150, 155] },
+        { shape: 'circle', x: 48, y: 620, radius: 20, color: [160, 160, 165] },
+      ],
+    },
+    indicator: { radius: 28, color: [60, 60, 60], alpha: 0.55 },
+    script: TAP_TOUR,
+  },
+  {
+    name: 'android-quick-taps',
+    description: 'Android "Show taps" dots, some shorter than one coarse sample',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'androidTaps',
+    background: { color: [48, 52, 60], noise: 3, elements: [] },
+    indicator: { radius: 22, color: [255, 255, 255], alpha: 0.7 },
+    script: [
+      { hide: 0.4 },
+      { show: [100, 200] }, { hold: 0.15 }, { hide: 0.6 },
+      { show: [290, 260] }, { hold: 0.07 }, { hide: 0.6 },
+      { show: [195, 500] }, { hold: 0.3 }, { hide: 0.6 },
+      { show: [80, 700] }, { hold: 0.05 }, { hide: 0.6 },
+      { show: [300, 640] }, { hold: 0.8 }, { hide: 0.6 },
+      { show: [200, 120] }, { hold: 0.1 }, { hide: 0.5 },
+    ],
+  },
+  {
+    name: 'gesture-swipes',
+    description: 'Swipes with the finger resting before and after them, and drags, between taps',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'assistiveTouch',
+    background: { color: [242, 242, 247], noise: 3, elements: [MENU_BUTTON] },
+    indicator: { radius: 28, color: [60, 60, 60], alpha: 0.55 },
+    script: [
+      { show: [195, 700] },
+      { move: [100, 300], duration: 0.1 },
+      { hold: 0.3 },
+      { move: [340, 480], duration: 0.1 },
+      { pause: 0.3 },
+      { swipe: [40, 480], duration: 0.3 },
+      { pause: 0.3 },
+      { move: [195, 220], duration: 0.1 },
+      { hold: 0.3 },
+      { move: [100, 640], duration: 0.1 },
+      { drag: [260, 640], duration: 0.8, hold: 0.5 },
+      { pause: 0.3 },
+      { move: [200, 760], duration: 0.1 },
+      { pause: 0.3 },
+      { swipe: [200, 420], duration: 0.3 },
+      { pause: 0.3 },
+      { move: [290, 150], duration: 0.1 },
+      { hold: 0.3 },
+      { move: [80, 300], duration: 0.1 },
+      { pause: 0.1 },
+      { drag: [80, 520], duration: 1.0 },
+      { pause: 0.3 },
+      { move: [195, 450], duration: 0.1 },
+      { hide: 0.3 },
+    ],
+  },
+  {
+    name: 'two-finger',
+    description: 'Android "Show taps" spread and pinch between single taps',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'androidTaps',
+    background: { color: [48, 52, 60], noise: 3, elements: [] },
+    indicator: { radius: 22, color: [255, 255, 255], alpha: 0.7 },
+    script: [
+      { hide: 0.4 },
+      { show: [100, 200] }, { hold: 0.2 }, { hide: 0.5 },
+      { fingers: [[150, 450], [240, 450]], to: [[60, 450], [330, 450]], duration: 0.6 }, { hide: 0.5 },
+      { show: [290, 300] }, { hold: 0.2 }, { hide: 0.5 },
+      { fingers: [[70, 620], [320, 620]], to: [[150, 620], [240, 620]], duration: 0.6 }, { hide: 0.5 },
+      { show: [195, 150] }, { hold: 0.3 }, { hide: 0.4 },
+    ],
+  },
+  {
+    name: 'static-button',
+    description: 'One finger from the first frame with the menu button parked: nothing is two-finger',
+    width: 390,
+    height: 844,
+    frameRate: 30,
+    profile: 'assistiveTouch',
+    background: { color: [242, 242, 247], noise: 3, elements: [MENU_BUTTON] },
+    indicator: { radius: 28, color: [60, 60, 60], alpha: 0.55 },
+    script: [
+      { show: [200, 200] },
+      { hold: 0.3 },
+      { move: [250, 500], duration: 0.1 },
+      { hold: 0.3 },
+      { move: [260, 760], duration: 0.1 },
+      { pause: 0.3 },
+      { swipe: [260, 420], duration: 0.3 },
+      { pause: 0.3 },
+      { move: [120, 640], duration: 0.1 },
+      { hold: 0.6 },
+      { move: [195, 450], duration: 0.1 },
+      { hide: 0.3 },
+    ],
+  },
+]
@@ -0,0 +1,194 @@
+// Synthetic frames for the detection benchmark
+// Renders a scene (static UI plus a scripted touch indicator) into plain RGBA buffers,
+// so the candidate and selection logic can run without a DOM, canvas or video
+
+import { getPressType } from '../gestureSegmenter'
+import { distance } from '../videoUtils'
+
+/**
+ * Minimal stand-in for a 2D canvas context: only what the detector reads
+ * @returns {{width, height, data: Uint8ClampedArray, getImageData: Function}}
+ */
+export function createFrameBuffer(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  return {
+    width,
+    height,
+    data,
+    getImageData(x, y, w, h) {
+      if (x === 0 && y === 0 && w === width && h === height) return { data, width, height }
+      const out = new Uint8ClampedArray(w * h * 4)
+      for (let row = 0; row < h; row++) {
+        const start = ((y + row) * width + x) * 4
+        out.set(data.subarray(start, start + w * 4), row * w * 4)
+      }
+      return { data: out, width: w, height: h }
+    },
+  }
+}
+
+/**
+ * Turn a scene script into a timeline and its ground truth taps and gestures
+ * Script steps:
+ * - { show: [x, y] } the indicator appears at a point
+ * - { move: [x, y], duration } it travels there in a straight line
+ * - { hold: seconds } it stays put: a tap (or long press) starting now
+ * - { pause: seconds } it stays put without a tap (the finger landing before a gesture, or resting after it)
+ * - { hide: seconds } it is gone for a while (touch-only indicators between touches)
+ * - { swipe: [x, y], duration } / { drag: [x, y], duration, hold? } it travels there as a swipe or drag,
+ *   a drag first held in place for `hold` seconds (press and drag) when given
+ * - { fingers: [[x1, y1], [x2, y2]], to: [[x1, y1], [x2, y2]], duration } a second indicator joins the first
+ *   and both travel: a pinch or spread, placed at the midpoint. The first finger stays where it ended
+ * @returns {{segments: Array, taps: Array, gestures: Array, duration: number}}
+ *   gestures are { type, time, x, y, endTime, endX, endY }
+ */
+export function buildSceneTimeline(scene) {
+  const segments = []
+  const taps = []
+  const gestures = []
+  let time = 0
+  let position = null
+  let visible = false
+
+  for (const step of scene.script) {
+    if (step.show) {
+      position = step.show
+      visible = true
+    } else if (step.move) {
+      segments.push({ start: time, end: time + step.duration, from: position, to: step.move, visible })
+      time += step.duration
+      position = step.move
+    } else if (step.swipe || step.drag) {
+      const to = step.swipe || step.drag
+      const hold = step.hold || 0
+      if (hold > 0) segments.push({ start: time, end: time + hold, from: position, to: position, visible: true })
+      segments.push({ start: time + hold, end: time + hold + step.duration, from: position, to, visible: true })
+      gestures.push(makeGesture(step.swipe ? 'swipe' : 'drag', time, position, time + hold + step.duration, to))
+      time += hold + step.duration
+      position = to
+      visible = true
+    } else if (step.hold !== undefined) {
+      segments.push({ start: time, end: time + step.hold, from: position, to: position, visible: true })
+      taps.push({ time, x: position[0], y: position[1], duration: step.hold, type: getPressType(step.hold) })
+      time += step.hold
+      visible = true
+    } else if (step.pause !== undefined) {
+      segments.push({ start: time, end: time + step.pause, from: position, to: position, visible: true })
+      time += step.pause
+      visible = true
+    } else if (step.hide !== undefined) {
+      segments.push({ start: time, end: time + step.hide, from: position, to: position, visible: false })
+      time += step.hide
+      visible = false
+    } else if (step.fingers) {
+      const [from1, from2] = step.fingers
+      const [to1, to2] = step.to
+      segments.push({ start: time, end: time + step.duration, from: from1, to: to1, second: { from: from2, to: to2 }, visible: true })
+      const span = (a, b) => distance({ x: a[0], y: a[1] }, { x: b[0], y: b[1] })
+      const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+      const type = span(to1, to2) < span(from1, from2) ? 'pinch' : 'spread'
+      gestures.push(makeGesture(type, time, midpoint(from1, from2), time + step.duration, midpoint(to1, to2)))
+      time += step.duration
+      position = to1
+      visible = true
+    }
+  }
+
+  return { segments, taps, gestures, duration: time }
+}
+
+function makeGesture(type, time, from, endTime, to) {
+  return { type, time, x: from[0], y: from[1], endTime, endX: to[0], endY: to[1] }
+}
+
+/**
+ * Indicator positions at a time: none while hidden, two during a two-finger step
+ * @returns {Array<{x, y}>}
+ */
+export function getIndicatorPositions(timeline, time) {
+  const segment = timeline.segments.find(s => time >= s.start && time < s.end)
+  if (!segment || !segment.visible || !segment.from) return []
+  const t = segment.end > segment.start ? (time - segment.start) / (segment.end - segment.start) : 0
+  const lerp = (from, to) => ({ x: from[0] + (to[0] - from[0]) * t, y: from[1] + (to[1] - from[1]) * t })
+  const positions = [lerp(segment.from, segment.to)]
+  if (segment.second) positions.push(lerp(segment.second.from, segment.second.to))
+  return positions
+}
+
+/**
+ * Create a renderer for a scene
+ * The static background is drawn once; every frame copies it and blends the indicator on top.
+ * @returns {{timeline: Object, drawFrame: (buffer, time) => void}}
+ */
+export function createSceneRenderer(scene) {
+  const { width, height, background, indicator } = scene
+  const timeline = buildSceneTimeline(scene)
+  const base = renderBackground(width, height, background)
+
+  return {
+    timeline,
+    drawFrame(buffer, time) {
+      buffer.data.set(base)
+      getIndicatorPositions(timeline, time).forEach((position, index) => {
+        drawDisc(buffer.data, width, height, position.x, position.y, indicator.radius, indicator.color, indicator.alpha, Math.round(time * 1000) + index)
+      })
+    },
+  }
+}
+
+function renderBackground(width, height, background) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  const [r, g, b] = background.color
+  const random = seededRandom(1)
+  const noise = background.noise || 0
+
+  for (let i = 0; i < width * height; i++) {
+    const n = (random() - 0.5) * 2 * noise
+    data[i * 4] = r + n
+    data[i * 4 + 1] = g + n
+    data[i * 4 + 2] = b + n
+    data[i * 4 + 3] = 255
+  }
+
+  for (const element of background.elements || []) {
+    if (element.shape === 'circle') {
+      drawDisc(data, width, height, element.x, element.y, element.radius, element.color, element.alpha ?? 1, 0)
+    } else {
+      const alpha = element.alpha ?? 1
+      for (let y = Math.max(0, element.y); y < Math.min(height, element.y + element.height); y++) {
+        for (let x = Math.max(0, element.x); x < Math.min(width, element.x + element.width); x++) {
+          const p = (y * width + x) * 4
+          for (let c = 0; c < 3; c++) data[p + c] = data[p + c] * (1 - alpha) + element.color[c] * alpha
+        }
+      }
+    }
+  }
+
+  return data
+}
+
+// Anti-aliased, alpha-blended disc with a little per-frame noise (compression-like)
+function drawDisc(data, width, height, cx, cy, radius, color, alpha, seed) {
+  const random = seededRandom(seed + 7)
+  for (let y = Math.max(0, Math.floor(cy - radius - 1)); y <= Math.min(height - 1, Math.ceil(cy + radius + 1)); y++) {
+    for (let x = Math.max(0, Math.floor(cx - radius - 1)); x <= Math.min(width - 1, Math.ceil(cx + radius + 1)); x++) {
+      const coverage = Math.max(0, Math.min(1, radius + 0.5 - Math.sqrt((x - cx) ** 2 + (y - cy) ** 2)))
+      if (coverage === 0) continue
+      const a = coverage * alpha
+      const n = (random() - 0.5) * 4
+      const p = (y * width + x) * 4
+      for (let c = 0; c < 3; c++) data[p + c] = data[p + c] * (1 - a) + (color[c] + n) * a
+    }
+  }
+}
+
+// Small deterministic PRNG so runs are repeatable
+function seededRandom(seed) {
+  let state = (seed * 2654435761) >>> 0 || 1
+  return () => {
+    state ^= state << 13
+    state ^= state >>> 17
+    state ^= state << 5
+    return (state >>> 0) / 4294967296
+  }
+}
@@ -1,6 +1,8 @@
 // Spring-physics camera engine for smooth pan/zoom
 // Only zooms on actual taps, starts zoomed out, quick zoom out after taps
 
+import { isGesture, getGesturePoint, getEventEndTime } from './gestureSegmenter'
+
 /**
  * Camera Engine with spring-damper physics
  * - Starts fully zoomed out
@@ -43,11 +45,14 @@ export class CameraEngine {
     if (activeTap) {
       // We have an active tap - zoom in and pan to it
       this.hasHadFirstTap = true
-      this.targetX = activeTap.x
-      this.targetY = activeTap.y
+      // Swipes and drags are followed along their path
+      const target = isGesture(activeTap) ? getGesturePoint(activeTap, currentTime) : activeTap
+      this.targetX = target.x
+      this.targetY = target.y
       // Use per-tap zoom level if set, otherwise use global maxZoomLevel
       this.targetZoom = activeTap.zoomLevel || maxZoomLevel
-      this.activeTapTime = activeTap.time
+      // Gestures and long presses hold the zoom from when the finger lifts
+      this.activeTapTime = getEventEndTime(activeTap)
     } else if (this.hasHadFirstTap) {
       // No active tap - check if we should zoom out
       const timeSinceTap = currentTime - this.activeTapTime
@@ -84,7 +89,7 @@ export class CameraEngine {
     
     for (const tap of taps) {
       const tapStart = tap.time - anticipation
-      const tapEnd = tap.time + holdTime
+      const tapEnd = getEventEndTime(tap) + holdTime
       
       if (currentTime >= tapStart && currentTime <= tapEnd) {
         return tap
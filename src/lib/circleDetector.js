@@ -2,6 +2,16 @@
 // Detects the semi-transparent grey AssistiveTouch dot and tracks taps
 // Uses movement tracking to distinguish moving touch circle from stationary menu
 
+import { segmentGestures, getPressType } from './gestureSegmenter'
+import { refineTaps } from './tapRefinement'
+import { scoreTapConfidence } from './tapConfidence'
+import { DETECTOR_PROFILES, getDetectorProfile, DEFAULT_DETECTOR_PROFILE } from './detectorProfiles'
+import { findCirclesWithOpenCV } from './opencvDetector'
+import { calibrateProfile } from './indicatorCalibration'
+import { isMaskedOut, hasDetectionRegions } from './detectionRegions'
+import { distance, seekVideo } from './videoUtils'
+import { TAP_CLUSTER_DISTANCE, TAP_CLUSTER_TIME } from './tapClustering'
+
 let cv = null
 let opencvLoaded = false
 let loadingPromise = null
@@ -15,15 +25,95 @@ let stationaryPositions = new Map() // gridKey -> { x, y, frameCount, lastSeen }
 const STATIONARY_THRESHOLD = 5 // frames without movement to be considered stationary
 const STATIONARY_GRID_SIZE = 50 // grid size for stationary tracking
 
+// Candidates not chosen as a touch are kept per frame for the inspector, up to this many
+const MAX_REJECTED_PER_FRAME = 8
+
+// Second touch tracking (two-finger gestures)
+// Both touches are drawn by the same indicator, so the second must be a similar size
+const SECOND_TOUCH_MIN_GAP = 2 // primary radii between the two centres
+const SECOND_TOUCH_RADIUS_TOLERANCE = 0.35
+// A second blob is a finger once it moves this far, unless it was absent before the touch began
+const SECOND_TOUCH_MIN_MOVE = 15 // px
+const SECOND_TOUCH_TRACK_DISTANCE = 60 // px between samples to still be the same blob
+
+// Frames sampled per second of video in the coarse pass
+export const DETECTION_FPS = 10
+// Refinement only rejects positions first seen at least this long before the frame it scans
+// (the snap window), so a long press is not mistaken for UI while its start is looked for
+const REFINE_STATIONARY_LEAD = 0.2 // s
+// Profile auto-pick looks at this many frames from the opening seconds
+const AUTO_PICK_DURATION = 5 // s
+const AUTO_PICK_SAMPLES = 20
+const AUTO_PICK_PERSISTENT = 0.8 // Share of frames a blob must sit in one place to count as UI
+
+// Edge check for a calibrated indicator: ring samples just outside the blob
+const EDGE_RING_SAMPLES = 16
+const EDGE_RING_SCALE = 1.4
+
+// Refinement frame rate when the source rate is unknown (seeking a <video>)
+export const DEFAULT_SOURCE_FPS = 30
+
 // Calibration state
 let calibratedTargetPos = null
 let calibratedExcludePos = null
+let calibratedAppearance = null // Measured indicator, see indicatorCalibration.js
+
+// Detector profile (what the touch indicator looks like, see detectorProfiles.js)
+let activeProfileId = DEFAULT_DETECTOR_PROFILE
+let activeProfile = getDetectorProfile(DEFAULT_DETECTOR_PROFILE)
 
-// Set calibration positions
-export function setCalibration(targetPos, excludePos) {
+// Set calibration positions, and the appearance measured at the target if there is one
+// A measured appearance replaces the profile's color model and size range
+export function setCalibration(targetPos, excludePos, appearance = null) {
   calibratedTargetPos = targetPos
   calibratedExcludePos = excludePos
-  console.log('Calibration set - target:', targetPos, 'exclude:', excludePos)
+  calibratedAppearance = appearance
+  activeProfile = calibrateProfile(getDetectorProfile(activeProfileId), appearance)
+  console.log('Calibration set - target:', targetPos, 'exclude:', excludePos, 'measured:', !!appearance)
+}
+
+export function setDetectorProfile(id) {
+  activeProfileId = id
+  activeProfile = calibrateProfile(getDetectorProfile(id), calibratedAppearance)
+  console.log('Detector profile set:', activeProfile.name)
+}
+
+export function getDetectorProfileId() {
+  return activeProfileId
+}
+
+// Candidate search backends (both return the same circle candidates)
+export const DETECTION_BACKENDS = {
+  scan: { name: 'Pixel Scan', desc: 'Strided JS scan, runs in the detection worker' },
+  opencv: { name: 'OpenCV', desc: 'Contours with circularity and alpha-blend checks, main thread only' },
+}
+
+let activeBackend = 'scan'
+
+export function setDetectionBackend(id) {
+  activeBackend = DETECTION_BACKENDS[id] ? id : 'scan'
+  console.log('Detection backend set:', DETECTION_BACKENDS[activeBackend].name)
+}
+
+export function getDetectionBackend() {
+  return activeBackend
+}
+
+// Exclusion rectangles and region of interest drawn over the preview (see detectionRegions.js)
+let detectionRegions = null
+
+export function setDetectionRegions(regions) {
+  detectionRegions = hasDetectionRegions(regions) ? regions : null
+  console.log('Detection regions set:', regions ? `${regions.exclude.length} excluded, ROI ${regions.roi ? 'on' : 'off'}` : 'none')
+}
+
+export function getDetectionRegions() {
+  return detectionRegions
+}
+
+// Current calibration (passed on to the detection worker)
+export function getCalibration() {
+  return { targetPos: calibratedTargetPos, excludePos: calibratedExcludePos, appearance: calibratedAppearance, regions: detectionRegions }
 }
 
 // Exported for real-time debug view
@@ -153,8 +243,10 @@ function getStationaryKey(x, y) {
 
 /**
  * Check if a position is in a stationary zone (likely menu button)
+ * Never true for profiles whose indicator may legitimately stay put
  */
 function isInStationaryZone(x, y, stationaryMap) {
+  if (!activeProfile.motion.rejectStationary) return false
   const key = getStationaryKey(x, y)
   const stationary = stationaryMap.get(key)
   return stationary && stationary.frameCount >= STATIONARY_THRESHOLD
@@ -162,8 +254,10 @@ function isInStationaryZone(x, y, stationaryMap) {
 
 /**
  * Update stationary tracking for detected circles
+ * Entries keep when the position was first seen (since, seconds), so refinement can tell
+ * UI that was already there from a press that later held still.
  */
-function updateStationaryTracking(circles, frameIndex, stationaryMap) {
+function updateStationaryTracking(circles, frameIndex, time, stationaryMap) {
   // Mark all detected circles
   for (const circle of circles) {
     const key = getStationaryKey(circle.x, circle.y)
@@ -178,10 +272,10 @@ function updateStationaryTracking(circles, frameIndex, stationaryMap) {
         existing.lastSeen = frameIndex
       } else {
         // Different position in same grid - reset
-        stationaryMap.set(key, { x: circle.x, y: circle.y, frameCount: 1, lastSeen: frameIndex })
+        stationaryMap.set(key, { x: circle.x, y: circle.y, frameCount: 1, lastSeen: frameIndex, since: time })
       }
     } else {
-      stationaryMap.set(key, { x: circle.x, y: circle.y, frameCount: 1, lastSeen: frameIndex })
+      stationaryMap.set(key, { x: circle.x, y: circle.y, frameCount: 1, lastSeen: frameIndex, since: time })
     }
   }
 
@@ -196,106 +290,307 @@ function updateStationaryTracking(circles, frameIndex, stationaryMap) {
 /**
  * Detect AssistiveTouch dot by looking for grey/white semi-transparent circles
  * Uses movement tracking to distinguish from stationary menu button
+ * Seeks the given <video> on the main thread, see workerDetector.js for the worker version.
+ * With a range ({start, end} in seconds) only that part of the video is scanned.
  */
-export async function detectCircles(video, canvas, onProgress) {
+export async function detectCircles(video, canvas, onProgress, { signal, frameRate = DEFAULT_SOURCE_FPS, range = null } = {}) {
   if (!cv) {
     throw new Error('OpenCV not initialized. Call initOpenCV() first.')
   }
 
   const ctx = canvas.getContext('2d')
   const duration = video.duration
-  const fps = 10 // Sample rate
-  const frameInterval = 1 / fps
+  const frameInterval = 1 / DETECTION_FPS
 
   canvas.width = video.videoWidth
   canvas.height = video.videoHeight
 
-  const frameData = []
-  let currentTime = 0
-  const totalFrames = Math.floor(duration * fps)
-  let frameIndex = 0
-
-  // Movement tracking state
-  const history = []
-  const localStationaryMap = new Map()
-  let lastValidPosition = null
+  const tracker = createCircleTracker()
+  const endTime = range ? Math.min(range.end, duration) : duration
+  let currentTime = range ? range.start : 0
+  const totalFrames = Math.max(1, Math.floor((endTime - currentTime) * DETECTION_FPS))
 
-  while (currentTime < duration) {
-    video.currentTime = currentTime
-    await new Promise(resolve => {
-      video.onseeked = resolve
-    })
+  while (currentTime < endTime) {
+    signal?.throwIfAborted()
+    await seekVideo(video, currentTime)
 
     ctx.drawImage(video, 0, 0)
+    tracker.track(ctx, canvas.width, canvas.height, currentTime)
 
-    // Get all candidate circles (not just the best one)
-    const candidates = findAllGreyCircles(ctx, canvas.width, canvas.height)
+    onProgress((tracker.frameData.length / totalFrames) * 60)
+    currentTime += frameInterval
+  }
 
-    // Update stationary tracking with all candidates
-    updateStationaryTracking(candidates, frameIndex, localStationaryMap)
+  // Second pass at the source frame rate around taps and flickering stretches
+  const refined = await refineTaps(buildTapEvents(tracker.frameData), tracker.frameData, {
+    frameRate,
+    sampleInterval: frameInterval,
+    scanFrame: async (time) => {
+      await seekVideo(video, time)
+      ctx.drawImage(video, 0, 0)
+      return findTouchCandidates(ctx, canvas.width, canvas.height, tracker.stationaryMap, time)
+    },
+    signal,
+    onProgress: (p) => onProgress(60 + p * 40),
+  })
+  const stationaryZones = tracker.getStationaryZones()
+  const events = scoreTapConfidence(refined, tracker.frameData, stationaryZones)
 
-    // Select the best circle using movement tracking
-    const circle = selectBestCircle(
-      candidates,
-      lastValidPosition,
-      history,
-      localStationaryMap,
-      frameIndex
-    )
+  console.log(`Detected ${tracker.frameData.length} frames, events:`, countEventTypes(events))
+  console.log(`Identified ${stationaryZones.length} stationary positions (potential menu buttons)`)
 
-    if (circle) {
-      frameData.push({
-        time: currentTime,
-        x: circle.x,
-        y: circle.y,
-        radius: circle.radius,
-        brightness: circle.brightness,
-        greyScore: circle.greyScore
-      })
-
-      // Update tracking
-      history.push({ x: circle.x, y: circle.y, frame: frameIndex })
-      if (history.length > HISTORY_LENGTH) history.shift()
-      lastValidPosition = { x: circle.x, y: circle.y }
-    } else {
-      frameData.push({
-        time: currentTime,
-        x: null,
-        y: null,
-        radius: null,
-        brightness: 0,
-        greyScore: 0
-      })
+  return {
+    taps: events,
+    debugData: tracker.frameData,
+    stationaryZones,
+  }
+}
+
+/**
+ * Score every detector profile on the opening seconds and return the best one
+ * A good profile sees one blob in most frames. Blobs sitting in the same place
+ * throughout are UI, and several blobs per frame mean the color model is too loose.
+ * The video is returned to where it was.
+ * @returns {Promise<{profileId: string, scores: Object<string, number>}>} Scores are 0-1
+ */
+export async function autoPickDetectorProfile(video, canvas, onProgress = () => {}) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  const startTime = video.currentTime
+  const sampleDuration = Math.min(video.duration, AUTO_PICK_DURATION)
+
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+
+  const profileIds = Object.keys(DETECTOR_PROFILES)
+  const framesByProfile = Object.fromEntries(profileIds.map(id => [id, []]))
+
+  for (let i = 0; i < AUTO_PICK_SAMPLES; i++) {
+    await seekVideo(video, (i / AUTO_PICK_SAMPLES) * sampleDuration)
+    ctx.drawImage(video, 0, 0)
+    for (const id of profileIds) {
+      framesByProfile[id].push(findCandidateCircles(ctx, canvas.width, canvas.height, DETECTOR_PROFILES[id]))
     }
+    onProgress(((i + 1) / AUTO_PICK_SAMPLES) * 100)
+  }
+  await seekVideo(video, startTime)
 
-    frameIndex++
-    onProgress((frameIndex / totalFrames) * 60)
-    currentTime += frameInterval
+  const scores = {}
+  for (const id of profileIds) {
+    const frames = framesByProfile[id]
+
+    // Grid cells occupied in nearly every frame hold UI, not the indicator
+    const cellCounts = new Map()
+    for (const candidates of frames) {
+      for (const key of new Set(candidates.map(c => getStationaryKey(c.x, c.y)))) {
+        cellCounts.set(key, (cellCounts.get(key) || 0) + 1)
+      }
+    }
+    const isPersistent = (c) => cellCounts.get(getStationaryKey(c.x, c.y)) >= frames.length * AUTO_PICK_PERSISTENT
+
+    let hitFrames = 0
+    let hitCandidates = 0
+    for (const candidates of frames) {
+      const moving = candidates.filter(c => !isPersistent(c)).length
+      if (moving > 0) {
+        hitFrames++
+        hitCandidates += moving
+      }
+    }
+
+    const clutter = hitFrames > 0 ? hitCandidates / hitFrames : 1
+    scores[id] = (hitFrames / frames.length) / Math.max(1, clutter)
   }
 
-  // Detect taps when the circle stops moving
-  const taps = detectTapsFromMovement(frameData)
+  const profileId = profileIds.reduce((best, id) => (scores[id] > scores[best] ? id : best), profileIds[0])
+  console.log('Detector profile scores:', scores, '- best:', DETECTOR_PROFILES[profileId].name)
 
-  onProgress(80)
+  return { profileId, scores }
+}
+
+/**
+ * Create a frame-by-frame circle tracker
+ * Holds the movement tracking state between frames, so the same tracking runs
+ * for seeked <video> frames here and decoded frames in the detection worker.
+ * @returns {{frameData: Array, stationaryMap: Map, track: Function, getStationaryZones: Function}}
+ *   track(ctx, width, height, time) reads one frame and appends its entry to frameData,
+ *   getStationaryZones() lists every position that was ever held stationary
+ */
+export function createCircleTracker() {
+  const frameData = []
+  const history = []
+  const stationaryMap = new Map()
+  // stationaryMap forgets positions not seen for a while, zones keep them for the inspector
+  const stationaryZones = new Map() // gridKey -> { x, y, frames, from, to }
+  let lastValidPosition = null
+  let lastSecondPosition = null
+  // Second blob being followed: where it was first seen, whether it has moved since, and whether
+  // something already sat there before the primary touch began
+  let secondTrack = null
+  let previousCandidates = null
+  let touchStartCandidates = null // Candidates in the frame before the primary touch, null if unknown
+  let hadPrimary = false
+  let frameIndex = 0
+
+  return {
+    frameData,
+    stationaryMap,
+
+    getStationaryZones() {
+      return [...stationaryZones.values()]
+    },
+
+    track(ctx, width, height, time) {
+      // Get all candidate circles (not just the best one)
+      const candidates = findCandidateCircles(ctx, width, height)
+
+      // Update stationary tracking with all candidates
+      updateStationaryTracking(candidates, frameIndex, time, stationaryMap)
+      for (const [key, entry] of stationaryMap) {
+        if (entry.frameCount < STATIONARY_THRESHOLD) continue
+        const zone = stationaryZones.get(key)
+        if (zone) {
+          zone.frames = Math.max(zone.frames, entry.frameCount)
+          zone.to = time
+        } else {
+          stationaryZones.set(key, { x: Math.round(entry.x), y: Math.round(entry.y), frames: entry.frameCount, from: time, to: time })
+        }
+      }
+
+      // Select the best circle using movement tracking
+      const circle = selectBestCircle(
+        candidates,
+        lastValidPosition,
+        history,
+        stationaryMap,
+        frameIndex
+      )
+
+      if (circle && !hadPrimary) touchStartCandidates = previousCandidates
+      hadPrimary = !!circle
+      previousCandidates = candidates
+
+      // Second finger, tracked separately from the primary touch. The stationary zones need a few
+      // samples to build up, so a blob that neither moves nor appeared during the touch is grey UI
+      const secondCandidate = circle ? selectSecondCircle(candidates, circle, lastSecondPosition, stationaryMap) : null
+      let second = null
+      if (secondCandidate) {
+        const continues = secondTrack && distance(secondCandidate, secondTrack.last) < SECOND_TOUCH_TRACK_DISTANCE
+        if (!continues) {
+          const wasThere = !touchStartCandidates || touchStartCandidates.some(c => distance(c, secondCandidate) < SECOND_TOUCH_MIN_MOVE)
+          secondTrack = { origin: secondCandidate, last: secondCandidate, moved: false, wasThere }
+        }
+        secondTrack.last = secondCandidate
+        if (distance(secondCandidate, secondTrack.origin) >= SECOND_TOUCH_MIN_MOVE) secondTrack.moved = true
+        if (secondTrack.moved || !secondTrack.wasThere) second = secondCandidate
+      } else {
+        secondTrack = null
+      }
+      lastSecondPosition = second ? { x: second.x, y: second.y } : null
+
+      // Everything else that looked like the indicator, biggest first
+      const rejected = candidates
+        .filter(c => c !== circle && c !== second)
+        .sort((a, b) => b.pixelCount - a.pixelCount)
+        .slice(0, MAX_REJECTED_PER_FRAME)
+        .map(c => ({ x: Math.round(c.x), y: Math.round(c.y), radius: Math.round(c.radius) }))
+
+      let entry
+      if (circle) {
+        entry = {
+          time,
+          x: circle.x,
+          y: circle.y,
+          radius: circle.radius,
+          brightness: circle.brightness,
+          greyScore: circle.greyScore,
+          second: second ? { x: second.x, y: second.y, radius: second.radius } : null,
+          rejected,
+        }
+
+        // Update tracking
+        history.push({ x: circle.x, y: circle.y, frame: frameIndex })
+        if (history.length > HISTORY_LENGTH) history.shift()
+        lastValidPosition = { x: circle.x, y: circle.y }
+      } else {
+        entry = {
+          time,
+          x: null,
+          y: null,
+          radius: null,
+          brightness: 0,
+          greyScore: 0,
+          second: null,
+          rejected,
+        }
+      }
+
+      frameData.push(entry)
+      frameIndex++
+      return entry
+    },
+  }
+}
+
+/**
+ * Turn a tracked trajectory into tap and gesture events
+ * Can be called on a partial trajectory; events near its end may still change.
+ */
+export function buildTapEvents(frameData) {
+  // Split the trajectory into taps (where the circle stops), swipes/drags and two-finger gestures
+  const { taps, gestures } = segmentGestures(frameData, { touchOnly: activeProfile.motion.touchOnly })
 
   // Cluster nearby taps
-  const clusteredTaps = clusterTaps(taps, 80, 0.5)
+  const clusteredTaps = clusterTaps(taps, TAP_CLUSTER_DISTANCE, TAP_CLUSTER_TIME)
+  return [...clusteredTaps, ...gestures].sort((a, b) => a.time - b.time)
+}
 
-  onProgress(100)
+/**
+ * Merge events detected in a time range into the existing ones
+ * Existing events outside the range, and manual taps inside it, are kept as they are.
+ * Detected events within the clustering thresholds of a kept one are the same tap and dropped.
+ * @param {Array} existing - Current events, possibly edited by hand
+ * @param {Array} detected - Events from detecting the range
+ * @param {{start: number, end: number}} range - Seconds
+ * @returns {Array} Merged events, sorted by time
+ */
+export function mergeTapEvents(existing, detected, range) {
+  const inRange = (event) => event.time >= range.start && event.time <= range.end
+  const kept = existing.filter(e => !inRange(e) || e.type === 'manual')
+  const isDuplicate = (event) => kept.some(k =>
+    Math.sqrt((k.x - event.x) ** 2 + (k.y - event.y) ** 2) < TAP_CLUSTER_DISTANCE &&
+    Math.abs(k.time - event.time) < TAP_CLUSTER_TIME
+  )
+  const added = detected.filter(e => inRange(e) && !isDuplicate(e))
+  return [...kept, ...added].sort((a, b) => a.time - b.time)
+}
 
-  console.log(`Detected ${frameData.length} frames, ${taps.length} movement stops, ${clusteredTaps.length} taps`)
-  console.log(`Identified ${localStationaryMap.size} stationary positions (potential menu buttons)`)
+/**
+ * Count events by type, for logging
+ */
+export function countEventTypes(events) {
+  const counts = {}
+  for (const event of events) counts[event.type] = (counts[event.type] || 0) + 1
+  return counts
+}
 
-  return {
-    taps: clusteredTaps,
-    debugData: frameData
+/**
+ * Find candidate circles with the given backend
+ * OpenCV is only loaded on the main thread, so the worker always uses the scan.
+ */
+export function findCandidateCircles(ctx, width, height, profile = activeProfile, backend = activeBackend) {
+  if (backend === 'opencv') {
+    if (!cv) throw new Error('OpenCV not initialized. Call initOpenCV() first.')
+    return findCirclesWithOpenCV(cv, ctx, width, height, profile)
   }
+  return findAllGreyCircles(ctx, width, height, profile)
 }
 
 /**
  * Find ALL grey circles in the frame (not just best one)
+ * "Grey" is the AssistiveTouch look, other profiles bring their own color model and size range
  */
-function findAllGreyCircles(ctx, width, height) {
+function findAllGreyCircles(ctx, width, height, profile = activeProfile) {
+  const { color, size } = profile
   const step = 4
   const imageData = ctx.getImageData(0, 0, width, height)
   const data = imageData.data
@@ -305,6 +600,8 @@ function findAllGreyCircles(ctx, width, height) {
 
   for (let y = 0; y < height; y += step) {
     for (let x = 0; x < width; x += step) {
+      if (detectionRegions && isMaskedOut(detectionRegions, x, y)) continue
+
       const i = (y * width + x) * 4
       const r = data[i]
       const g = data[i + 1]
@@ -313,7 +610,8 @@ function findAllGreyCircles(ctx, width, height) {
       const avg = (r + g + b) / 3
       const maxDiff = Math.max(Math.abs(r - avg), Math.abs(g - avg), Math.abs(b - avg))
 
-      if (maxDiff < 30 && avg > 90 && avg < 230) {
+      if (maxDiff >= color.minChannelDiff && maxDiff < color.maxChannelDiff &&
+          avg > color.minBrightness && avg < color.maxBrightness) {
         const gx = Math.floor(x / gridSize)
         const gy = Math.floor(y / gridSize)
         const key = `${gx},${gy}`
@@ -377,8 +675,10 @@ function findAllGreyCircles(ctx, width, height) {
       const expectedArea = Math.PI * radius * radius
       const circularity = expectedArea > 0 ? estimatedPixels / expectedArea : 0
 
-      // Only include reasonably circular blobs with valid size
-      if (radius >= 15 && radius <= 120 && circularity > 0.2 && circularity < 1.5) {
+      // Only include reasonably circular blobs with valid size (and a calibrated edge, if measured)
+      if (radius >= size.minRadius && radius <= size.maxRadius &&
+          circularity > size.minCircularity && circularity < size.maxCircularity &&
+          hasEdgeContrast(data, width, height, centerX, centerY, radius, avgBrightness, profile.edge)) {
         circles.push({
           x: centerX,
           y: centerY,
@@ -394,6 +694,28 @@ function findAllGreyCircles(ctx, width, height) {
   return circles
 }
 
+/**
+ * Check a blob stands out from a ring around it as much as the calibrated indicator did
+ * Always true without a measured edge.
+ */
+function hasEdgeContrast(data, width, height, cx, cy, radius, brightness, edge) {
+  if (!edge || !edge.minContrast) return true
+
+  let sum = 0
+  let count = 0
+  for (let i = 0; i < EDGE_RING_SAMPLES; i++) {
+    const angle = (i / EDGE_RING_SAMPLES) * Math.PI * 2
+    const x = Math.round(cx + Math.cos(angle) * radius * EDGE_RING_SCALE)
+    const y = Math.round(cy + Math.sin(angle) * radius * EDGE_RING_SCALE)
+    if (x < 0 || y < 0 || x >= width || y >= height) continue
+    const p = (y * width + x) * 4
+    sum += (data[p] + data[p + 1] + data[p + 2]) / 3
+    count++
+  }
+
+  return count === 0 || Math.abs(brightness - sum / count) >= edge.minContrast
+}
+
 /**
  * Select the best circle using movement tracking logic
  * Rejects stationary objects (menu button) and prefers trajectory-consistent motion
@@ -423,6 +745,11 @@ function selectBestCircle(candidates, lastPosition, history, stationaryMap, fram
       score *= 0.1 // Heavy penalty for somewhat stationary positions
     }
 
+    // === DETECTION REGIONS ===
+    // Centres in an exclusion or outside the ROI are skipped (the OpenCV backend
+    // does not mask pixels, so this is the check that covers it)
+    if (isMaskedOut(detectionRegions, circle.x, circle.y)) continue
+
     // === CALIBRATION EXCLUSION ===
     if (calibratedExcludePos) {
       const distToExclude = Math.sqrt(
@@ -498,71 +825,82 @@ function selectBestCircle(candidates, lastPosition, history, stationaryMap, fram
 }
 
 /**
- * Legacy function for backward compatibility with live debug view
+ * Candidate touch circles in one frame, without movement tracking
+ * For the refinement pass, which only visits short windows. Positions the coarse
+ * pass found stationary, the calibrated menu and masked regions are left out.
+ * @param {number} time - Frame time: only positions already there well before it count as stationary
  */
-function findGreyCircle(ctx, width, height, lastPosition, history = [], stationaryMap = new Map()) {
-  const candidates = findAllGreyCircles(ctx, width, height)
-  return selectBestCircle(candidates, lastPosition, history, stationaryMap, 0)
+export function findTouchCandidates(ctx, width, height, stationaryMap = new Map(), time = Infinity) {
+  return findCandidateCircles(ctx, width, height).filter(circle => {
+    const stationary = activeProfile.motion.rejectStationary && stationaryMap.get(getStationaryKey(circle.x, circle.y))
+    if (stationary && stationary.frameCount >= STATIONARY_THRESHOLD * 2 && stationary.since < time - REFINE_STATIONARY_LEAD) return false
+    if (isMaskedOut(detectionRegions, circle.x, circle.y)) return false
+
+    if (calibratedExcludePos) {
+      const distToExclude = Math.sqrt(
+        (circle.x - calibratedExcludePos.x) ** 2 +
+        (circle.y - calibratedExcludePos.y) ** 2
+      )
+      if (distToExclude < 60) return false
+    }
+    return true
+  })
 }
 
 /**
- * Detect taps by finding moments where the dot stops moving
+ * Select a second touch alongside the primary circle, or null for a single touch
+ * Only moving, indicator-sized blobs away from the primary count, so menu
+ * buttons and other grey UI do not become a phantom finger.
  */
-function detectTapsFromMovement(frameData) {
-  const taps = []
-  const movementThreshold = 15
-  const minPauseFrames = 2
-
-  let pauseStart = null
-  let pausePosition = null
-
-  for (let i = 1; i < frameData.length; i++) {
-    const prev = frameData[i - 1]
-    const curr = frameData[i]
-
-    if (curr.x === null || prev.x === null) {
-      if (pauseStart !== null && (i - pauseStart) >= minPauseFrames) {
-        taps.push({
-          time: frameData[pauseStart].time,
-          x: Math.round(pausePosition.x),
-          y: Math.round(pausePosition.y)
-        })
-      }
-      pauseStart = null
-      continue
-    }
+function selectSecondCircle(candidates, primary, lastPosition, stationaryMap) {
+  let bestCircle = null
+  let bestScore = 0
 
-    const movement = Math.sqrt((curr.x - prev.x) ** 2 + (curr.y - prev.y) ** 2)
+  for (const circle of candidates) {
+    if (circle === primary) continue
 
-    if (movement < movementThreshold) {
-      if (pauseStart === null) {
-        pauseStart = i
-        pausePosition = { x: curr.x, y: curr.y }
-      }
-    } else {
-      if (pauseStart !== null) {
-        const pauseLength = i - pauseStart
-        if (pauseLength >= minPauseFrames) {
-          taps.push({
-            time: frameData[pauseStart].time,
-            x: Math.round(pausePosition.x),
-            y: Math.round(pausePosition.y)
-          })
-        }
+    const distToPrimary = Math.sqrt((circle.x - primary.x) ** 2 + (circle.y - primary.y) ** 2)
+    if (distToPrimary < primary.radius * SECOND_TOUCH_MIN_GAP) continue
+    if (Math.abs(circle.radius - primary.radius) > primary.radius * SECOND_TOUCH_RADIUS_TOLERANCE) continue
+    if (isInStationaryZone(circle.x, circle.y, stationaryMap)) continue
+    if (isMaskedOut(detectionRegions, circle.x, circle.y)) continue
+
+    if (calibratedExcludePos) {
+      const distToExclude = Math.sqrt(
+        (circle.x - calibratedExcludePos.x) ** 2 +
+        (circle.y - calibratedExcludePos.y) ** 2
+      )
+      if (distToExclude < 60) continue
+    }
+
+    let score = circle.pixelCount
+    if (lastPosition) {
+      const distFromLast = Math.sqrt(
+        (circle.x - lastPosition.x) ** 2 +
+        (circle.y - lastPosition.y) ** 2
+      )
+      if (distFromLast < 60) {
+        score *= 2
+      } else if (distFromLast < 120) {
+        score *= 1.2
       }
-      pauseStart = null
     }
-  }
 
-  if (pauseStart !== null && (frameData.length - pauseStart) >= minPauseFrames) {
-    taps.push({
-      time: frameData[pauseStart].time,
-      x: Math.round(pausePosition.x),
-      y: Math.round(pausePosition.y)
-    })
+    if (score > bestScore) {
+      bestScore = score
+      bestCircle = circle
+    }
   }
 
-  return taps
+  return bestCircle
+}
+
+/**
+ * Legacy function for backward compatibility with live debug view
+ */
+function findGreyCircle(ctx, width, height, lastPosition, history = [], stationaryMap = new Map()) {
+  const candidates = findCandidateCircles(ctx, width, height)
+  return selectBestCircle(candidates, lastPosition, history, stationaryMap, 0)
 }
 
 /**
@@ -593,10 +931,16 @@ function clusterTaps(taps, distThreshold, timeThreshold) {
   }
   clusters.push(currentCluster)
 
-  return clusters.map(cluster => ({
-    time: cluster[0].time,
-    x: cluster[0].x,
-    y: cluster[0].y,
-    type: 'tap'
-  }))
+  return clusters.map(cluster => {
+    // A press split by jitter lasts from the first stop to the end of the last
+    const last = cluster[cluster.length - 1]
+    const duration = last.time + (last.duration || 0) - cluster[0].time
+    return {
+      time: cluster[0].time,
+      x: cluster[0].x,
+      y: cluster[0].y,
+      duration,
+      type: getPressType(duration)
+    }
+  })
 }
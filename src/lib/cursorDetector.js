@@ -0,0 +1,290 @@
+// Mouse cursor click detection for desktop and Simulator recordings
+// Follows a standard arrow or hand cursor across frames by template matching (see
+// cursorTemplates.js), and infers clicks where it dwells and the UI responds nearby.
+// Emits the same tap events circleDetector does, so the camera and renderer work unchanged.
+
+import { DETECTION_FPS, getDetectionRegions } from './circleDetector'
+import { buildCursorTemplates } from './cursorTemplates'
+import { isMaskedOut } from './detectionRegions'
+import { REVIEW_THRESHOLD } from './tapConfidence'
+import { seekVideo, toLuma } from './videoUtils'
+
+// Match score (0-1): outline/fill contrast minus how uneven each of them is
+const MIN_SCORE = 0.3
+// Cheap pre-check: every key fill pixel must differ from every key outline pixel by this much
+const KEY_CONTRAST = 60 // luma
+// Search around the last position while it is this recent
+const SEARCH_RADIUS = 120 // px
+const LOST_AFTER = 1 // s
+// Not found there (a fast move, or lost): search the whole frame, at most this often
+const REACQUIRE_INTERVAL = 0.5 // s
+// Matches at one scale before only that scale is searched
+const SCALE_LOCK_MATCHES = 3
+
+// Change grid kept per frame for the response check
+const CHANGE_CELL = 40 // px
+const CHANGE_STRIDE = 2 // px between compared pixels
+const PIXEL_CHANGE = 24 // luma
+
+// Click inference
+const DWELL_DISTANCE = 4 // px the hotspot may drift while dwelling
+const MIN_DWELL_FRAMES = 2
+const RESPONSE_RADIUS = 150 // px around the dwell that count as nearby
+const RESPONSE_WINDOW = 0.5 // s after the dwell ends
+const LOCAL_RESPONSE = 0.15 // share of one nearby cell's pixels that changed
+const SCREEN_RESPONSE = 0.3 // share of the screen (a page or view transition)
+const CLICK_LEAD = 0.1 // s, the UI responds a little after the click
+const CONFIDENCE = { local: 0.8, screen: 0.55 }
+
+/**
+ * Detect clicks of a mouse cursor by seeking the given <video>
+ * @returns {Promise<{taps: Array, debugData: Array, stationaryZones: Array}>} Same shape as detectCircles:
+ *   taps carry source 'cursor' and a confidence, debugData is the cursor trajectory (x, y and radius
+ *   cover the whole cursor, hotspotX/hotspotY are where it points)
+ */
+export async function detectCursorClicks(video, canvas, onProgress, { signal } = {}) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+
+  const tracker = createCursorTracker()
+  const interval = 1 / DETECTION_FPS
+  const total = Math.floor(video.duration * DETECTION_FPS)
+  for (let i = 0; i < total; i++) {
+    signal?.throwIfAborted()
+    await seekVideo(video, i * interval)
+    ctx.drawImage(video, 0, 0)
+    tracker.track(ctx, canvas.width, canvas.height, i * interval)
+    onProgress(((i + 1) / total) * 100)
+  }
+
+  const taps = tracker.inferClicks()
+  const found = tracker.frameData.filter(f => f.x !== null).length
+  console.log(`Cursor found in ${found} of ${tracker.frameData.length} frames, ${taps.length} clicks`)
+  return { taps, debugData: tracker.frameData, stationaryZones: [] }
+}
+
+/**
+ * Create a frame-by-frame cursor tracker
+ * @returns {{frameData: Array, track: Function, inferClicks: Function}}
+ *   track(ctx, width, height, time) reads one frame and appends its entry to frameData,
+ *   inferClicks() turns what was tracked so far into tap events
+ */
+export function createCursorTracker(templates = buildCursorTemplates()) {
+  const frameData = []
+  const changeGrids = [] // Per frame: share of changed pixels per cell, cursor left out
+  const scaleMatches = new Map()
+  let lockedScale = null
+  let last = null // Last match { hotspotX, hotspotY, template, time }
+  let lastGlobalSearch = -Infinity
+  let previousLuma = null
+  let gridSize = null
+
+  return {
+    frameData,
+
+    track(ctx, width, height, time) {
+      const luma = toLuma(ctx.getImageData(0, 0, width, height).data)
+      const candidates = lockedScale ? templates.filter(t => t.scale === lockedScale) : templates
+      const regions = getDetectionRegions()
+
+      let match = last && time - last.time <= LOST_AFTER ? findCursor(luma, width, height, candidates, regions, last) : null
+      if (!match && time - lastGlobalSearch >= REACQUIRE_INTERVAL) {
+        lastGlobalSearch = time
+        match = findCursor(luma, width, height, candidates, regions, null)
+      }
+
+      if (match && !lockedScale) {
+        const count = (scaleMatches.get(match.template.scale) || 0) + 1
+        scaleMatches.set(match.template.scale, count)
+        if (count >= SCALE_LOCK_MATCHES) lockedScale = match.template.scale
+      }
+
+      gridSize = gridSize || { cols: Math.ceil(width / CHANGE_CELL), rows: Math.ceil(height / CHANGE_CELL) }
+      const cursorBoxes = [last, match].filter(Boolean).map(m => cursorBox(m))
+      changeGrids.push(previousLuma ? measureChanges(previousLuma, luma, width, height, gridSize, cursorBoxes) : null)
+      previousLuma = luma
+
+      let entry
+      if (match) {
+        const { template } = match
+        entry = {
+          time,
+          x: match.hotspotX + template.center.x,
+          y: match.hotspotY + template.center.y,
+          radius: template.radius,
+          hotspotX: match.hotspotX,
+          hotspotY: match.hotspotY,
+          cursor: template.shape,
+          brightness: 0,
+          greyScore: match.score,
+          second: null,
+          rejected: [],
+        }
+        last = { ...match, time }
+      } else {
+        entry = { time, x: null, y: null, radius: null, hotspotX: null, hotspotY: null, cursor: null, brightness: 0, greyScore: 0, second: null, rejected: [] }
+      }
+      frameData.push(entry)
+      return entry
+    },
+
+    inferClicks() {
+      return inferClicks(frameData, changeGrids, gridSize)
+    },
+  }
+}
+
+/**
+ * Best template match, around `near` or over the whole frame
+ * @returns {{hotspotX, hotspotY, template, score}|null}
+ */
+function findCursor(luma, width, height, templates, regions, near) {
+  let best = null
+  for (const t of templates) {
+    const xMin = Math.max(-t.box.x0, near ? near.hotspotX - SEARCH_RADIUS : 0)
+    const xMax = Math.min(width - 1 - t.box.x1, near ? near.hotspotX + SEARCH_RADIUS : width)
+    const yMin = Math.max(-t.box.y0, near ? near.hotspotY - SEARCH_RADIUS : 0)
+    const yMax = Math.min(height - 1 - t.box.y1, near ? near.hotspotY + SEARCH_RADIUS : height)
+
+    for (let y = yMin; y <= yMax; y++) {
+      for (let x = xMin; x <= xMax; x++) {
+        if (!passesKeyCheck(luma, width, t, x, y)) continue
+        const score = scoreMatch(luma, width, t, x, y)
+        if (score < MIN_SCORE || (best && score <= best.score)) continue
+        if (isMaskedOut(regions, x, y)) continue
+        best = { hotspotX: x, hotspotY: y, template: t, score }
+      }
+    }
+  }
+  return best
+}
+
+function passesKeyCheck(luma, width, t, x, y) {
+  const k = t.keySamples
+  let maxFill = -Infinity
+  let minFill = Infinity
+  let maxOutline = -Infinity
+  let minOutline = Infinity
+  for (let i = 0; i < k.length; i += 2) {
+    const v = luma[(y + k[i + 1]) * width + x + k[i]]
+    if (i < 6) {
+      maxFill = Math.max(maxFill, v)
+      minFill = Math.min(minFill, v)
+    } else {
+      maxOutline = Math.max(maxOutline, v)
+      minOutline = Math.min(minOutline, v)
+    }
+  }
+  return t.fill === 'dark' ? minOutline - maxFill >= KEY_CONTRAST : minFill - maxOutline >= KEY_CONTRAST
+}
+
+function scoreMatch(luma, width, t, x, y) {
+  const fill = sampleStats(luma, width, t.fillSamples, x, y)
+  const outline = sampleStats(luma, width, t.outlineSamples, x, y)
+  const contrast = t.fill === 'dark' ? outline.mean - fill.mean : fill.mean - outline.mean
+  return (contrast - fill.sd - outline.sd) / 255
+}
+
+function sampleStats(luma, width, samples, x, y) {
+  let sum = 0
+  let sumSq = 0
+  const n = samples.length / 2
+  for (let i = 0; i < samples.length; i += 2) {
+    const v = luma[(y + samples[i + 1]) * width + x + samples[i]]
+    sum += v
+    sumSq += v * v
+  }
+  const mean = sum / n
+  return { mean, sd: Math.sqrt(Math.max(0, sumSq / n - mean * mean)) }
+}
+
+function cursorBox(match) {
+  const { box } = match.template
+  return { x0: match.hotspotX + box.x0 - 2, y0: match.hotspotY + box.y0 - 2, x1: match.hotspotX + box.x1 + 2, y1: match.hotspotY + box.y1 + 2 }
+}
+
+// Share of changed pixels per grid cell, skipping the cursor itself
+function measureChanges(previous, current, width, height, { cols, rows }, cursorBoxes) {
+  const changed = new Float32Array(cols * rows)
+  const counted = new Float32Array(cols * rows)
+  for (let y = 0; y < height; y += CHANGE_STRIDE) {
+    for (let x = 0; x < width; x += CHANGE_STRIDE) {
+      if (cursorBoxes.some(b => x >= b.x0 && x <= b.x1 && y >= b.y0 && y <= b.y1)) continue
+      const cell = Math.floor(y / CHANGE_CELL) * cols + Math.floor(x / CHANGE_CELL)
+      counted[cell]++
+      const i = y * width + x
+      if (Math.abs(current[i] - previous[i]) > PIXEL_CHANGE) changed[cell]++
+    }
+  }
+  for (let i = 0; i < changed.length; i++) changed[i] = counted[i] > 0 ? changed[i] / counted[i] : 0
+  return changed
+}
+
+/**
+ * Clicks from the tracked cursor
+ * A click is a dwell (the hotspot holding still for 2+ samples) followed by the UI changing
+ * near it, or across the whole screen, after the dwell began and before the cursor dwells
+ * anywhere else. Changes while the cursor arrives are hover effects and don't count.
+ */
+function inferClicks(frameData, changeGrids, gridSize) {
+  if (!gridSize) return []
+  const interval = 1 / DETECTION_FPS
+  const windowFrames = Math.round(RESPONSE_WINDOW / interval)
+
+  // Dwells: runs of found frames with the hotspot within DWELL_DISTANCE of where the run started
+  const dwells = []
+  let run = null
+  frameData.forEach((f, i) => {
+    const still = run && f.x !== null && Math.hypot(f.hotspotX - run.x, f.hotspotY - run.y) <= DWELL_DISTANCE
+    if (still) {
+      run.end = i
+      return
+    }
+    if (run && run.end - run.start + 1 >= MIN_DWELL_FRAMES) dwells.push(run)
+    run = f.x !== null ? { start: i, end: i, x: f.hotspotX, y: f.hotspotY } : null
+  })
+  if (run && run.end - run.start + 1 >= MIN_DWELL_FRAMES) dwells.push(run)
+
+  const taps = []
+  dwells.forEach((dwell, d) => {
+    const nextStart = dwells[d + 1]?.start ?? frameData.length
+    const last = Math.min(dwell.end + windowFrames, nextStart, frameData.length - 1)
+    const nearby = nearbyCells(dwell, gridSize)
+
+    for (let i = dwell.start + 1; i <= last; i++) {
+      const grid = changeGrids[i]
+      if (!grid) continue
+      const local = nearby.reduce((max, c) => Math.max(max, grid[c]), 0)
+      const screen = grid.reduce((sum, v) => sum + v, 0) / grid.length
+      const kind = local >= LOCAL_RESPONSE ? 'local' : screen >= SCREEN_RESPONSE ? 'screen' : null
+      if (!kind) continue
+
+      const confidence = CONFIDENCE[kind]
+      taps.push({
+        time: Math.max(frameData[dwell.start].time, frameData[i].time - CLICK_LEAD),
+        x: dwell.x,
+        y: dwell.y,
+        duration: 0,
+        type: 'tap',
+        source: 'cursor',
+        confidence,
+        needsReview: confidence < REVIEW_THRESHOLD,
+      })
+      break
+    }
+  })
+  return taps
+}
+
+function nearbyCells(point, { cols, rows }) {
+  const cells = []
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cx = (col + 0.5) * CHANGE_CELL
+      const cy = (row + 0.5) * CHANGE_CELL
+      if (Math.hypot(cx - point.x, cy - point.y) <= RESPONSE_RADIUS) cells.push(row * cols + col)
+    }
+  }
+  return cells
+}
@@ -0,0 +1,106 @@
+// Mouse cursor templates for cursorDetector.js
+// Standard cursors traced at 1x with the hotspot at the origin, rasterized per scale into
+// the pixels that must be outline and the pixels that must be fill - all matching looks at
+
+// Silhouettes (outer edge, outline included) in 1x pixels
+const ARROW = [[0, 0], [0, 17], [4, 13], [7, 20], [10, 19], [7, 12], [12, 12]]
+const HAND = [[-1, 0], [1, 0], [2, 1], [2, 7], [5, 8], [8, 9], [11, 10], [11, 16], [9, 20], [1, 20], [-2, 16], [-5, 12], [-5, 10], [-4, 9], [-2, 10], [-2, 1]]
+
+/**
+ * Cursor shapes
+ * fill 'dark': black body with a white outline (macOS, most Linux themes)
+ * fill 'light': white body with a black outline (Windows, link hands)
+ */
+export const CURSOR_SHAPES = {
+  darkArrow: { name: 'Arrow (macOS / Linux)', outline: ARROW, fill: 'dark' },
+  lightArrow: { name: 'Arrow (Windows)', outline: ARROW, fill: 'light' },
+  hand: { name: 'Link hand', outline: HAND, fill: 'light' },
+}
+
+// Recorded cursor sizes: standard, 150% scaling, Retina, and enlarged accessibility cursors
+export const CURSOR_SCALES = [1, 1.5, 2, 3]
+
+const OUTLINE_WIDTH = 1 // px at 1x
+// Pixels closer to the outline than this are left out of the fill (anti-aliasing)
+const FILL_MARGIN = 0.7 // px
+const MAX_SAMPLES = 48
+
+/**
+ * Rasterize every shape at every scale
+ * @returns {Array<Object>} Templates { id, shape, scale, fill, fillSamples, outlineSamples, keySamples, box, center, radius }.
+ *   Samples are flat [dx, dy, ...] offsets from the hotspot; keySamples are 3 fill then 3 outline
+ *   offsets used to reject positions cheaply. box bounds the cursor, center/radius cover it.
+ */
+export function buildCursorTemplates(shapes = CURSOR_SHAPES, scales = CURSOR_SCALES) {
+  const templates = []
+  for (const [shapeId, shape] of Object.entries(shapes)) {
+    for (const scale of scales) {
+      templates.push(rasterize(shapeId, shape, scale))
+    }
+  }
+  return templates
+}
+
+function rasterize(shapeId, shape, scale) {
+  const polygon = shape.outline.map(([x, y]) => [x * scale, y * scale])
+  const xs = polygon.map(p => p[0])
+  const ys = polygon.map(p => p[1])
+  const box = { x0: Math.floor(Math.min(...xs)), y0: Math.floor(Math.min(...ys)), x1: Math.ceil(Math.max(...xs)), y1: Math.ceil(Math.max(...ys)) }
+
+  const outlineWidth = OUTLINE_WIDTH * scale
+  const fill = []
+  const outline = []
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) {
+      const px = x + 0.5
+      const py = y + 0.5
+      if (!insidePolygon(polygon, px, py)) continue
+      const d = edgeDistance(polygon, px, py)
+      if (d <= outlineWidth && d >= 0.3) outline.push([x, y])
+      else if (d >= outlineWidth + FILL_MARGIN) fill.push([x, y])
+    }
+  }
+
+  const fillSamples = spread(fill, MAX_SAMPLES)
+  const outlineSamples = spread(outline, MAX_SAMPLES)
+  return {
+    id: `${shapeId}@${scale}x`,
+    shape: shapeId,
+    scale,
+    fill: shape.fill,
+    fillSamples: Int16Array.from(fillSamples.flat()),
+    outlineSamples: Int16Array.from(outlineSamples.flat()),
+    keySamples: Int16Array.from([...spread(fillSamples, 3), ...spread(outlineSamples, 3)].flat()),
+    box,
+    center: { x: (box.x0 + box.x1) / 2, y: (box.y0 + box.y1) / 2 },
+    radius: Math.sqrt((box.x1 - box.x0) ** 2 + (box.y1 - box.y0) ** 2) / 2,
+  }
+}
+
+// Up to `count` items evenly spread over the list
+function spread(items, count) {
+  if (items.length <= count) return items
+  return Array.from({ length: count }, (_, i) => items[Math.floor((i * items.length) / count)])
+}
+
+function insidePolygon(polygon, x, y) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i]
+    const [xj, yj] = polygon[j]
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+function edgeDistance(polygon, x, y) {
+  let min = Infinity
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [ax, ay] = polygon[j]
+    const [bx, by] = polygon[i]
+    const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / lengthSq)) : 0
+    min = Math.min(min, Math.sqrt((x - ax - t * (bx - ax)) ** 2 + (y - ay - t * (by - ay)) ** 2))
+  }
+  return min
+}
@@ -0,0 +1,40 @@
+// Detection regions drawn over the preview
+// Any number of exclusion rectangles (static grey UI: toggles, avatars, the menu button)
+// and an optional region of interest. Rectangles are {x, y, width, height} in video pixels.
+
+export const EMPTY_DETECTION_REGIONS = { exclude: [], roi: null }
+
+// Rectangles smaller than this are a click, not a drawn region
+const MIN_REGION_SIZE = 10 // px
+
+/**
+ * Check whether a point is left out of detection: inside an exclusion, or outside the ROI
+ */
+export function isMaskedOut(regions, x, y) {
+  if (!regions) return false
+  if (regions.roi && !containsPoint(regions.roi, x, y)) return true
+  return regions.exclude.some(rect => containsPoint(rect, x, y))
+}
+
+/**
+ * Check whether any region is set
+ */
+export function hasDetectionRegions(regions) {
+  return !!regions && (regions.exclude.length > 0 || !!regions.roi)
+}
+
+/**
+ * Rectangle between two drag points, clamped to the video, or null when too small
+ */
+export function rectFromDrag(start, end, videoW, videoH) {
+  const x = Math.max(0, Math.min(start.x, end.x))
+  const y = Math.max(0, Math.min(start.y, end.y))
+  const width = Math.min(videoW, Math.max(start.x, end.x)) - x
+  const height = Math.min(videoH, Math.max(start.y, end.y)) - y
+  if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) return null
+  return { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) }
+}
+
+function containsPoint(rect, x, y) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+}
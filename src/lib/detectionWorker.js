@@ -0,0 +1,114 @@
+/**
+ * Detection worker
+ * Runs circle tracking off the main thread on frames from VideoDecoder, drawn
+ * into an OffscreenCanvas, so the editor stays responsive on long recordings.
+ * The coarse pass streams partial results, the refinement pass then re-decodes
+ * the windows it needs at the source frame rate, starting at the keyframe before each.
+ *
+ * Messages in:  { type: 'start', videoFile, videoInfo, calibration, profile, range } | { type: 'cancel' }
+ *               range is { start, end } in seconds, or null for the whole video
+ * Messages out: { type: 'progress', percent } | { type: 'partial', taps }
+ *               | { type: 'done', result: { taps, debugData, stationaryZones } } | { type: 'error', error }
+ */
+
+import {
+  createCircleTracker,
+  buildTapEvents,
+  findTouchCandidates,
+  countEventTypes,
+  setCalibration,
+  setDetectorProfile,
+  setDetectionRegions,
+  DETECTION_FPS,
+  DEFAULT_SOURCE_FPS,
+} from './circleDetector'
+import { refineTaps } from './tapRefinement'
+import { scoreTapConfidence } from './tapConfidence'
+import { createDecodedFrameSource } from './export/frameSource'
+
+// Send the events found so far every couple of seconds of video
+const PARTIAL_INTERVAL = DETECTION_FPS * 2
+
+let controller = null
+
+self.onmessage = async (e) => {
+  const { type } = e.data
+
+  if (type === 'cancel') {
+    if (controller) controller.abort()
+    return
+  }
+
+  if (type !== 'start') return
+
+  const { videoFile, videoInfo, calibration, profile, range } = e.data
+  controller = new AbortController()
+  const { signal } = controller
+  let frameSource = null
+
+  try {
+    // Calibration, regions and profile live in module state, which the worker has its own copy of
+    setCalibration(calibration.targetPos, calibration.excludePos, calibration.appearance)
+    setDetectionRegions(calibration.regions)
+    setDetectorProfile(profile)
+    // Decoding starts at the keyframe before the range, not at the start of the file
+    frameSource = await createDecodedFrameSource(videoFile, { startTime: range ? range.start : 0 })
+
+    const { width, height, duration } = videoInfo
+    const canvas = new OffscreenCanvas(width, height)
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    const tracker = createCircleTracker()
+    const firstFrame = range ? Math.ceil(range.start * DETECTION_FPS) : 0
+    const endFrame = Math.ceil(Math.min(range ? range.end : duration, duration) * DETECTION_FPS)
+    const totalFrames = Math.max(1, endFrame - firstFrame)
+
+    for (let frameIdx = 0; frameIdx < totalFrames; frameIdx++) {
+      signal.throwIfAborted()
+
+      const time = (firstFrame + frameIdx) / DETECTION_FPS
+      await frameSource.drawFrame(ctx, time, width, height)
+      tracker.track(ctx, width, height, time)
+
+      self.postMessage({ type: 'progress', percent: ((frameIdx + 1) / totalFrames) * 80 })
+      if ((frameIdx + 1) % PARTIAL_INTERVAL === 0) {
+        self.postMessage({ type: 'partial', taps: buildTapEvents(tracker.frameData) })
+      }
+    }
+
+    const coarseTaps = buildTapEvents(tracker.frameData)
+    self.postMessage({ type: 'partial', taps: coarseTaps })
+
+    // Refinement visits earlier frames again, the decoder only goes forward. The new one is
+    // opened at the first window and skips to the keyframe before each later one
+    const frameRate = frameSource.frameRate || DEFAULT_SOURCE_FPS
+    frameSource.close()
+    frameSource = null
+
+    const refined = await refineTaps(coarseTaps, tracker.frameData, {
+      frameRate,
+      sampleInterval: 1 / DETECTION_FPS,
+      scanFrame: async (time) => {
+        if (!frameSource) frameSource = await createDecodedFrameSource(videoFile, { startTime: time })
+        await frameSource.drawFrame(ctx, time, width, height)
+        return findTouchCandidates(ctx, width, height, tracker.stationaryMap, time)
+      },
+      signal,
+      onProgress: (p) => self.postMessage({ type: 'progress', percent: 80 + p * 18 }),
+    })
+    const stationaryZones = tracker.getStationaryZones()
+    const taps = scoreTapConfidence(refined, tracker.frameData, stationaryZones)
+    console.log(`[DetectionWorker] Detected ${tracker.frameData.length} frames, events:`, countEventTypes(taps))
+    self.postMessage({ type: 'done', result: { taps, debugData: tracker.frameData, stationaryZones } })
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      error: {
+        name: error?.name || 'Error',
+        message: error?.message || String(error),
+      },
+    })
+  } finally {
+    if (frameSource) frameSource.close()
+    controller = null
+  }
+}
@@ -0,0 +1,90 @@
+// Detection backend benchmark
+// Runs the pixel scan and OpenCV on the same frames of the loaded video and compares
+// speed, how often each finds the indicator at known taps, and how often they agree
+
+import { DETECTION_BACKENDS, findCandidateCircles } from './circleDetector'
+import { seekVideo, distance } from './videoUtils'
+
+const DEFAULT_SAMPLES = 30
+const TAP_FRAME_OFFSET = 0.05 // s after a tap, the dot is on it
+const TAP_HIT_DISTANCE = 40 // px from the tap for a candidate to count as found
+const AGREE_DISTANCE = 20 // px between the backends' largest candidates
+
+/**
+ * Benchmark every detection backend on the loaded video
+ * Taps already in the timeline are used as ground truth, so accuracy is only
+ * reported once there are (ideally reviewed) taps.
+ * @param {HTMLVideoElement} video - Loaded preview video (returned to where it was)
+ * @param {HTMLCanvasElement} canvas - Scratch canvas
+ * @param {Object} options
+ * @param {Array} options.tapEvents - Known taps {time, x, y}
+ * @param {number} options.samples - Evenly spaced frames to time
+ * @param {Function} options.onProgress - Receives percent 0-100
+ * @returns {Promise<{frames: number, taps: number, agreement: number|null, results: Object}>}
+ *   results[backend] = { msPerFrame, detectionRate, tapHitRate, candidatesPerFrame } or { error }
+ */
+export async function benchmarkDetectionBackends(video, canvas, { tapEvents = [], samples = DEFAULT_SAMPLES, onProgress = () => {} } = {}) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  const startTime = video.currentTime
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+
+  const taps = tapEvents.filter(t => t.x != null && t.time + TAP_FRAME_OFFSET < video.duration)
+  const frames = [
+    ...Array.from({ length: samples }, (_, i) => ({ time: (i / samples) * video.duration, tap: null })),
+    ...taps.map(tap => ({ time: tap.time + TAP_FRAME_OFFSET, tap })),
+  ]
+
+  const backends = Object.keys(DETECTION_BACKENDS)
+  const stats = Object.fromEntries(backends.map(id => [id, { ms: 0, found: 0, candidates: 0, tapHits: 0, error: null }]))
+  let agreed = 0
+
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i]
+    await seekVideo(video, frame.time)
+    ctx.drawImage(video, 0, 0)
+
+    const largest = {}
+    for (const id of backends) {
+      const stat = stats[id]
+      if (stat.error) continue
+      try {
+        const start = performance.now()
+        const candidates = findCandidateCircles(ctx, canvas.width, canvas.height, undefined, id)
+        stat.ms += performance.now() - start
+
+        stat.candidates += candidates.length
+        if (candidates.length > 0) stat.found++
+        largest[id] = candidates.reduce((a, b) => (!a || b.pixelCount > a.pixelCount ? b : a), null)
+
+        if (frame.tap && candidates.some(c => distance(c, frame.tap) < TAP_HIT_DISTANCE)) stat.tapHits++
+      } catch (e) {
+        stat.error = e.message
+      }
+    }
+
+    const [a, b] = backends.map(id => largest[id])
+    if ((!a && !b) || (a && b && distance(a, b) < AGREE_DISTANCE)) agreed++
+
+    onProgress(((i + 1) / frames.length) * 100)
+  }
+  await seekVideo(video, startTime)
+
+  const results = {}
+  for (const id of backends) {
+    const stat = stats[id]
+    results[id] = stat.error
+      ? { error: stat.error }
+      : {
+          msPerFrame: stat.ms / frames.length,
+          detectionRate: stat.found / frames.length,
+          tapHitRate: taps.length > 0 ? stat.tapHits / taps.length : null,
+          candidatesPerFrame: stat.candidates / frames.length,
+        }
+  }
+
+  const allRan = backends.every(id => !stats[id].error)
+  console.log('[DetectorBenchmark]', frames.length, 'frames,', taps.length, 'taps:', results)
+
+  return { frames: frames.length, taps: taps.length, agreement: allRan ? agreed / frames.length : null, results }
+}
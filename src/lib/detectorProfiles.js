@@ -0,0 +1,55 @@
+// Detector profiles for the different touch indicators circleDetector can track
+// Each profile describes how the indicator looks (color model, size) and how it moves
+
+/**
+ * Profile shape:
+ * - color: a pixel matches when its brightness (channel average) is between
+ *   minBrightness and maxBrightness (exclusive) and its largest channel deviation
+ *   from the average is at least minChannelDiff and below maxChannelDiff.
+ *   Low deviation = grey/white.
+ * - size: blob radius range (px) and the circularity range a blob must fall in
+ * - motion.rejectStationary: positions that stay put are UI (menu buttons), not touches
+ * - motion.touchOnly: the indicator is only drawn while a finger is down, so it
+ *   appearing already means a touch (instead of the dot moving and stopping)
+ * - edge (calibrated profiles only, see indicatorCalibration.js): minContrast a blob's
+ *   brightness must differ from a ring around it by
+ */
+export const DETECTOR_PROFILES = {
+  assistiveTouch: {
+    name: 'AssistiveTouch',
+    desc: 'iOS grey dot',
+    color: { minBrightness: 90, maxBrightness: 230, minChannelDiff: 0, maxChannelDiff: 30 },
+    size: { minRadius: 15, maxRadius: 120, minCircularity: 0.2, maxCircularity: 1.5 },
+    motion: { rejectStationary: true, touchOnly: false },
+  },
+  androidTaps: {
+    name: 'Android',
+    desc: '"Show taps" white dot',
+    color: { minBrightness: 170, maxBrightness: 256, minChannelDiff: 0, maxChannelDiff: 25 },
+    size: { minRadius: 12, maxRadius: 70, minCircularity: 0.3, maxCircularity: 1.5 },
+    motion: { rejectStationary: false, touchOnly: true },
+  },
+  simulator: {
+    name: 'Simulator',
+    desc: 'iOS Simulator cursor',
+    color: { minBrightness: 60, maxBrightness: 200, minChannelDiff: 0, maxChannelDiff: 20 },
+    size: { minRadius: 12, maxRadius: 60, minCircularity: 0.3, maxCircularity: 1.5 },
+    motion: { rejectStationary: true, touchOnly: false },
+  },
+  touchOverlay: {
+    name: 'Overlay',
+    desc: 'Colored touch-overlay apps',
+    color: { minBrightness: 60, maxBrightness: 256, minChannelDiff: 60, maxChannelDiff: 256 },
+    size: { minRadius: 10, maxRadius: 100, minCircularity: 0.3, maxCircularity: 1.5 },
+    motion: { rejectStationary: true, touchOnly: true },
+  },
+}
+
+export const DEFAULT_DETECTOR_PROFILE = 'assistiveTouch'
+
+/**
+ * Look up a profile by id, falling back to AssistiveTouch
+ */
+export function getDetectorProfile(id) {
+  return DETECTOR_PROFILES[id] || DETECTOR_PROFILES[DEFAULT_DETECTOR_PROFILE]
+}
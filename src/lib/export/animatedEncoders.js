@@ -0,0 +1,282 @@
+/**
+ * Animated image writers (GIF, APNG, animated WebP)
+ *
+ * Each writer has the same two-step interface so the exporter can hold back
+ * a frame while it extends the delay of duplicates:
+ * - encodeFrame({ rgba, canvas }) -> encoded frame
+ * - writeFrame(encoded, delayMs)
+ * - finish() -> Uint8Array
+ */
+
+import { GIFEncoder } from 'gifenc'
+import { buildPalette, indexPixels } from './palette'
+
+/**
+ * Check if the browser can encode WebP from a canvas (Safari can't)
+ */
+export function isWebpEncodingSupported() {
+  if (typeof document === 'undefined') return false
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = 1
+  return canvas.toDataURL('image/webp').startsWith('data:image/webp')
+}
+
+/**
+ * GIF writer - every frame gets its own local palette
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.colors - Palette size per frame
+ * @param {string} options.dither - Dither mode (see palette.js)
+ * @param {number} options.loopCount - Number of plays, 0 = forever
+ */
+export function createGifWriter({ width, height, colors, dither, loopCount }) {
+  const gif = GIFEncoder()
+  // GIF stores repeats after the first play, -1 omits the loop extension
+  const repeat = loopCount === 0 ? 0 : loopCount === 1 ? -1 : loopCount - 1
+
+  return {
+    async encodeFrame({ rgba }) {
+      const palette = buildPalette(rgba, colors)
+      return { palette, index: indexPixels(rgba, width, height, palette, dither) }
+    },
+
+    writeFrame({ palette, index }, delayMs) {
+      gif.writeFrame(index, width, height, { palette, delay: delayMs, repeat })
+    },
+
+    finish() {
+      gif.finish()
+      return gif.bytes()
+    },
+  }
+}
+
+/**
+ * APNG writer - indexed color with one palette shared by all frames
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {Array<Array<number>>} options.palette - Shared palette (see buildSharedPalette)
+ * @param {string} options.dither - Dither mode (see palette.js)
+ * @param {number} options.loopCount - Number of plays, 0 = forever
+ */
+export function createApngWriter({ width, height, palette, dither, loopCount }) {
+  const frames = [] // { data, delayMs } with zlib-compressed scanlines
+
+  return {
+    async encodeFrame({ rgba }) {
+      const index = indexPixels(rgba, width, height, palette, dither)
+
+      // Filter type 0 (none) before each scanline
+      const raw = new Uint8Array((width + 1) * height)
+      for (let y = 0; y < height; y++) {
+        raw.set(index.subarray(y * width, (y + 1) * width), y * (width + 1) + 1)
+      }
+      return deflate(raw)
+    },
+
+    writeFrame(data, delayMs) {
+      frames.push({ data, delayMs })
+    },
+
+    finish() {
+      const chunks = [PNG_SIGNATURE]
+
+      const ihdr = new DataView(new ArrayBuffer(13))
+      ihdr.setUint32(0, width)
+      ihdr.setUint32(4, height)
+      ihdr.setUint8(8, 8) // Bit depth
+      ihdr.setUint8(9, 3) // Indexed color
+      chunks.push(pngChunk('IHDR', ihdr))
+
+      const actl = new DataView(new ArrayBuffer(8))
+      actl.setUint32(0, frames.length)
+      actl.setUint32(4, loopCount)
+      chunks.push(pngChunk('acTL', actl))
+
+      chunks.push(pngChunk('PLTE', new Uint8Array(palette.flatMap(([r, g, b]) => [r, g, b]))))
+
+      let sequence = 0
+      frames.forEach(({ data, delayMs }, i) => {
+        const fctl = new DataView(new ArrayBuffer(26))
+        fctl.setUint32(0, sequence++)
+        fctl.setUint32(4, width)
+        fctl.setUint32(8, height)
+        fctl.setUint16(20, Math.min(delayMs, 0xffff)) // delay_num
+        fctl.setUint16(22, 1000) // delay_den
+        chunks.push(pngChunk('fcTL', fctl))
+
+        if (i === 0) {
+          chunks.push(pngChunk('IDAT', data))
+        } else {
+          const fdat = new Uint8Array(4 + data.length)
+          new DataView(fdat.buffer).setUint32(0, sequence++)
+          fdat.set(data, 4)
+          chunks.push(pngChunk('fdAT', fdat))
+        }
+      })
+
+      chunks.push(pngChunk('IEND', new Uint8Array(0)))
+      return concatBytes(chunks)
+    },
+  }
+}
+
+/**
+ * Animated WebP writer - frames are encoded by the browser and wrapped in ANMF chunks
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.quality - WebP quality (0-1)
+ * @param {number} options.loopCount - Number of plays, 0 = forever
+ */
+export function createWebpWriter({ width, height, quality, loopCount }) {
+  const frames = [] // { chunks, hasAlpha, delayMs }
+
+  return {
+    async encodeFrame({ canvas }) {
+      const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('WebP encoding failed'))), 'image/webp', quality)
+      })
+      const bytes = new Uint8Array(await blob.arrayBuffer())
+      if (readFourCC(bytes, 8) !== 'WEBP') {
+        throw new Error('WebP encoding not supported')
+      }
+
+      // Keep the image chunks of the still WebP, drop its VP8X/metadata
+      const chunks = []
+      let hasAlpha = false
+      for (let offset = 12; offset + 8 <= bytes.length;) {
+        const fourCC = readFourCC(bytes, offset)
+        const size = new DataView(bytes.buffer, offset + 4, 4).getUint32(0, true)
+        const end = offset + 8 + size + (size & 1)
+        if (fourCC === 'ALPH' || fourCC === 'VP8 ' || fourCC === 'VP8L') {
+          chunks.push(bytes.subarray(offset, Math.min(end, bytes.length)))
+          if (fourCC === 'ALPH') hasAlpha = true
+        }
+        offset = end
+      }
+      return { chunks, hasAlpha }
+    },
+
+    writeFrame(encoded, delayMs) {
+      frames.push({ ...encoded, delayMs })
+    },
+
+    finish() {
+      const hasAlpha = frames.some(f => f.hasAlpha)
+
+      const vp8x = new Uint8Array(10)
+      vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0) // Animation (+ alpha) flags
+      writeUint24(vp8x, 4, width - 1)
+      writeUint24(vp8x, 7, height - 1)
+
+      const anim = new Uint8Array(6)
+      anim.set([0xff, 0xff, 0xff, 0xff]) // Background color (BGRA)
+      new DataView(anim.buffer).setUint16(4, loopCount, true)
+
+      const body = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim)]
+
+      for (const { chunks, delayMs } of frames) {
+        const header = new Uint8Array(16)
+        // X/Y offsets stay 0
+        writeUint24(header, 6, width - 1)
+        writeUint24(header, 9, height - 1)
+        writeUint24(header, 12, Math.min(delayMs, 0xffffff))
+        header[15] = 0x02 // Do not blend, no disposal
+        body.push(riffChunk('ANMF', concatBytes([header, ...chunks])))
+      }
+
+      const content = concatBytes(body)
+      const riff = new Uint8Array(12)
+      riff.set(textBytes('RIFF'), 0)
+      new DataView(riff.buffer).setUint32(4, content.length + 4, true)
+      riff.set(textBytes('WEBP'), 8)
+
+      return concatBytes([riff, content])
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Byte helpers
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Length + type + data + CRC (big endian)
+ */
+function pngChunk(type, data) {
+  const payload = data instanceof DataView ? new Uint8Array(data.buffer) : data
+  const chunk = new Uint8Array(12 + payload.length)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, payload.length)
+  chunk.set(textBytes(type), 4)
+  chunk.set(payload, 8)
+  view.setUint32(8 + payload.length, crc32(chunk.subarray(4, 8 + payload.length)))
+  return chunk
+}
+
+/**
+ * FourCC + size + data, padded to an even length (little endian)
+ */
+function riffChunk(fourCC, data) {
+  const chunk = new Uint8Array(8 + data.length + (data.length & 1))
+  chunk.set(textBytes(fourCC), 0)
+  new DataView(chunk.buffer).setUint32(4, data.length, true)
+  chunk.set(data, 8)
+  return chunk
+}
+
+function writeUint24(bytes, offset, value) {
+  bytes[offset] = value & 0xff
+  bytes[offset + 1] = (value >> 8) & 0xff
+  bytes[offset + 2] = (value >> 16) & 0xff
+}
+
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4))
+}
+
+function textBytes(text) {
+  return new TextEncoder().encode(text)
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+/**
+ * zlib-compress with the built-in CompressionStream
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
@@ -0,0 +1,262 @@
+/**
+ * Animated image export (GIF, animated WebP, APNG)
+ *
+ * Renders frames with the same renderFrame pipeline as the video export,
+ * at a reduced frame rate and width, and hands them to the writers in
+ * animatedEncoders.js. A target file size re-renders with smaller settings
+ * until the result fits.
+ */
+
+import { CameraEngine } from '../cameraEngine'
+import { getOutputDimensions, renderFrame } from '../frameRenderer'
+import { createGifWriter, createApngWriter, createWebpWriter, isWebpEncodingSupported } from './animatedEncoders'
+import { resolveExportSettings, EXPORT_FORMATS, isAnimatedFormat } from './exportSettings'
+import { loadVideoElement } from './fastExporter'
+import { createFrameSource } from './frameSource'
+import { buildSharedPalette } from './palette'
+
+// Target size mode
+const MAX_SIZE_ATTEMPTS = 4
+const TARGET_SIZE_MARGIN = 0.9 // Aim a bit under the target, sizes don't scale exactly
+const MIN_WIDTH = 160
+const MIN_FPS = 5
+const MIN_COLORS = 32
+const MIN_WEBP_QUALITY = 0.3
+
+// Frames sampled for the shared APNG palette
+const PALETTE_SAMPLE_FRAMES = 12
+
+// Duplicate frame detection
+const DUPLICATE_PIXEL_DELTA = 8 // Max per-channel difference for an "unchanged" pixel
+const DUPLICATE_MAX_CHANGED = 0.001 // Fraction of pixels allowed to change
+
+/**
+ * Export the preview as an animated image
+ * @param {File} videoFile - Source recording
+ * @param {Object} settings - Preview settings (format and options from settings.exportSettings)
+ * @param {Function} onProgress - Receives { phase, percent, message, frame, totalFrames, eta }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @returns {Promise<{data: Uint8Array, mimeType: string, extension: string, width: number, height: number, fps: number, overTarget: boolean}>}
+ */
+export async function exportAnimated(videoFile, settings, onProgress, { signal } = {}) {
+  const exportSettings = resolveExportSettings(settings.exportSettings)
+  const { format } = exportSettings
+
+  if (!isAnimatedFormat(format)) {
+    throw new Error(`Not an animated format: ${format}`)
+  }
+  if (format === 'webp' && !isWebpEncodingSupported()) {
+    throw new Error('This browser cannot encode WebP')
+  }
+
+  console.log('[AnimatedExporter] Starting', format, 'export:', exportSettings.animated)
+
+  onProgress({ phase: 'init', percent: 2, message: 'Loading video...' })
+  const video = await loadVideoElement(videoFile)
+
+  try {
+    const { targetSize } = exportSettings.animated
+    let options = exportSettings.animated
+    let best = null
+
+    for (let attempt = 1; attempt <= MAX_SIZE_ATTEMPTS; attempt++) {
+      const result = await renderAnimation({ videoFile, video, format, settings, options, onProgress, signal, attempt })
+      console.log('[AnimatedExporter] Attempt', attempt, ':', result.width, 'x', result.height, '@', result.fps, 'fps,', result.data.length, 'bytes')
+
+      if (!targetSize || result.data.length <= targetSize) {
+        best = result
+        break
+      }
+      if (!best || result.data.length < best.data.length) best = result
+
+      options = shrinkOptions(format, options, result, targetSize)
+      if (!options) break
+    }
+
+    const overTarget = !!targetSize && best.data.length > targetSize
+    if (overTarget) {
+      console.warn('[AnimatedExporter] Could not reach target size, smallest result:', best.data.length, 'bytes')
+    }
+
+    onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+
+    const { mimeType, extension } = EXPORT_FORMATS[format]
+    return { ...best, mimeType, extension, overTarget }
+  } finally {
+    URL.revokeObjectURL(video.src)
+  }
+}
+
+/**
+ * Render and encode one pass at the given options
+ */
+async function renderAnimation({ videoFile, video, format, settings, options, onProgress, signal, attempt }) {
+  const {
+    tapEvents = [],
+    outputAspect = '9:16',
+    showDeviceFrame = true,
+    videoTransform = { scale: 1, x: 0, y: 0, stretch: false },
+    appliedCrop = { x: 0, y: 0, width: 100, height: 100 },
+    zoomLevel = 1.4,
+    selectedBackground = 'ocean',
+    selectedDevice = 'match',
+    showNotch = true,
+    indicatorTrack = null,
+  } = settings
+  const { fps, maxWidth, colors, dither, webpQuality, loopCount, skipDuplicates } = options
+
+  const videoW = video.videoWidth
+  const videoH = video.videoHeight
+  const totalFrames = Math.max(1, Math.ceil(video.duration * fps))
+
+  // Width is the only limit, height follows the output aspect
+  const { width, height } = getOutputDimensions(outputAspect, videoW, videoH, maxWidth, Infinity, appliedCrop, showDeviceFrame)
+
+  const sourceCanvas = document.createElement('canvas')
+  sourceCanvas.width = videoW
+  sourceCanvas.height = videoH
+  const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true })
+
+  const outputCanvas = document.createElement('canvas')
+  outputCanvas.width = width
+  outputCanvas.height = height
+  const outputCtx = outputCanvas.getContext('2d', { willReadFrequently: true })
+
+  const attemptLabel = attempt > 1 ? ` (fitting size, attempt ${attempt})` : ''
+
+  /**
+   * Render every frame in order with a fresh frame source and camera
+   */
+  async function renderFrames(frameIndices, onFrame) {
+    const frameSource = await createFrameSource(videoFile, video)
+    const camera = new CameraEngine(videoW, videoH)
+    try {
+      for (const frameIdx of frameIndices) {
+        signal?.throwIfAborted()
+        const currentTime = frameIdx / fps
+        await frameSource.drawFrame(sourceCtx, currentTime, videoW, videoH)
+        renderFrame({
+          sourceCanvas,
+          outputCanvas,
+          videoW,
+          videoH,
+          currentTime,
+          tapEvents,
+          zoomLevel,
+          videoTransform,
+          appliedCrop,
+          showDeviceFrame,
+          selectedBackground,
+          selectedDevice,
+          showNotch,
+          camera,
+          indicatorTrack,
+        })
+        await onFrame(outputCtx.getImageData(0, 0, width, height).data, frameIdx)
+      }
+    } finally {
+      frameSource.close()
+    }
+  }
+
+  let writer
+  if (format === 'gif') {
+    writer = createGifWriter({ width, height, colors, dither, loopCount })
+  } else if (format === 'webp') {
+    writer = createWebpWriter({ width, height, quality: webpQuality, loopCount })
+  } else {
+    // APNG has a single palette, so sample frames across the whole clip first
+    onProgress({ phase: 'palette', percent: 4, message: `Building palette${attemptLabel}...` })
+    const sampleCount = Math.min(PALETTE_SAMPLE_FRAMES, totalFrames)
+    const sampleIndices = [...new Set(Array.from({ length: sampleCount }, (_, i) => Math.floor((i * totalFrames) / sampleCount)))]
+    const samples = []
+    await renderFrames(sampleIndices, (rgba) => samples.push(rgba))
+    writer = createApngWriter({ width, height, palette: buildSharedPalette(samples, colors), dither, loopCount })
+  }
+
+  onProgress({ phase: 'rendering', percent: 5, message: `Rendering frames${attemptLabel}...` })
+
+  let pending = null // { encoded, rgba, delayMs } - held back until the next frame differs
+  let framesWritten = 0
+  const renderStart = performance.now()
+
+  await renderFrames(Array.from({ length: totalFrames }, (_, i) => i), async (rgba, frameIdx) => {
+    // Centisecond delays without drift (GIF stores delays in 1/100 s)
+    const delayMs = (Math.round(((frameIdx + 1) * 100) / fps) - Math.round((frameIdx * 100) / fps)) * 10
+
+    if (skipDuplicates && pending && isSameFrame(rgba, pending.rgba)) {
+      pending.delayMs += delayMs
+    } else {
+      if (pending) {
+        writer.writeFrame(pending.encoded, pending.delayMs)
+        framesWritten++
+      }
+      pending = { encoded: await writer.encodeFrame({ rgba, canvas: outputCanvas }), rgba, delayMs }
+    }
+
+    if (frameIdx % 5 === 0) {
+      const framesDone = frameIdx + 1
+      const elapsed = (performance.now() - renderStart) / 1000
+      onProgress({
+        phase: 'rendering',
+        percent: 5 + (framesDone / totalFrames) * 90,
+        message: `Frame ${framesDone}/${totalFrames}${attemptLabel}`,
+        frame: framesDone,
+        totalFrames,
+        eta: (elapsed / framesDone) * (totalFrames - framesDone),
+      })
+    }
+  })
+
+  writer.writeFrame(pending.encoded, pending.delayMs)
+  framesWritten++
+
+  onProgress({ phase: 'finalizing', percent: 96, message: 'Finalizing...' })
+  const data = writer.finish()
+
+  console.log('[AnimatedExporter] Wrote', framesWritten, 'of', totalFrames, 'frames')
+
+  return { data, width, height, fps, frameCount: framesWritten }
+}
+
+/**
+ * Smaller options for the next target size attempt, or null if nothing is left to reduce
+ * Width goes first (size scales roughly with area), then frame rate, then colors/quality.
+ */
+function shrinkOptions(format, options, result, targetSize) {
+  const ratio = (targetSize / result.data.length) * TARGET_SIZE_MARGIN
+
+  const width = Math.floor((result.width * Math.sqrt(ratio)) / 2) * 2
+  if (width >= MIN_WIDTH) {
+    return { ...options, maxWidth: width }
+  }
+  if (options.fps > MIN_FPS) {
+    return { ...options, maxWidth: MIN_WIDTH, fps: Math.max(MIN_FPS, Math.floor(options.fps * ratio)) }
+  }
+  if (format === 'webp' && options.webpQuality > MIN_WEBP_QUALITY) {
+    return { ...options, maxWidth: MIN_WIDTH, webpQuality: Math.max(MIN_WEBP_QUALITY, options.webpQuality - 0.2) }
+  }
+  if (format !== 'webp' && options.colors > MIN_COLORS) {
+    return { ...options, maxWidth: MIN_WIDTH, colors: Math.max(MIN_COLORS, options.colors / 2) }
+  }
+  return null
+}
+
+/**
+ * Check if two frames are visually the same
+ */
+function isSameFrame(a, b) {
+  const maxChanged = (a.length / 4) * DUPLICATE_MAX_CHANGED
+  let changed = 0
+  for (let i = 0; i < a.length; i += 4) {
+    if (
+      Math.abs(a[i] - b[i]) > DUPLICATE_PIXEL_DELTA ||
+      Math.abs(a[i + 1] - b[i + 1]) > DUPLICATE_PIXEL_DELTA ||
+      Math.abs(a[i + 2] - b[i + 2]) > DUPLICATE_PIXEL_DELTA
+    ) {
+      if (++changed > maxChanged) return false
+    }
+  }
+  return true
+}
@@ -0,0 +1,86 @@
+/**
+ * App Store app preview checks
+ *
+ * The encoding requirements (exact size, 30 fps, H.264, audio track, length cap)
+ * are applied through the export settings. This module checks the source length
+ * up front and validates the encoded file before it is saved.
+ */
+
+import { demuxFile } from './demuxer'
+import {
+  APP_PREVIEW_DEVICES,
+  APP_PREVIEW_FPS,
+  APP_PREVIEW_MIN_DURATION,
+  APP_PREVIEW_MAX_DURATION,
+} from './exportSettings'
+
+const MAX_FILE_SIZE = 500_000_000
+// Allowed difference between the measured and the required values
+const DURATION_TOLERANCE = 0.05
+const FPS_TOLERANCE = 0.5
+
+/**
+ * Describe how the source length fits the App Store limits
+ * @param {number} sourceDuration - Source length in seconds
+ * @returns {{duration: number, trimmed: boolean, tooShort: boolean}}
+ *   duration is the exported length
+ */
+export function getAppPreviewDuration(sourceDuration) {
+  return {
+    duration: Math.min(sourceDuration, APP_PREVIEW_MAX_DURATION),
+    trimmed: sourceDuration > APP_PREVIEW_MAX_DURATION,
+    tooShort: sourceDuration < APP_PREVIEW_MIN_DURATION,
+  }
+}
+
+/**
+ * Validate an encoded app preview against the App Store requirements
+ * @param {Uint8Array} data - Exported MP4
+ * @returns {Promise<{passed: boolean, device: string|null, checks: Array<{label: string, passed: boolean, detail: string}>}>}
+ */
+export async function validateAppPreview(data) {
+  const checks = []
+  const check = (label, passed, detail) => checks.push({ label, passed, detail })
+
+  let demuxed = null
+  try {
+    demuxed = await demuxFile(new Blob([data]))
+  } catch (e) {
+    check('Container', false, `Not a readable MP4: ${e.message}`)
+    return { passed: false, device: null, checks }
+  }
+  check('Container', true, 'MP4')
+
+  const { video, audio, duration } = demuxed
+  let device = null
+
+  if (video) {
+    const { width, height } = video.track.video
+    const match = Object.values(APP_PREVIEW_DEVICES).find(d =>
+      (d.width === width && d.height === height) || (d.width === height && d.height === width)
+    )
+    device = match?.desc || null
+    check('Resolution', !!match, match ? `${width}×${height} (${match.desc})` : `${width}×${height} is not an App Store preview size`)
+
+    const isH264 = video.config.codec.startsWith('avc1')
+    check('Video codec', isH264, isH264 ? `H.264 (${video.config.codec})` : `${video.config.codec}, H.264 is required`)
+
+    const fps = video.samples.length / duration
+    check('Frame rate', Math.abs(fps - APP_PREVIEW_FPS) <= FPS_TOLERANCE, `${fps.toFixed(2)} fps, ${APP_PREVIEW_FPS} required`)
+  } else {
+    check('Video track', false, 'No video track')
+  }
+
+  const durationOk = duration >= APP_PREVIEW_MIN_DURATION - DURATION_TOLERANCE &&
+    duration <= APP_PREVIEW_MAX_DURATION + DURATION_TOLERANCE
+  check('Duration', durationOk, `${duration.toFixed(1)} s, ${APP_PREVIEW_MIN_DURATION}-${APP_PREVIEW_MAX_DURATION} s required`)
+
+  check('Audio track', !!audio, audio ? `${audio.config.codec}, ${audio.config.sampleRate} Hz` : 'No audio track, one is required')
+
+  check('File size', data.byteLength <= MAX_FILE_SIZE, `${(data.byteLength / 1_000_000).toFixed(1)} MB, 500 MB max`)
+
+  const passed = checks.every(c => c.passed)
+  console.log('[AppPreview] Validation', passed ? 'passed' : 'failed:', checks.filter(c => !c.passed).map(c => c.label))
+
+  return { passed, device, checks }
+}
@@ -0,0 +1,254 @@
+/**
+ * Source audio for fast export
+ *
+ * Demuxes the recording's audio with MP4Box.js, decodes it to PCM and
+ * re-encodes it with WebCodecs AudioEncoder (AAC for MP4, Opus for WebM)
+ * so it can be muxed next to the rendered video frames.
+ */
+
+import { demuxFile } from './demuxer'
+
+// Encoder settings per output container
+const AUDIO_CODECS = {
+  mp4: { codec: 'mp4a.40.2', muxerCodec: 'aac', sampleRates: [44100, 48000] },
+  webm: { codec: 'opus', muxerCodec: 'A_OPUS', sampleRates: [48000] },
+}
+
+const AUDIO_BITRATE = 128_000
+const FRAME_SIZE = 1024 // Samples per AudioData handed to the encoder
+
+/**
+ * Check if audio can be re-encoded in this browser
+ */
+export function isAudioExportSupported() {
+  return typeof AudioEncoder !== 'undefined' && typeof AudioData !== 'undefined'
+}
+
+/**
+ * Decode and re-encode the source audio for the given container
+ * @param {File} videoFile - Source recording
+ * @param {string} container - Output container ('mp4' or 'webm')
+ * @param {number} duration - Output duration in seconds (audio is trimmed/padded to it)
+ * @returns {Promise<{muxerOptions: Object, chunks: Array<{chunk, meta}>}|null>}
+ *   null when the recording has no audio or it can't be encoded here
+ * @throws {Error} with needsMainThread set when only Web Audio can decode it and this is a worker
+ */
+export async function encodeSourceAudio(videoFile, container, duration) {
+  if (!isAudioExportSupported()) {
+    console.warn('[AudioTrack] AudioEncoder not available, export will be silent')
+    return null
+  }
+
+  const spec = AUDIO_CODECS[container] || AUDIO_CODECS.mp4
+  const pcm = await decodeSourceAudio(videoFile, spec.sampleRates)
+  if (!pcm) return null
+
+  const numberOfChannels = Math.min(2, pcm.channels.length) // Max stereo
+  const config = {
+    codec: spec.codec,
+    sampleRate: pcm.sampleRate,
+    numberOfChannels,
+    bitrate: AUDIO_BITRATE,
+  }
+
+  const support = await AudioEncoder.isConfigSupported(config)
+  if (!support.supported) {
+    console.warn('[AudioTrack] Audio encoding not supported:', config)
+    return null
+  }
+
+  const length = Math.round(duration * pcm.sampleRate)
+  const chunks = await encodePcm(pcm.channels.slice(0, numberOfChannels), length, config)
+
+  console.log('[AudioTrack] Encoded', chunks.length, 'audio chunks:', config.codec, config.sampleRate, 'Hz', numberOfChannels, 'ch')
+
+  return {
+    muxerOptions: {
+      codec: spec.muxerCodec,
+      sampleRate: pcm.sampleRate,
+      numberOfChannels,
+    },
+    chunks,
+  }
+}
+
+/**
+ * Encode a silent stereo track for the given container
+ * For outputs that need an audio track when the source has none (App Store previews)
+ * @returns {Promise<{muxerOptions: Object, chunks: Array<{chunk, meta}>}|null>}
+ */
+export async function encodeSilentAudio(container, duration) {
+  if (!isAudioExportSupported()) return null
+
+  const spec = AUDIO_CODECS[container] || AUDIO_CODECS.mp4
+  const sampleRate = spec.sampleRates[spec.sampleRates.length - 1]
+  const config = { codec: spec.codec, sampleRate, numberOfChannels: 2, bitrate: AUDIO_BITRATE }
+
+  const support = await AudioEncoder.isConfigSupported(config)
+  if (!support.supported) return null
+
+  // encodePcm pads missing samples with silence
+  const empty = [new Float32Array(0), new Float32Array(0)]
+  const chunks = await encodePcm(empty, Math.round(duration * sampleRate), config)
+
+  console.log('[AudioTrack] Encoded', chunks.length, 'silent audio chunks')
+
+  return {
+    muxerOptions: { codec: spec.muxerCodec, sampleRate, numberOfChannels: 2 },
+    chunks,
+  }
+}
+
+/**
+ * Decode the source audio to planar PCM at one of the allowed sample rates
+ * Prefers MP4Box + AudioDecoder, falls back to decodeAudioData (which resamples)
+ */
+async function decodeSourceAudio(videoFile, sampleRates) {
+  let demuxed = null
+  try {
+    demuxed = await demuxFile(videoFile, { tracks: ['audio'] })
+  } catch (e) {
+    console.warn('[AudioTrack] Demux failed, trying decodeAudioData:', e.message)
+  }
+
+  if (demuxed && !demuxed.audio) {
+    console.log('[AudioTrack] Source has no audio track')
+    return null
+  }
+
+  if (demuxed?.audio && sampleRates.includes(demuxed.audio.config.sampleRate) && typeof AudioDecoder !== 'undefined') {
+    try {
+      const support = await AudioDecoder.isConfigSupported(demuxed.audio.config)
+      if (support.supported) {
+        return await decodeWithAudioDecoder(demuxed.audio)
+      }
+    } catch (e) {
+      console.warn('[AudioTrack] AudioDecoder failed, trying decodeAudioData:', e.message)
+    }
+  }
+
+  // Web Audio is not available inside workers: fail the export so it is retried on the main thread
+  if (typeof OfflineAudioContext === 'undefined') {
+    const error = new Error('Source audio needs Web Audio decoding, which only runs on the main thread')
+    error.needsMainThread = true
+    throw error
+  }
+
+  try {
+    return await decodeWithAudioContext(videoFile, sampleRates[sampleRates.length - 1])
+  } catch (e) {
+    console.warn('[AudioTrack] Could not decode audio:', e.message)
+    return null
+  }
+}
+
+/**
+ * Decode demuxed samples with WebCodecs AudioDecoder
+ * Each decoded frame is placed at its own timestamp so gaps stay in sync
+ */
+async function decodeWithAudioDecoder(audio) {
+  const { sampleRate } = audio.config
+  const parts = []
+  let decoderError = null
+
+  const decoder = new AudioDecoder({
+    output: (data) => {
+      const offset = Math.round((data.timestamp * sampleRate) / 1_000_000)
+      const planes = []
+      for (let c = 0; c < data.numberOfChannels; c++) {
+        const plane = new Float32Array(data.numberOfFrames)
+        data.copyTo(plane, { planeIndex: c, format: 'f32-planar' })
+        planes.push(plane)
+      }
+      parts.push({ offset, planes })
+      data.close()
+    },
+    error: (e) => {
+      decoderError = e
+    },
+  })
+
+  decoder.configure(audio.config)
+  for (const sample of audio.samples) {
+    decoder.decode(new EncodedAudioChunk(sample))
+  }
+  await decoder.flush()
+  decoder.close()
+
+  if (decoderError) throw decoderError
+
+  const numberOfChannels = parts[0]?.planes.length || audio.config.numberOfChannels
+  const length = parts.reduce((max, p) => Math.max(max, p.offset + p.planes[0].length), 0)
+  const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length))
+
+  for (const { offset, planes } of parts) {
+    if (offset < 0) continue
+    planes.forEach((plane, c) => channels[c].set(plane, offset))
+  }
+
+  return { sampleRate, channels }
+}
+
+/**
+ * Decode with Web Audio (handles WebM/MOV sources and resampling)
+ */
+async function decodeWithAudioContext(videoFile, sampleRate) {
+  const arrayBuffer = await videoFile.arrayBuffer()
+  const context = new OfflineAudioContext(2, 1, sampleRate)
+  const audioBuffer = await context.decodeAudioData(arrayBuffer)
+
+  const channels = []
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c))
+  }
+
+  return { sampleRate: audioBuffer.sampleRate, channels }
+}
+
+/**
+ * Encode planar PCM into EncodedAudioChunks
+ * @param {Array<Float32Array>} channels - One buffer per channel
+ * @param {number} length - Output length in samples (shorter sources are padded with silence)
+ * @param {Object} config - AudioEncoder config
+ */
+async function encodePcm(channels, length, config) {
+  const { sampleRate, numberOfChannels } = config
+  const chunks = []
+  let encoderError = null
+
+  const encoder = new AudioEncoder({
+    output: (chunk, meta) => chunks.push({ chunk, meta }),
+    error: (e) => {
+      encoderError = e
+    },
+  })
+  encoder.configure(config)
+
+  for (let offset = 0; offset < length; offset += FRAME_SIZE) {
+    const frames = Math.min(FRAME_SIZE, length - offset)
+    const data = new Float32Array(frames * numberOfChannels)
+
+    for (let c = 0; c < numberOfChannels; c++) {
+      const source = channels[c].subarray(offset, offset + frames)
+      data.set(source, c * frames)
+    }
+
+    const audioData = new AudioData({
+      format: 'f32-planar',
+      sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels,
+      timestamp: Math.round((offset * 1_000_000) / sampleRate),
+      data,
+    })
+    encoder.encode(audioData)
+    audioData.close()
+  }
+
+  await encoder.flush()
+  encoder.close()
+
+  if (encoderError) throw encoderError
+
+  return chunks
+}
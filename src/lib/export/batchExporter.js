@@ -0,0 +1,81 @@
+/**
+ * Multi-aspect batch export
+ * Renders the same project once per output aspect and zips the results.
+ * Each aspect can override the preview's videoTransform and appliedCrop.
+ */
+
+import JSZip from 'jszip'
+import { OUTPUT_ASPECTS } from '../frameRenderer'
+import { renderVideoWithMetadata } from '../videoRenderer'
+import { resolveExportSettings } from './exportSettings'
+
+/**
+ * Preview settings for one aspect of the batch
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {string} aspect - OUTPUT_ASPECTS key
+ */
+export function getAspectSettings(previewSettings, aspect) {
+  const { aspectOverrides } = resolveExportSettings(previewSettings.exportSettings)
+  const override = aspectOverrides[aspect] || {}
+
+  return {
+    ...previewSettings,
+    outputAspect: aspect,
+    videoTransform: override.videoTransform || previewSettings.videoTransform,
+    appliedCrop: override.appliedCrop || previewSettings.appliedCrop,
+  }
+}
+
+/**
+ * Export every aspect in exportSettings.batchAspects into one zip
+ * Each export is held in memory until the zip is built.
+ *
+ * @param {File} videoFile - Source recording
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {Function} onProgress - Receives the per-export progress plus { batch: { index, count, aspect } }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the batch
+ * @returns {Promise<Blob>} Zip with one file per aspect
+ */
+export async function exportAspectBatch(videoFile, previewSettings, onProgress, { signal } = {}) {
+  const { batchAspects } = resolveExportSettings(previewSettings.exportSettings)
+  const aspects = batchAspects.filter(aspect => OUTPUT_ASPECTS[aspect])
+  if (aspects.length === 0) {
+    throw new Error('No aspect ratios selected for batch export')
+  }
+
+  console.log('[BatchExporter] Exporting aspects:', aspects)
+
+  const zip = new JSZip()
+  const count = aspects.length
+
+  for (let index = 0; index < count; index++) {
+    signal?.throwIfAborted()
+
+    const aspect = aspects[index]
+    const batch = { index, count, aspect }
+
+    const result = await renderVideoWithMetadata(
+      videoFile,
+      getAspectSettings(previewSettings, aspect),
+      (progress) => onProgress({
+        ...progress,
+        // Overall percent across the batch, zipping takes the last slice
+        percent: ((index + progress.percent / 100) / count) * 95,
+        batch,
+      }),
+      { signal }
+    )
+
+    console.log('[BatchExporter]', aspect, 'done:', result.data.length, 'bytes')
+    zip.file(`video-${aspect.replace(':', 'x')}.${result.extension}`, result.data)
+  }
+
+  onProgress({ phase: 'finalizing', percent: 96, message: 'Creating zip...' })
+
+  // Videos and images are already compressed
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'STORE' })
+
+  onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+  return blob
+}
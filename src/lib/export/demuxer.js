@@ -0,0 +1,133 @@
+/**
+ * MP4 demuxer using MP4Box.js
+ * Splits the source recording into encoded samples plus WebCodecs decoder configs
+ */
+
+import { createFile, DataStream, Endianness, MP4BoxBuffer } from 'mp4box'
+
+/**
+ * Demux a video file into its first video and/or audio track
+ * @param {File|Blob} file - Source recording (MP4/MOV)
+ * @param {Object} options
+ * @param {Array<string>} options.tracks - Which tracks to extract ('video', 'audio')
+ * @returns {Promise<{duration: number, video: Object|null, audio: Object|null}>}
+ *   Each track is { track, config, samples } where samples are
+ *   { type, timestamp, duration, data } with times in microseconds
+ */
+export async function demuxFile(file, { tracks = ['video', 'audio'] } = {}) {
+  const buffer = await file.arrayBuffer()
+
+  return new Promise((resolve, reject) => {
+    const mp4 = createFile()
+    const result = { duration: 0, video: null, audio: null }
+    let failed = false
+
+    mp4.onError = (module, message) => {
+      failed = true
+      reject(new Error(`Demux failed: ${message || module}`))
+    }
+
+    mp4.onReady = (info) => {
+      result.duration = info.duration / info.timescale
+
+      const videoTrack = info.videoTracks[0]
+      if (videoTrack && tracks.includes('video')) {
+        result.video = { track: videoTrack, config: getVideoDecoderConfig(mp4, videoTrack), samples: [] }
+        mp4.setExtractionOptions(videoTrack.id, 'video', { nbSamples: 500 })
+      }
+
+      const audioTrack = info.audioTracks[0]
+      if (audioTrack && tracks.includes('audio')) {
+        result.audio = { track: audioTrack, config: getAudioDecoderConfig(mp4, audioTrack), samples: [] }
+        mp4.setExtractionOptions(audioTrack.id, 'audio', { nbSamples: 500 })
+      }
+
+      mp4.start()
+    }
+
+    mp4.onSamples = (id, user, samples) => {
+      const target = result[user]
+      for (const sample of samples) {
+        target.samples.push({
+          type: sample.is_sync ? 'key' : 'delta',
+          timestamp: Math.round((sample.cts * 1_000_000) / sample.timescale),
+          duration: Math.round((sample.duration * 1_000_000) / sample.timescale),
+          data: sample.data,
+        })
+      }
+    }
+
+    try {
+      mp4.appendBuffer(MP4BoxBuffer.fromArrayBuffer(buffer, 0))
+      mp4.flush()
+    } catch (e) {
+      if (!failed) reject(new Error(`Demux failed: ${e.message}`))
+      return
+    }
+
+    if (failed) return
+    if (!mp4.readySent) {
+      reject(new Error('Demux failed: no moov box found'))
+      return
+    }
+
+    // MP4Box delivers samples synchronously (in decode order) once the whole file is appended
+    console.log('[Demuxer] Demuxed:', {
+      duration: result.duration,
+      video: result.video ? `${result.video.config.codec} (${result.video.samples.length} samples)` : null,
+      audio: result.audio ? `${result.audio.config.codec} (${result.audio.samples.length} samples)` : null,
+    })
+    resolve(result)
+  })
+}
+
+/**
+ * Build a VideoDecoder config from an MP4Box track
+ */
+function getVideoDecoderConfig(mp4, track) {
+  return {
+    codec: track.codec.startsWith('vp08') ? 'vp8' : track.codec,
+    codedWidth: track.video.width,
+    codedHeight: track.video.height,
+    description: getCodecDescription(mp4, track),
+  }
+}
+
+/**
+ * Build an AudioDecoder config from an MP4Box track
+ */
+function getAudioDecoderConfig(mp4, track) {
+  const config = {
+    codec: track.codec,
+    sampleRate: track.audio.sample_rate,
+    numberOfChannels: track.audio.channel_count,
+  }
+
+  // AAC needs the AudioSpecificConfig from the esds box
+  const trak = mp4.getTrackById(track.id)
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const specificInfo = entry.esds?.esd?.findDescriptor(4)?.findDescriptor(5)
+    if (specificInfo?.data) {
+      config.description = specificInfo.data
+      break
+    }
+  }
+
+  return config
+}
+
+/**
+ * Serialize the codec configuration box (avcC, hvcC, vpcC, av1C) for VideoDecoder
+ */
+function getCodecDescription(mp4, track) {
+  const trak = mp4.getTrackById(track.id)
+  for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+    const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C
+    if (box) {
+      const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN)
+      box.write(stream)
+      return new Uint8Array(stream.buffer, 8) // Strip the box header
+    }
+  }
+  return undefined
+}
@@ -0,0 +1,367 @@
+/**
+ * Export settings
+ * Output format, plus resolution, frame rate, quality/bitrate and codec presets
+ * for the fast export and the animated image export, and the App Store app
+ * preview requirements. Stored as `previewSettings.exportSettings` so a project can be re-exported
+ * at different qualities.
+ */
+
+import { getOutputDimensions } from '../frameRenderer'
+
+// Output resolutions - short/long edge of the bounding box
+export const EXPORT_RESOLUTIONS = {
+  '720p': { name: '720p', short: 720, long: 1280 },
+  '1080p': { name: '1080p', short: 1080, long: 1920 },
+  '1440p': { name: '1440p', short: 1440, long: 2560 },
+  '4k': { name: '4K', short: 2160, long: 3840 },
+}
+
+// Frame rates ('match' uses the source frame rate)
+export const EXPORT_FRAME_RATES = {
+  24: { name: '24' },
+  30: { name: '30' },
+  60: { name: '60' },
+  match: { name: 'Match' },
+}
+
+// Quality presets - bitrate at 1080x1920 @ 30fps, scaled by pixel rate
+export const EXPORT_QUALITIES = {
+  low: { name: 'Low', referenceBitrate: 2_000_000 },
+  standard: { name: 'Standard', referenceBitrate: 4_000_000 },
+  high: { name: 'High', referenceBitrate: 8_000_000 },
+  max: { name: 'Max', referenceBitrate: 16_000_000 },
+  custom: { name: 'Custom', referenceBitrate: null },
+}
+
+const REFERENCE_PIXEL_RATE = 1080 * 1920 * 30
+
+// Encoder candidates per codec, tried in order with VideoEncoder.isConfigSupported
+const H264_CANDIDATES = [
+  // H.264 with avc format (best for mp4-muxer)
+  { codec: 'avc1.42001f', avc: { format: 'avc' }, name: 'H.264 Baseline (avc)' },
+  { codec: 'avc1.4d001f', avc: { format: 'avc' }, name: 'H.264 Main (avc)' },
+  // H.264 without avc format - might work on some systems
+  { codec: 'avc1.42001f', name: 'H.264 Baseline (annexb)' },
+  { codec: 'avc1.4d001f', name: 'H.264 Main (annexb)' },
+  // H.264 with different levels
+  { codec: 'avc1.42E01E', avc: { format: 'avc' }, name: 'H.264 Baseline L3' },
+  { codec: 'avc1.640028', avc: { format: 'avc' }, name: 'H.264 High L4' },
+  // Level 5.1 for 1440p/4K
+  { codec: 'avc1.640033', avc: { format: 'avc' }, name: 'H.264 High L5.1' },
+  { codec: 'avc1.4d0033', avc: { format: 'avc' }, name: 'H.264 Main L5.1' },
+]
+
+export const EXPORT_CODECS = {
+  h264: {
+    name: 'H.264',
+    container: 'mp4',
+    muxerCodec: 'avc',
+    candidates: H264_CANDIDATES,
+  },
+  hevc: {
+    name: 'HEVC',
+    container: 'mp4',
+    muxerCodec: 'hevc',
+    candidates: [
+      { codec: 'hvc1.1.6.L123.B0', hevc: { format: 'hevc' }, name: 'HEVC Main L4.1' },
+      { codec: 'hvc1.1.6.L153.B0', hevc: { format: 'hevc' }, name: 'HEVC Main L5.1' },
+    ],
+  },
+  vp9: {
+    name: 'VP9',
+    container: 'webm',
+    muxerCodec: 'V_VP9',
+    candidates: [
+      { codec: 'vp09.00.10.08', name: 'VP9' },
+      { codec: 'vp09.00.51.08', name: 'VP9 L5.1' },
+    ],
+  },
+  av1: {
+    name: 'AV1',
+    container: 'mp4',
+    muxerCodec: 'av1',
+    candidates: [
+      { codec: 'av01.0.08M.08', name: 'AV1 Main L4.0' },
+      { codec: 'av01.0.12M.08', name: 'AV1 Main L5.0' },
+    ],
+  },
+}
+
+// Output formats ('video' is MP4/WebM depending on the codec)
+export const EXPORT_FORMATS = {
+  video: { name: 'Video' },
+  gif: { name: 'GIF', mimeType: 'image/gif', extension: 'gif', animated: true },
+  webp: { name: 'WebP', mimeType: 'image/webp', extension: 'webp', animated: true },
+  apng: { name: 'APNG', mimeType: 'image/apng', extension: 'png', animated: true },
+  appPreview: { name: 'App Preview', mimeType: 'video/mp4', extension: 'mp4' },
+}
+
+// App Store app preview sizes per device class (portrait, landscape is swapped)
+export const APP_PREVIEW_DEVICES = {
+  'iphone-6.9': { name: 'iPhone 6.9"', desc: 'iPhone 6.9", 6.7", 6.5" and 6.1"', width: 886, height: 1920 },
+  'iphone-5.5': { name: 'iPhone 5.5"', desc: 'iPhone 5.5"', width: 1080, height: 1920 },
+  'iphone-4.7': { name: 'iPhone 4.7"', desc: 'iPhone 4.7" and 4"', width: 750, height: 1334 },
+  'ipad-13': { name: 'iPad 13"', desc: 'iPad 13", 12.9", 11" and 10.5"', width: 1200, height: 1600 },
+  'ipad-9.7': { name: 'iPad 9.7"', desc: 'iPad 9.7"', width: 900, height: 1200 },
+}
+
+// Fixed App Store requirements
+export const APP_PREVIEW_FPS = 30
+export const APP_PREVIEW_BITRATE = 10_000_000 // Apple recommends 10-12 Mbps H.264
+export const APP_PREVIEW_MIN_DURATION = 15
+export const APP_PREVIEW_MAX_DURATION = 30
+
+// Still image formats (poster frames, tap stills, contact sheet)
+export const STILL_FORMATS = {
+  png: { name: 'PNG', mimeType: 'image/png', extension: 'png' },
+  jpeg: { name: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg' },
+}
+
+export const CONTACT_SHEET_COLUMNS = [2, 3, 4, 5]
+
+// Animated image options
+export const ANIMATED_FRAME_RATES = [5, 10, 15, 20, 25]
+export const ANIMATED_MAX_WIDTHS = [320, 480, 640, 800]
+export const ANIMATED_COLOR_COUNTS = [32, 64, 128, 256]
+
+export const DITHER_MODES = {
+  none: { name: 'None', desc: 'Flat color bands, smallest files' },
+  'floyd-steinberg': { name: 'Diffusion', desc: 'Floyd-Steinberg error diffusion, smoothest gradients' },
+  ordered: { name: 'Ordered', desc: 'Bayer pattern, stable between frames' },
+}
+
+// Number of plays, 0 = forever
+export const LOOP_OPTIONS = {
+  0: { name: 'Forever' },
+  1: { name: 'Once' },
+  3: { name: '3x' },
+}
+
+// Target file sizes in bytes (null = off)
+export const TARGET_SIZES = [null, 1_000_000, 2_000_000, 5_000_000, 10_000_000]
+
+export const DEFAULT_ANIMATED_SETTINGS = {
+  fps: 15,
+  maxWidth: 480,
+  colors: 256, // GIF/APNG palette size
+  dither: 'floyd-steinberg', // GIF/APNG
+  webpQuality: 0.8, // WebP only
+  loopCount: 0,
+  skipDuplicates: true, // Merge unchanged frames into one longer frame
+  targetSize: null,
+}
+
+export const DEFAULT_STILL_SETTINGS = {
+  format: 'png',
+  jpegQuality: 0.92,
+  sheetColumns: 3,
+}
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  format: 'video',
+  resolution: '1080p',
+  frameRate: 30,
+  quality: 'standard',
+  bitrate: 4_000_000, // Only used when quality is 'custom'
+  codec: 'auto',
+  streamToDisk: false, // Write through the File System Access API / OPFS instead of memory
+  animated: DEFAULT_ANIMATED_SETTINGS,
+  stills: DEFAULT_STILL_SETTINGS,
+  // Batch export: OUTPUT_ASPECTS keys, and per-aspect { videoTransform, appliedCrop } overrides
+  batchAspects: ['9:16', '4:5', '1:1', '16:9'],
+  aspectOverrides: {},
+  appPreviewDevice: 'auto', // APP_PREVIEW_DEVICES key, 'auto' picks the closest to the output aspect
+}
+
+/**
+ * Fill in defaults for missing export settings
+ * App previews override the encoding settings with the App Store requirements.
+ */
+export function resolveExportSettings(exportSettings) {
+  const resolved = {
+    ...DEFAULT_EXPORT_SETTINGS,
+    ...exportSettings,
+    animated: { ...DEFAULT_ANIMATED_SETTINGS, ...exportSettings?.animated },
+    stills: { ...DEFAULT_STILL_SETTINGS, ...exportSettings?.stills },
+    aspectOverrides: { ...exportSettings?.aspectOverrides },
+  }
+
+  if (resolved.format === 'appPreview') {
+    // Encoded in memory so the file can be validated before it is saved
+    return {
+      ...resolved,
+      frameRate: APP_PREVIEW_FPS,
+      quality: 'custom',
+      bitrate: APP_PREVIEW_BITRATE,
+      codec: 'h264',
+      streamToDisk: false,
+    }
+  }
+  return resolved
+}
+
+/**
+ * Expected file type of an export, used to name the output file before encoding
+ * Video exports are restricted to this container when streaming to disk.
+ */
+export function getExportFileType(exportSettings) {
+  const { format, codec } = resolveExportSettings(exportSettings)
+  if (isAnimatedFormat(format)) {
+    const { mimeType, extension } = EXPORT_FORMATS[format]
+    return { mimeType, extension }
+  }
+  return EXPORT_CODECS[codec]?.container === 'webm'
+    ? { mimeType: 'video/webm', extension: 'webm' }
+    : { mimeType: 'video/mp4', extension: 'mp4' }
+}
+
+/**
+ * Check if a format is an animated image (GIF/WebP/APNG)
+ */
+export function isAnimatedFormat(format) {
+  return !!EXPORT_FORMATS[format]?.animated
+}
+
+/**
+ * Get even output dimensions for the chosen resolution
+ * The resolution box is rotated to match the output orientation, so 1080p is
+ * 1080x1920 for 9:16 and 1920x1080 for 16:9.
+ */
+export function getExportDimensions(exportSettings, outputAspect, videoW, videoH, appliedCrop, showDeviceFrame) {
+  const { resolution, format, appPreviewDevice } = resolveExportSettings(exportSettings)
+  const res = EXPORT_RESOLUTIONS[resolution] || EXPORT_RESOLUTIONS['1080p']
+
+  const { aspectRatio } = getOutputDimensions(outputAspect, videoW, videoH, res.short, res.long, appliedCrop, showDeviceFrame)
+
+  // App previews must be exactly one of the App Store sizes
+  if (format === 'appPreview') {
+    const { width, height } = getAppPreviewSize(appPreviewDevice, aspectRatio)
+    return { width, height }
+  }
+
+  const [maxWidth, maxHeight] = aspectRatio > 1 ? [res.long, res.short] : [res.short, res.long]
+
+  const { width, height } = getOutputDimensions(outputAspect, videoW, videoH, maxWidth, maxHeight, appliedCrop, showDeviceFrame)
+
+  // Ensure even for H.264
+  return {
+    width: Math.ceil(width / 2) * 2,
+    height: Math.ceil(height / 2) * 2,
+  }
+}
+
+/**
+ * Get the App Store size for a device class in the output's orientation
+ * @param {string} deviceKey - APP_PREVIEW_DEVICES key or 'auto' (closest aspect ratio)
+ * @param {number} aspectRatio - Output width / height
+ * @returns {{key: string, name: string, width: number, height: number}}
+ */
+export function getAppPreviewSize(deviceKey, aspectRatio) {
+  const landscape = aspectRatio > 1
+  const sizes = Object.entries(APP_PREVIEW_DEVICES).map(([key, device]) => ({
+    key,
+    name: device.name,
+    width: landscape ? device.height : device.width,
+    height: landscape ? device.width : device.height,
+  }))
+
+  const chosen = sizes.find(size => size.key === deviceKey)
+  if (chosen) return chosen
+
+  // Least stretching/letterboxing of the rendered frame
+  const mismatch = (size) => Math.abs(Math.log((size.width / size.height) / aspectRatio))
+  return sizes.reduce((best, size) => (mismatch(size) < mismatch(best) ? size : best))
+}
+
+/**
+ * Get the exported length in seconds (app previews are cut at the App Store maximum)
+ */
+export function getExportDuration(exportSettings, sourceDuration) {
+  const { format } = resolveExportSettings(exportSettings)
+  return format === 'appPreview' ? Math.min(sourceDuration, APP_PREVIEW_MAX_DURATION) : sourceDuration
+}
+
+/**
+ * Resolve the output frame rate
+ * @param {number|string} frameRate - 24, 30, 60 or 'match'
+ * @param {number} sourceFrameRate - Source frame rate if known
+ */
+export function resolveFrameRate(frameRate, sourceFrameRate) {
+  if (frameRate === 'match') {
+    if (!sourceFrameRate || !isFinite(sourceFrameRate)) return 30
+    return Math.min(60, Math.max(1, Math.round(sourceFrameRate * 100) / 100))
+  }
+  return Number(frameRate) || 30
+}
+
+/**
+ * Get the target bitrate in bits per second
+ */
+export function getExportBitrate(exportSettings, width, height, fps) {
+  const { quality, bitrate } = resolveExportSettings(exportSettings)
+  if (quality === 'custom' && bitrate > 0) return Math.round(bitrate)
+
+  const preset = EXPORT_QUALITIES[quality]?.referenceBitrate || EXPORT_QUALITIES.standard.referenceBitrate
+  return Math.round(preset * (width * height * fps) / REFERENCE_PIXEL_RATE)
+}
+
+/**
+ * Encoder candidates for a codec choice
+ * A specific codec is tried first, then the automatic list (H.264, then VP9).
+ * Each candidate carries its muxer codec and container.
+ */
+export function getCodecCandidates(codecKey) {
+  const withContainer = (key) => EXPORT_CODECS[key].candidates.map(candidate => ({
+    ...candidate,
+    muxerCodec: EXPORT_CODECS[key].muxerCodec,
+    container: EXPORT_CODECS[key].container,
+  }))
+
+  const auto = [...withContainer('h264'), ...withContainer('vp9')]
+  if (!EXPORT_CODECS[codecKey]) return auto
+  return [...withContainer(codecKey), ...auto]
+}
+
+/**
+ * Check which codecs the browser can encode at the given size
+ * @returns {Promise<Object>} Map of codec key -> boolean
+ */
+export async function getSupportedCodecs(width, height, fps, bitrate) {
+  const supported = {}
+
+  for (const [key, codec] of Object.entries(EXPORT_CODECS)) {
+    supported[key] = false
+    if (typeof VideoEncoder === 'undefined') continue
+
+    for (const candidate of codec.candidates) {
+      try {
+        const support = await VideoEncoder.isConfigSupported(buildEncoderConfig(candidate, width, height, fps, bitrate))
+        if (support.supported) {
+          supported[key] = true
+          break
+        }
+      } catch (e) {
+        // Try next candidate
+      }
+    }
+  }
+
+  return supported
+}
+
+/**
+ * Build a VideoEncoder config for a codec candidate
+ */
+export function buildEncoderConfig(candidate, width, height, fps, bitrate) {
+  const config = {
+    codec: candidate.codec,
+    width,
+    height,
+    bitrate,
+    framerate: fps,
+    latencyMode: 'quality',
+  }
+  if (candidate.avc) config.avc = candidate.avc
+  if (candidate.hevc) config.hevc = candidate.hevc
+  return config
+}
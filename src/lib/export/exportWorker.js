@@ -0,0 +1,62 @@
+/**
+ * Export worker
+ * Runs the fast export pipeline off the main thread with OffscreenCanvas,
+ * so the editor stays responsive while frames are rendered and encoded.
+ *
+ * Messages in:  { type: 'start', videoFile, settings, videoInfo, output } | { type: 'cancel' }
+ *               (output is { handle, extension } when streaming to a file)
+ * Messages out: { type: 'progress', progress } | { type: 'done', result } | { type: 'error', error }
+ */
+
+import { runFastExport } from './fastExporter'
+import { createDecodedFrameSource } from './frameSource'
+
+let controller = null
+
+self.onmessage = async (e) => {
+  const { type } = e.data
+
+  if (type === 'cancel') {
+    if (controller) controller.abort()
+    return
+  }
+
+  if (type !== 'start') return
+
+  const { videoFile, settings, videoInfo, output } = e.data
+  controller = new AbortController()
+  let frameSource = null
+
+  try {
+    // No <video> element here, so frames must come from VideoDecoder
+    frameSource = await createDecodedFrameSource(videoFile)
+
+    const result = await runFastExport({
+      videoFile,
+      settings,
+      videoInfo,
+      frameSource,
+      createCanvas: (width, height) => new OffscreenCanvas(width, height),
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+      signal: controller.signal,
+      writable: output ? await output.handle.createWritable() : null,
+      container: output?.extension,
+    })
+
+    // Streamed results are already on disk, nothing to transfer
+    self.postMessage({ type: 'done', result }, result.data ? [result.data.buffer] : [])
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      error: {
+        name: error?.name || 'Error',
+        message: error?.message || String(error),
+        useFallback: !!error?.useFallback,
+        needsMainThread: !!error?.needsMainThread,
+      },
+    })
+  } finally {
+    if (frameSource) frameSource.close()
+    controller = null
+  }
+}
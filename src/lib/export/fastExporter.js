@@ -2,15 +2,32 @@
  * Fast video exporter using WebCodecs + mp4-muxer
  *
  * This is the production-ready approach:
+ * - MP4Box.js + VideoDecoder frame source (seeking fallback)
  * - WebCodecs VideoEncoder for hardware-accelerated encoding
  * - mp4-muxer for creating valid MP4 files
  * - Frame-by-frame canvas rendering for exact preview match
  */
 
-import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4ArrayBufferTarget } from 'mp4-muxer'
-import { Muxer as WebmMuxer, ArrayBufferTarget as WebmArrayBufferTarget } from 'webm-muxer'
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4ArrayBufferTarget, StreamTarget as Mp4StreamTarget } from 'mp4-muxer'
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmArrayBufferTarget, StreamTarget as WebmStreamTarget } from 'webm-muxer'
 import { CameraEngine } from '../cameraEngine'
-import { getOutputDimensions, renderFrame } from '../frameRenderer'
+import { renderFrame } from '../frameRenderer'
+import { encodeSourceAudio, encodeSilentAudio } from './audioTrack'
+import {
+  resolveExportSettings,
+  getExportDimensions,
+  getExportDuration,
+  resolveFrameRate,
+  getExportBitrate,
+  getCodecCandidates,
+  buildEncoderConfig,
+  EXPORT_CODECS,
+} from './exportSettings'
+import { createFileSink } from './fileOutput'
+import { createFrameSource } from './frameSource'
+
+// Max frames waiting in the VideoEncoder before the render loop yields
+const MAX_ENCODE_QUEUE = 8
 
 /**
  * Check if fast export is supported
@@ -20,9 +37,106 @@ export function isFastExportSupported() {
 }
 
 /**
- * Export video using WebCodecs + mp4-muxer
+ * Export video using WebCodecs + mp4-muxer on the main thread
+ * @param {File} videoFile - Source recording
+ * @param {Object} settings - Preview settings
+ * @param {Function} onProgress - Receives { phase, percent, message, frame, totalFrames, eta }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @param {Object} options.output - Stream to this file instead of memory (see fileOutput.js)
  */
-export async function exportFast(videoFile, settings, onProgress) {
+export async function exportFast(videoFile, settings, onProgress, { signal, output } = {}) {
+  onProgress({ phase: 'init', percent: 2, message: 'Loading video...' })
+
+  const video = await loadVideoElement(videoFile)
+
+  // Decode frames sequentially (falls back to seeking the video element)
+  const frameSource = await createFrameSource(videoFile, video)
+
+  try {
+    return await runFastExport({
+      videoFile,
+      settings,
+      videoInfo: { width: video.videoWidth, height: video.videoHeight, duration: video.duration },
+      frameSource,
+      createCanvas: createDomCanvas,
+      onProgress,
+      signal,
+      writable: output ? await output.handle.createWritable() : null,
+      container: output?.extension,
+    })
+  } finally {
+    frameSource.close()
+    URL.revokeObjectURL(video.src)
+  }
+}
+
+/**
+ * Load a video element for metadata and seeking
+ * Caller is responsible for revoking video.src
+ */
+export async function loadVideoElement(videoFile) {
+  const video = document.createElement('video')
+  video.src = URL.createObjectURL(videoFile)
+  video.muted = true
+  video.playsInline = true
+  video.preload = 'auto'
+
+  await new Promise((resolve, reject) => {
+    video.onloadedmetadata = resolve
+    video.onerror = reject
+  })
+
+  // Ensure video is loaded enough to seek
+  await new Promise((resolve) => {
+    if (video.readyState >= 2) resolve()
+    else video.oncanplay = resolve
+  })
+
+  return video
+}
+
+/**
+ * Create a DOM canvas (main thread)
+ */
+function createDomCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * Render, encode and mux every frame
+ * Has no DOM dependencies so it can run in the export worker with OffscreenCanvas.
+ *
+ * @param {Object} params
+ * @param {File} params.videoFile - Source recording (for audio)
+ * @param {Object} params.settings - Preview settings
+ * @param {Object} params.videoInfo - { width, height, duration } of the source
+ * @param {Object} params.frameSource - Frame source from frameSource.js (owned by the caller)
+ * @param {Function} params.createCanvas - (width, height) => canvas or OffscreenCanvas
+ * @param {Function} params.onProgress - Progress callback
+ * @param {AbortSignal} params.signal - Cancels the export
+ * @param {FileSystemWritableFileStream} params.writable - Stream the file here instead of returning it (owned by this call)
+ * @param {string} params.container - Restrict codecs to this container ('mp4' or 'webm'), e.g. to match the chosen file
+ * @returns {Promise<Object>} { data, mimeType, extension }, or { streamed, bytesWritten, mimeType, extension } with a writable
+ */
+export async function runFastExport({ writable = null, ...params }) {
+  // Streaming sink - aborted on any failure so a partial file never replaces the target
+  const sink = writable ? createFileSink(writable) : null
+  try {
+    return await encodeAndMux({ ...params, sink })
+  } catch (e) {
+    if (sink) await sink.abort()
+    throw e
+  }
+}
+
+/**
+ * Render, encode and mux every frame into memory or the streaming sink
+ */
+async function encodeAndMux({ videoFile, settings, videoInfo, frameSource, createCanvas, onProgress, signal, sink, container = null }) {
   console.log('[FastExporter] Starting export with settings:', {
     tapEvents: settings.tapEvents?.length || 0,
     outputAspect: settings.outputAspect,
@@ -30,6 +144,7 @@ export async function exportFast(videoFile, settings, onProgress) {
     videoTransform: settings.videoTransform,
     appliedCrop: settings.appliedCrop,
     zoomLevel: settings.zoomLevel,
+    exportSettings: settings.exportSettings,
   })
 
   const {
@@ -42,49 +157,29 @@ export async function exportFast(videoFile, settings, onProgress) {
     selectedBackground = 'ocean',
     selectedDevice = 'match',
     showNotch = true,
+    indicatorTrack = null,
+    includeAudio = true,
   } = settings
+  const exportSettings = resolveExportSettings(settings.exportSettings)
 
-  onProgress({ phase: 'init', percent: 2, message: 'Loading video...' })
+  signal?.throwIfAborted()
 
-  // Create video element for seeking
-  const video = document.createElement('video')
-  video.src = URL.createObjectURL(videoFile)
-  video.muted = true
-  video.playsInline = true
-  video.preload = 'auto'
+  const videoW = videoInfo.width
+  const videoH = videoInfo.height
+  const duration = getExportDuration(exportSettings, videoInfo.duration)
+  const fps = resolveFrameRate(exportSettings.frameRate, frameSource.frameRate)
 
-  await new Promise((resolve, reject) => {
-    video.onloadedmetadata = resolve
-    video.onerror = reject
-  })
-
-  // Ensure video is loaded enough to seek
-  await new Promise((resolve) => {
-    if (video.readyState >= 2) resolve()
-    else video.oncanplay = resolve
-  })
-
-  const videoW = video.videoWidth
-  const videoH = video.videoHeight
-  const duration = video.duration
-  const fps = 30
-
-  // Get output dimensions (pass appliedCrop and showDeviceFrame for correct aspect, ensure even for H.264)
-  let { width: outW, height: outH } = getOutputDimensions(outputAspect, videoW, videoH, 1080, 1920, appliedCrop, showDeviceFrame)
-  outW = Math.ceil(outW / 2) * 2
-  outH = Math.ceil(outH / 2) * 2
+  // Get output dimensions for the chosen resolution (even for H.264)
+  const { width: outW, height: outH } = getExportDimensions(exportSettings, outputAspect, videoW, videoH, appliedCrop, showDeviceFrame)
+  const bitrate = getExportBitrate(exportSettings, outW, outH, fps)
 
   onProgress({ phase: 'init', percent: 5, message: 'Setting up encoder...' })
 
   // Create canvases
-  const sourceCanvas = document.createElement('canvas')
-  sourceCanvas.width = videoW
-  sourceCanvas.height = videoH
+  const sourceCanvas = createCanvas(videoW, videoH)
   const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true })
 
-  const outputCanvas = document.createElement('canvas')
-  outputCanvas.width = outW
-  outputCanvas.height = outH
+  const outputCanvas = createCanvas(outW, outH)
 
   // Create camera engine
   const camera = new CameraEngine(videoW, videoH)
@@ -95,78 +190,20 @@ export async function exportFast(videoFile, settings, onProgress) {
   let encoderError = null
 
   console.log('[FastExporter] Total frames to encode:', totalFrames)
-  console.log('[FastExporter] Output dimensions:', outW, 'x', outH)
-
-  // Try different codecs in order of preference
-  const codecOptions = [
-    // H.264 with avc format (best for mp4-muxer)
-    {
-      codec: 'avc1.42001f',
-      avc: { format: 'avc' },
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 Baseline (avc)'
-    },
-    {
-      codec: 'avc1.4d001f',
-      avc: { format: 'avc' },
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 Main (avc)'
-    },
-    // H.264 without avc format - might work on some systems
-    {
-      codec: 'avc1.42001f',
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 Baseline (annexb)'
-    },
-    {
-      codec: 'avc1.4d001f',
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 Main (annexb)'
-    },
-    // H.264 with different levels
-    {
-      codec: 'avc1.42E01E',
-      avc: { format: 'avc' },
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 Baseline L3'
-    },
-    {
-      codec: 'avc1.640028',
-      avc: { format: 'avc' },
-      muxerCodec: 'avc',
-      container: 'mp4',
-      name: 'H.264 High L4'
-    },
-    // VP9 -> WebM container (fallback)
-    {
-      codec: 'vp09.00.10.08',
-      muxerCodec: 'V_VP9',
-      container: 'webm',
-      name: 'VP9'
-    },
-  ]
+  console.log('[FastExporter] Output dimensions:', outW, 'x', outH, '@', fps, 'fps,', bitrate, 'bps')
+
+  // Try the chosen codec first, then the automatic list (H.264, then VP9)
+  // (app previews must be H.264)
+  const codecOptions = getCodecCandidates(exportSettings.codec)
+    .filter(option => !container || option.container === container)
+    .filter(option => exportSettings.format !== 'appPreview' || option.muxerCodec === 'avc')
 
   let selectedCodec = null
   let muxerCodec = 'avc'
   let containerFormat = 'mp4'
 
   for (const option of codecOptions) {
-    const config = {
-      codec: option.codec,
-      width: outW,
-      height: outH,
-      bitrate: 4_000_000,
-      framerate: fps,
-      latencyMode: 'quality',
-    }
-    if (option.avc) {
-      config.avc = option.avc
-    }
+    const config = buildEncoderConfig(option, outW, outH, fps, bitrate)
 
     try {
       console.log('[FastExporter] Trying codec:', option.name, `(${option.codec})`)
@@ -190,12 +227,36 @@ export async function exportFast(videoFile, settings, onProgress) {
     throw error
   }
 
+  const requestedCodec = EXPORT_CODECS[exportSettings.codec]
+  if (requestedCodec && requestedCodec.muxerCodec !== muxerCodec) {
+    console.warn('[FastExporter]', requestedCodec.name, 'not supported, using', selectedCodec.codec)
+  }
+
+  // Re-encode the source audio up front so it can be interleaved with video chunks
+  let audio = null
+  if (includeAudio) {
+    onProgress({ phase: 'audio', percent: 7, message: 'Preparing audio...' })
+    try {
+      audio = await encodeSourceAudio(videoFile, containerFormat, totalFrames / fps)
+    } catch (e) {
+      // In the worker, rather than going silent, let the main thread decode it
+      if (e.needsMainThread) throw e
+      console.warn('[FastExporter] Audio encoding failed, exporting without audio:', e)
+    }
+    signal?.throwIfAborted()
+  }
+
+  // App previews need an audio track even when the source (or the export) is silent
+  if (!audio && exportSettings.format === 'appPreview') {
+    audio = await encodeSilentAudio(containerFormat, totalFrames / fps)
+  }
+
   // Create the appropriate muxer based on container format
   let muxer, target
 
   if (containerFormat === 'webm') {
     // Use WebM muxer for VP9/VP8
-    target = new WebmArrayBufferTarget()
+    target = sink ? new WebmStreamTarget({ onData: sink.write, chunked: true }) : new WebmArrayBufferTarget()
     muxer = new WebmMuxer({
       target,
       video: {
@@ -203,12 +264,13 @@ export async function exportFast(videoFile, settings, onProgress) {
         width: outW,
         height: outH,
       },
+      audio: audio?.muxerOptions,
       firstTimestampBehavior: 'offset',
     })
     console.log('[FastExporter] Using WebM muxer')
   } else {
-    // Use MP4 muxer for H.264
-    target = new Mp4ArrayBufferTarget()
+    // Use MP4 muxer for H.264/HEVC/AV1
+    target = sink ? new Mp4StreamTarget({ onData: sink.write, chunked: true }) : new Mp4ArrayBufferTarget()
     muxer = new Mp4Muxer({
       target,
       video: {
@@ -216,10 +278,24 @@ export async function exportFast(videoFile, settings, onProgress) {
         width: outW,
         height: outH,
       },
-      fastStart: 'in-memory',
+      audio: audio?.muxerOptions,
+      // When streaming, reserve room for the moov box up front so the file still starts with it
+      fastStart: sink
+        ? { expectedVideoChunks: totalFrames, expectedAudioChunks: audio?.chunks.length ?? 0 }
+        : 'in-memory',
       firstTimestampBehavior: 'offset',
     })
-    console.log('[FastExporter] Using MP4 muxer')
+    console.log('[FastExporter] Using MP4 muxer', audio ? 'with audio' : 'without audio')
+  }
+
+  // Add audio chunks up to a timestamp so both tracks stay interleaved
+  let audioChunkIdx = 0
+  const addAudioUntil = (timestamp) => {
+    if (!audio) return
+    while (audioChunkIdx < audio.chunks.length && audio.chunks[audioChunkIdx].chunk.timestamp <= timestamp) {
+      const { chunk, meta } = audio.chunks[audioChunkIdx++]
+      muxer.addAudioChunk(chunk, meta)
+    }
   }
 
   // Create encoder with muxer callback
@@ -236,6 +312,7 @@ export async function exportFast(videoFile, settings, onProgress) {
         })
       }
       muxer.addVideoChunk(chunk, meta)
+      addAudioUntil(chunk.timestamp)
       encodedFrames++
     },
     error: (e) => {
@@ -249,17 +326,18 @@ export async function exportFast(videoFile, settings, onProgress) {
   onProgress({ phase: 'encoding', percent: 10, message: 'Encoding frames...' })
 
   // Process each frame
-  const keyFrameInterval = fps * 2 // Keyframe every 2 seconds
+  const keyFrameInterval = Math.round(fps * 2) // Keyframe every 2 seconds
+  const encodeStart = performance.now()
 
   try {
     for (let frameIdx = 0; frameIdx < totalFrames; frameIdx++) {
-      const currentTime = frameIdx / fps
+      signal?.throwIfAborted()
+      if (encoderError) throw encoderError
 
-      // Seek video to frame time
-      await seekVideo(video, currentTime)
+      const currentTime = frameIdx / fps
 
       // Draw video frame to source canvas
-      sourceCtx.drawImage(video, 0, 0, videoW, videoH)
+      await frameSource.drawFrame(sourceCtx, currentTime, videoW, videoH)
 
       // Render frame with effects
       renderFrame({
@@ -277,6 +355,7 @@ export async function exportFast(videoFile, settings, onProgress) {
         selectedDevice,
         showNotch,
         camera,
+        indicatorTrack,
       })
 
       // Create VideoFrame from canvas
@@ -289,14 +368,28 @@ export async function exportFast(videoFile, settings, onProgress) {
       encoder.encode(frame, { keyFrame: isKeyFrame })
       frame.close()
 
+      // Keep the encoder queue short so rendered frames don't pile up in memory
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => { encoder.ondequeue = resolve })
+      }
+
+      // Don't let muxed data pile up faster than the disk takes it
+      if (sink) await sink.drain()
+
       // Progress update
       const percent = 10 + (frameIdx / totalFrames) * 85
       if (frameIdx % 5 === 0) {
+        const framesDone = frameIdx + 1
+        const elapsed = (performance.now() - encodeStart) / 1000
         try {
           onProgress({
             phase: 'encoding',
             percent,
-            message: `Frame ${frameIdx + 1}/${totalFrames}`,
+            message: `Frame ${framesDone}/${totalFrames}`,
+            frame: framesDone,
+            totalFrames,
+            eta: (elapsed / framesDone) * (totalFrames - framesDone),
+            bytesWritten: sink?.bytesWritten,
           })
         } catch (e) {
           // Ignore progress callback errors
@@ -304,10 +397,18 @@ export async function exportFast(videoFile, settings, onProgress) {
       }
     }
   } catch (loopError) {
-    console.error('[FastExporter] Error in encoding loop:', loopError)
+    // Cancelled or failed - release the encoder, the muxer and its buffer are dropped
+    if (encoder.state !== 'closed') encoder.close()
+    if (loopError?.name === 'AbortError') {
+      console.log('[FastExporter] Export cancelled at frame', encodedFrames)
+    } else {
+      console.error('[FastExporter] Error in encoding loop:', loopError)
+    }
     throw loopError
   }
 
+  console.log('[FastExporter] Frame source used:', frameSource.kind)
+
   onProgress({ phase: 'finalizing', percent: 95, message: 'Finalizing...' })
 
   console.log('[FastExporter] Frames encoded:', encodedFrames)
@@ -322,6 +423,9 @@ export async function exportFast(videoFile, settings, onProgress) {
 
   encoder.close()
 
+  // Remaining audio past the last video frame
+  addAudioUntil(Infinity)
+
   // Finalize muxer - this writes the moov atom
   console.log('[FastExporter] Finalizing muxer...')
   try {
@@ -332,6 +436,18 @@ export async function exportFast(videoFile, settings, onProgress) {
     throw new Error(`Muxer failed: ${muxerError.message}`)
   }
 
+  // Return with correct mime type based on container
+  const mimeType = containerFormat === 'webm' ? 'video/webm' : 'video/mp4'
+  const extension = containerFormat === 'webm' ? 'webm' : 'mp4'
+
+  if (sink) {
+    onProgress({ phase: 'finalizing', percent: 98, message: 'Writing to disk...', bytesWritten: sink.bytesWritten })
+    await sink.close()
+    console.log('[FastExporter] Export complete:', extension, sink.bytesWritten, 'bytes written to disk')
+    onProgress({ phase: 'done', percent: 100, message: 'Export complete!', bytesWritten: sink.bytesWritten })
+    return { streamed: true, bytesWritten: sink.bytesWritten, mimeType, extension }
+  }
+
   // Get the final MP4 data - access via muxer.target after finalize
   const mp4Data = muxer.target.buffer
   console.log('[FastExporter] Final MP4 size:', mp4Data.byteLength, 'bytes')
@@ -344,15 +460,8 @@ export async function exportFast(videoFile, settings, onProgress) {
     throw new Error('Export produced empty file - no frames were encoded')
   }
 
-  // Cleanup
-  URL.revokeObjectURL(video.src)
-
   onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
 
-  // Return with correct mime type based on container
-  const mimeType = containerFormat === 'webm' ? 'video/webm' : 'video/mp4'
-  const extension = containerFormat === 'webm' ? 'webm' : 'mp4'
-
   console.log('[FastExporter] Export complete:', extension, mp4Data.byteLength, 'bytes')
 
   return {
@@ -361,25 +470,3 @@ export async function exportFast(videoFile, settings, onProgress) {
     extension,
   }
 }
-
-/**
- * Seek video to specific time with precision
- */
-function seekVideo(video, time) {
-  return new Promise((resolve) => {
-    // If already at the right time, skip
-    if (Math.abs(video.currentTime - time) < 0.02) {
-      resolve()
-      return
-    }
-
-    const onSeeked = () => {
-      video.removeEventListener('seeked', onSeeked)
-      // Wait for frame to be decoded
-      requestAnimationFrame(() => resolve())
-    }
-
-    video.addEventListener('seeked', onSeeked)
-    video.currentTime = time
-  })
-}
@@ -0,0 +1,171 @@
+/**
+ * Streaming export output
+ *
+ * Writes the muxer output straight to disk through the File System Access API
+ * (save picker) or, where the picker isn't available, the origin private file
+ * system (OPFS). The exported file is never held in memory as a whole.
+ */
+
+const OPFS_PREFIX = 'export-'
+// Max bytes handed to the writable stream but not yet written
+const MAX_PENDING_BYTES = 64 * 1024 * 1024
+
+/**
+ * Check if exports can be streamed to disk
+ */
+export function isStreamingExportSupported() {
+  return typeof window !== 'undefined' && (typeof window.showSaveFilePicker === 'function' || isOpfsSupported())
+}
+
+function isOpfsSupported() {
+  return !!navigator.storage?.getDirectory &&
+    typeof FileSystemFileHandle !== 'undefined' &&
+    'createWritable' in FileSystemFileHandle.prototype
+}
+
+/**
+ * Choose where the export is written
+ * Call this before any other await in a click handler, the save picker needs the user gesture.
+ *
+ * @param {string} suggestedName - File name including extension
+ * @param {Object} fileType - { mimeType, extension } of the export
+ * @returns {Promise<{handle: FileSystemFileHandle, kind: string, name: string, extension: string}|null>}
+ *   kind is 'file' (save picker) or 'opfs', null if the user cancelled the picker
+ */
+export async function openExportOutput(suggestedName, { mimeType, extension }) {
+  if (typeof window.showSaveFilePicker === 'function') {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName,
+        types: [{ description: `${extension.toUpperCase()} file`, accept: { [mimeType]: [`.${extension}`] } }],
+      })
+      return { handle, kind: 'file', name: handle.name, extension }
+    } catch (e) {
+      if (e.name === 'AbortError') return null
+      console.warn('[FileOutput] Save picker failed, using OPFS:', e)
+    }
+  }
+
+  const root = await navigator.storage.getDirectory()
+  await removeOpfsExports(root)
+  const handle = await root.getFileHandle(`${OPFS_PREFIX}${suggestedName}`, { create: true })
+  console.log('[FileOutput] Writing to OPFS:', handle.name)
+  return { handle, kind: 'opfs', name: suggestedName, extension }
+}
+
+/**
+ * Download an export that was written to OPFS
+ * The File is backed by disk, so the download doesn't load it into memory.
+ */
+export async function downloadExportOutput(output) {
+  const file = await output.handle.getFile()
+  const url = URL.createObjectURL(file)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = output.name
+  a.click()
+  // The OPFS file itself is removed when the next export starts
+  setTimeout(() => URL.revokeObjectURL(url), 60_000)
+}
+
+/**
+ * Remove the OPFS file of a failed or cancelled export
+ * Save picker files are left alone - an aborted writable never replaces their contents.
+ */
+export async function discardExportOutput(output) {
+  if (output?.kind !== 'opfs') return
+  try {
+    const root = await navigator.storage.getDirectory()
+    await root.removeEntry(output.handle.name)
+  } catch (e) {
+    console.warn('[FileOutput] Could not remove OPFS export:', e)
+  }
+}
+
+/**
+ * Write an in-memory export (FFmpeg, animated images) to the chosen output
+ * @returns {Promise<{streamed: boolean, bytesWritten: number}>}
+ */
+export async function writeExportOutput(output, data) {
+  const writable = await output.handle.createWritable()
+  try {
+    await writable.write(data)
+    await writable.close()
+  } catch (e) {
+    await writable.abort().catch(() => {})
+    throw e
+  }
+  return { streamed: true, bytesWritten: data.byteLength }
+}
+
+/**
+ * Sink that writes muxer output to a FileSystemWritableFileStream
+ * Pass `write` as the muxer StreamTarget's onData. Writes are queued in order
+ * without awaiting (the muxer calls onData synchronously), `drain` applies
+ * backpressure and `close` waits for everything to land on disk.
+ *
+ * @param {FileSystemWritableFileStream} writable
+ */
+export function createFileSink(writable) {
+  const pending = new Set()
+  let pendingBytes = 0
+  let bytesWritten = 0
+  let error = null
+
+  return {
+    write(data, position) {
+      const size = data.byteLength
+      pendingBytes += size
+      const promise = writable.write({ type: 'write', data, position })
+        .then(() => {
+          bytesWritten += size
+        }, (e) => {
+          error = error || e
+        })
+        .finally(() => {
+          pendingBytes -= size
+          pending.delete(promise)
+        })
+      pending.add(promise)
+    },
+
+    get bytesWritten() {
+      return bytesWritten
+    },
+
+    /**
+     * Wait until the queued writes drop below the limit
+     */
+    async drain(maxPendingBytes = MAX_PENDING_BYTES) {
+      while (pendingBytes > maxPendingBytes && pending.size > 0) {
+        await Promise.race(pending)
+      }
+      if (error) throw error
+    },
+
+    async close() {
+      await Promise.all(pending)
+      if (error) throw error
+      await writable.close()
+    },
+
+    async abort() {
+      try {
+        await writable.abort()
+      } catch (e) {
+        // Already closed or errored
+      }
+    },
+  }
+}
+
+/**
+ * Remove leftover exports from OPFS (downloads of earlier exports have finished by now)
+ */
+async function removeOpfsExports(root) {
+  for await (const name of root.keys()) {
+    if (name.startsWith(OPFS_PREFIX)) {
+      await root.removeEntry(name).catch(() => {})
+    }
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Frame sources for export
+ *
+ * Export renders frames sequentially, so the preferred source demuxes the
+ * recording with MP4Box.js and decodes it with WebCodecs VideoDecoder. Every
+ * frame is exact and no seeking is involved. Seeking a <video> element is
+ * kept as a fallback for sources the decoder can't handle.
+ */
+
+import { demuxFile } from './demuxer'
+import { seekVideo } from '../videoUtils'
+
+// Decoded frames within this distance of the requested time count as "at" it (microseconds)
+const FRAME_TIME_TOLERANCE = 2000
+// Max encoded chunks queued in the decoder ahead of the render loop
+const MAX_DECODE_QUEUE = 16
+
+/**
+ * Check if frames can be decoded with WebCodecs
+ */
+export function isFrameDecodingSupported() {
+  return typeof VideoDecoder !== 'undefined' && typeof EncodedVideoChunk !== 'undefined'
+}
+
+/**
+ * Create the best available frame source for export
+ * Uses VideoDecoder when possible and falls back to seeking the video element,
+ * including when decoding fails partway through an export.
+ *
+ * @param {File} videoFile - Source recording
+ * @param {HTMLVideoElement} video - Loaded video element (used for the seek fallback)
+ * @returns {Promise<{kind: string, frameRate: number|null, drawFrame: Function, close: Function}>}
+ */
+export async function createFrameSource(videoFile, video) {
+  let source = null
+
+  if (isFrameDecodingSupported()) {
+    try {
+      source = await createDecodedFrameSource(videoFile)
+    } catch (e) {
+      console.warn('[FrameSource] Frame decoding unavailable, seeking instead:', e.message)
+    }
+  }
+
+  if (!source) {
+    return createSeekingFrameSource(video)
+  }
+
+  console.log('[FrameSource] Using VideoDecoder frame source')
+
+  // Keep the demuxed frame rate even if we fall back to seeking later
+  const { frameRate } = source
+
+  return {
+    get kind() {
+      return source.kind
+    },
+
+    frameRate,
+
+    async drawFrame(ctx, time, width, height) {
+      try {
+        await source.drawFrame(ctx, time, width, height)
+      } catch (e) {
+        if (source.kind === 'seek') throw e
+        console.warn('[FrameSource] Decoding failed, switching to seeking:', e.message)
+        source.close()
+        source = createSeekingFrameSource(video)
+        await source.drawFrame(ctx, time, width, height)
+      }
+    },
+
+    close() {
+      source.close()
+    },
+  }
+}
+
+/**
+ * Frame source backed by MP4Box.js + VideoDecoder
+ * Frames must be requested in increasing time order. Requests further ahead than the
+ * next keyframe restart decoding there, so sparse requests skip the frames in between.
+ * @param {File} videoFile - Source recording
+ * @param {Object} [options]
+ * @param {number} [options.startTime] - Earliest time that will be requested (seconds);
+ *   decoding starts at the keyframe at or before it instead of the first sample
+ */
+export async function createDecodedFrameSource(videoFile, { startTime = 0 } = {}) {
+  const { video } = await demuxFile(videoFile, { tracks: ['video'] })
+  if (!video || video.samples.length === 0) {
+    throw new Error('No video track found')
+  }
+
+  // The decoder ignores the track matrix, the <video> element doesn't
+  const matrix = video.track.matrix
+  if (matrix && (matrix[0] < 0 || matrix[1] !== 0 || matrix[3] !== 0 || matrix[4] < 0)) {
+    throw new Error('Rotated video tracks are not supported')
+  }
+
+  const support = await VideoDecoder.isConfigSupported(video.config)
+  if (!support.supported) {
+    throw new Error(`Decoder does not support ${video.config.codec}`)
+  }
+
+  const { samples } = video
+
+  // Presentation times start at the earliest composition timestamp, like video.currentTime
+  let startTimestamp = Infinity
+  let endTimestamp = 0
+  for (const sample of samples) {
+    if (sample.timestamp < startTimestamp) startTimestamp = sample.timestamp
+    endTimestamp = Math.max(endTimestamp, sample.timestamp + sample.duration)
+  }
+  const frameRate = endTimestamp > startTimestamp
+    ? samples.length / ((endTimestamp - startTimestamp) / 1_000_000)
+    : null
+
+  // Decode order indices of keyframes, the only samples decoding can start from
+  const keyframes = []
+  samples.forEach((sample, i) => {
+    if (sample.type === 'key') keyframes.push(i)
+  })
+
+  const pending = [] // Decoded frames not yet shown, in presentation order
+  let current = null // Last frame at or before the requested time
+  let sampleIdx = findKeyframeIndex(samples, keyframes, startTimestamp + Math.round(startTime * 1_000_000))
+  let flushed = false
+  let decoderError = null
+  let notify = null
+
+  const wake = () => {
+    if (notify) {
+      notify()
+      notify = null
+    }
+  }
+
+  const decoder = new VideoDecoder({
+    output: (frame) => {
+      pending.push(frame)
+      wake()
+    },
+    error: (e) => {
+      decoderError = e
+      wake()
+    },
+  })
+  decoder.ondequeue = wake
+  decoder.configure(video.config)
+
+  /**
+   * Advance the decoder until the frame shown at `time` is known
+   */
+  async function advanceTo(time) {
+    const target = startTimestamp + Math.round(time * 1_000_000) + FRAME_TIME_TOLERANCE
+
+    while (true) {
+      if (decoderError) throw decoderError
+
+      while (pending.length > 0 && pending[0].timestamp <= target) {
+        if (current) current.close()
+        current = pending.shift()
+      }
+
+      // The next decoded frame is in the future, so `current` is the one to show
+      if (pending.length > 0) return
+
+      // A keyframe well past what was fed is at or before the target: drop what is queued and
+      // start there (close ones are decoded through, restarting the decoder costs more)
+      const keyIdx = findKeyframeIndex(samples, keyframes, target)
+      if (keyIdx - sampleIdx > MAX_DECODE_QUEUE) {
+        decoder.reset()
+        decoder.configure(video.config)
+        sampleIdx = keyIdx
+      }
+
+      if (sampleIdx < samples.length) {
+        const woken = new Promise((resolve) => { notify = resolve })
+        while (sampleIdx < samples.length && decoder.decodeQueueSize < MAX_DECODE_QUEUE) {
+          decoder.decode(new EncodedVideoChunk(samples[sampleIdx++]))
+        }
+        await woken
+      } else if (!flushed) {
+        await decoder.flush()
+        flushed = true
+      } else {
+        return // End of stream - keep showing the last frame
+      }
+    }
+  }
+
+  return {
+    kind: 'decode',
+    frameRate,
+
+    async drawFrame(ctx, time, width, height) {
+      await advanceTo(time)
+      // Before the first presented frame, show the first one
+      const frame = current || pending[0]
+      if (!frame) throw new Error(`No decoded frame for ${time.toFixed(3)}s`)
+      ctx.drawImage(frame, 0, 0, width, height)
+    },
+
+    close() {
+      if (current) current.close()
+      for (const frame of pending) frame.close()
+      pending.length = 0
+      current = null
+      if (decoder.state !== 'closed') decoder.close()
+    },
+  }
+}
+
+/**
+ * Decode order index of the last keyframe presented at or before a timestamp (microseconds)
+ * Everything from there on decodes without earlier samples. Binary search, since keyframes
+ * are presented in decode order.
+ */
+function findKeyframeIndex(samples, keyframes, timestamp) {
+  let lo = 0
+  let hi = keyframes.length - 1
+  let index = 0
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (samples[keyframes[mid]].timestamp <= timestamp) {
+      index = keyframes[mid]
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return index
+}
+
+/**
+ * Frame source that seeks a <video> element for every frame
+ */
+export function createSeekingFrameSource(video) {
+  return {
+    kind: 'seek',
+    frameRate: null, // Unknown without demuxing
+
+    async drawFrame(ctx, time, width, height) {
+      await seekVideo(video, time, { tolerance: 0.02, waitForFrame: true })
+      ctx.drawImage(video, 0, 0, width, height)
+    },
+
+    close() {},
+  }
+}
@@ -5,9 +5,11 @@
  * with automatic fallback to FFmpeg.wasm for unsupported browsers.
  *
  * Architecture:
- * 1. WebCodecs VideoEncoder - Hardware-accelerated H.264 encoding
+ * 1. MP4Box.js + VideoDecoder - Sequential source frames (seeking fallback)
  * 2. Canvas rendering - Frame-by-frame with effects (tap animations, zoom/pan)
- * 3. MP4Box.js - Muxing encoded chunks into playable MP4
+ * 3. WebCodecs VideoEncoder - Hardware-accelerated H.264/HEVC/VP9/AV1 encoding
+ * 4. MP4Box.js + WebCodecs AudioEncoder - Source audio re-encoded (AAC/Opus)
+ * 5. mp4-muxer / webm-muxer - Muxing encoded chunks into a playable file
  *
  * Performance:
  * - WebCodecs: ~3-10 seconds for 30-second video (depending on hardware)
@@ -17,3 +19,23 @@
 export { exportWithWebCodecs, canUseFastExport, estimateExportTime } from './webCodecsExporter'
 export { isWebCodecsSupported, getCodecConfig, createEncoder } from './webCodecsEncoder'
 export { createMuxer, createSimpleMuxer } from './mp4Muxer'
+export { demuxFile } from './demuxer'
+export { encodeSourceAudio, isAudioExportSupported } from './audioTrack'
+export { createFrameSource, isFrameDecodingSupported } from './frameSource'
+export {
+  EXPORT_RESOLUTIONS,
+  EXPORT_FRAME_RATES,
+  EXPORT_QUALITIES,
+  EXPORT_CODECS,
+  EXPORT_FORMATS,
+  APP_PREVIEW_DEVICES,
+  DEFAULT_EXPORT_SETTINGS,
+  getSupportedCodecs,
+  isAnimatedFormat,
+} from './exportSettings'
+export { exportAnimated } from './animatedExporter'
+export { validateAppPreview, getAppPreviewDuration } from './appPreview'
+export { exportStill, exportTapStills, exportContactSheet, exportFrameSequence } from './stillExporter'
+export { exportAspectBatch, getAspectSettings } from './batchExporter'
+export { isStreamingExportSupported, openExportOutput, createFileSink } from './fileOutput'
+export { exportInWorker, isWorkerExportSupported } from './workerExporter'
@@ -0,0 +1,151 @@
+/**
+ * Palette quantization and dithering for GIF/APNG export
+ * Quantization uses gifenc's PnnQuant, dithering maps RGBA pixels to palette indices.
+ */
+
+import { quantize, applyPalette } from 'gifenc'
+
+// 4x4 Bayer matrix, normalized to -0.5..0.5
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16 - 0.5)
+const ORDERED_STRENGTH = 32 // Max per-channel offset for ordered dithering
+
+/**
+ * Build a palette for one frame
+ * @param {Uint8ClampedArray} rgba - Frame pixels
+ * @param {number} maxColors - Palette size (2-256)
+ * @returns {Array<Array<number>>} [[r, g, b], ...]
+ */
+export function buildPalette(rgba, maxColors) {
+  return quantize(rgba, maxColors, { format: 'rgb565' })
+}
+
+/**
+ * Build one palette from pixels sampled across several frames
+ * @param {Array<Uint8ClampedArray>} frames - Frame pixels
+ * @param {number} maxColors - Palette size (2-256)
+ * @param {number} maxPixels - Max pixels sampled in total
+ */
+export function buildSharedPalette(frames, maxColors, maxPixels = 500_000) {
+  const totalPixels = frames.reduce((sum, rgba) => sum + rgba.length / 4, 0)
+  const step = Math.max(1, Math.ceil(totalPixels / maxPixels))
+
+  const samples = new Uint8ClampedArray(Math.ceil(totalPixels / step) * 4)
+  let o = 0
+  for (const rgba of frames) {
+    for (let i = 0; i < rgba.length && o < samples.length; i += step * 4) {
+      samples[o++] = rgba[i]
+      samples[o++] = rgba[i + 1]
+      samples[o++] = rgba[i + 2]
+      samples[o++] = 255
+    }
+  }
+
+  return buildPalette(samples.subarray(0, o), maxColors)
+}
+
+/**
+ * Map RGBA pixels to palette indices
+ * @param {Uint8ClampedArray} rgba - Frame pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<Array<number>>} palette - From buildPalette
+ * @param {string} dither - 'none', 'floyd-steinberg' or 'ordered'
+ * @returns {Uint8Array} One palette index per pixel
+ */
+export function indexPixels(rgba, width, height, palette, dither = 'none') {
+  if (dither === 'floyd-steinberg') return ditherFloydSteinberg(rgba, width, height, palette)
+  if (dither === 'ordered') return ditherOrdered(rgba, width, height, palette)
+  return applyPalette(rgba, palette, 'rgb565')
+}
+
+/**
+ * Nearest palette color lookup, cached per RGB565 value
+ */
+function createNearestLookup(palette) {
+  const cache = new Int16Array(65536).fill(-1)
+
+  return (r, g, b) => {
+    const key = ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3)
+    let index = cache[key]
+    if (index < 0) {
+      let minDist = Infinity
+      for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i]
+        const dist = (r - pr) * (r - pr) + (g - pg) * (g - pg) + (b - pb) * (b - pb)
+        if (dist < minDist) {
+          minDist = dist
+          index = i
+        }
+      }
+      cache[key] = index
+    }
+    return index
+  }
+}
+
+/**
+ * Floyd-Steinberg error diffusion
+ */
+function ditherFloydSteinberg(rgba, width, height, palette) {
+  const nearest = createNearestLookup(palette)
+  const index = new Uint8Array(width * height)
+  // Error carried into the current and next row (3 channels per pixel, 1px padding each side)
+  let current = new Float32Array((width + 2) * 3)
+  let next = new Float32Array((width + 2) * 3)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4
+      const e = (x + 1) * 3
+
+      const r = clamp(rgba[p] + current[e])
+      const g = clamp(rgba[p + 1] + current[e + 1])
+      const b = clamp(rgba[p + 2] + current[e + 2])
+
+      const i = nearest(r, g, b)
+      index[y * width + x] = i
+
+      const color = palette[i]
+      for (let c = 0; c < 3; c++) {
+        const err = (c === 0 ? r : c === 1 ? g : b) - color[c]
+        current[e + 3 + c] += err * 7 / 16
+        next[e - 3 + c] += err * 3 / 16
+        next[e + c] += err * 5 / 16
+        next[e + 3 + c] += err * 1 / 16
+      }
+    }
+
+    const done = current
+    current = next
+    next = done
+    next.fill(0)
+  }
+
+  return index
+}
+
+/**
+ * Ordered (Bayer 4x4) dithering - no error propagation, so static areas stay stable between frames
+ */
+function ditherOrdered(rgba, width, height, palette) {
+  const nearest = createNearestLookup(palette)
+  const index = new Uint8Array(width * height)
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4
+      const offset = BAYER_4X4[(y & 3) * 4 + (x & 3)] * ORDERED_STRENGTH
+      index[y * width + x] = nearest(
+        clamp(rgba[p] + offset),
+        clamp(rgba[p + 1] + offset),
+        clamp(rgba[p + 2] + offset)
+      )
+    }
+  }
+
+  return index
+}
+
+function clamp(v) {
+  return v < 0 ? 0 : v > 255 ? 255 : Math.round(v)
+}
@@ -0,0 +1,316 @@
+/**
+ * Still image export
+ * Poster frames, per-tap stills, a contact sheet and the full PNG frame
+ * sequence, all rendered through the same renderFrame pipeline as the video.
+ */
+
+import JSZip from 'jszip'
+import { CameraEngine } from '../cameraEngine'
+import { renderFrame } from '../frameRenderer'
+import {
+  STILL_FORMATS,
+  resolveExportSettings,
+  getExportDimensions,
+  resolveFrameRate,
+} from './exportSettings'
+import { loadVideoElement } from './fastExporter'
+import { createFrameSource, createSeekingFrameSource } from './frameSource'
+
+// Stills at a tap are taken slightly after it so the tap animation is visible
+const TAP_STILL_OFFSET = 0.1
+
+// Contact sheet layout (px)
+const SHEET_CELL_WIDTH = 360
+const SHEET_GAP = 16
+const SHEET_CAPTION_HEIGHT = 36
+const SHEET_BACKGROUND = '#002B5E' // mavs-navy
+
+/**
+ * Create a renderer for stills at arbitrary times
+ * The camera is stepped through every frame before the requested one, so a
+ * still matches the same frame of the exported video.
+ *
+ * @param {File} videoFile - Source recording
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {Object} options
+ * @param {boolean} options.sequential - Times only increase (decodes instead of seeking)
+ * @returns {Promise<{width, height, fps, duration, canvas, render: Function, close: Function}>}
+ *   render(time) draws the frame at `time` into `canvas`
+ */
+export async function createStillRenderer(videoFile, previewSettings, { sequential = false } = {}) {
+  const {
+    tapEvents = [],
+    outputAspect = '9:16',
+    showDeviceFrame = true,
+    videoTransform = { scale: 1, x: 0, y: 0, stretch: false },
+    appliedCrop = { x: 0, y: 0, width: 100, height: 100 },
+    zoomLevel = 1.4,
+    selectedBackground = 'ocean',
+    selectedDevice = 'match',
+    showNotch = true,
+    indicatorTrack = null,
+  } = previewSettings
+  const exportSettings = resolveExportSettings(previewSettings.exportSettings)
+
+  const video = await loadVideoElement(videoFile)
+  const frameSource = sequential ? await createFrameSource(videoFile, video) : createSeekingFrameSource(video)
+
+  const videoW = video.videoWidth
+  const videoH = video.videoHeight
+  const fps = resolveFrameRate(exportSettings.frameRate, frameSource.frameRate)
+  const { width, height } = getExportDimensions(exportSettings, outputAspect, videoW, videoH, appliedCrop, showDeviceFrame)
+
+  const sourceCanvas = document.createElement('canvas')
+  sourceCanvas.width = videoW
+  sourceCanvas.height = videoH
+  const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true })
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+
+  let camera = new CameraEngine(videoW, videoH)
+  let cameraFrame = 0 // Next frame the camera has not been updated for
+
+  return {
+    width,
+    height,
+    fps,
+    duration: video.duration,
+    canvas,
+
+    async render(time) {
+      const frameIdx = Math.max(0, Math.min(Math.round(time * fps), Math.ceil(video.duration * fps) - 1))
+
+      if (frameIdx < cameraFrame) {
+        camera = new CameraEngine(videoW, videoH)
+        cameraFrame = 0
+      }
+      for (; cameraFrame < frameIdx; cameraFrame++) {
+        camera.update(cameraFrame / fps, tapEvents, zoomLevel)
+      }
+      cameraFrame = frameIdx + 1
+
+      const currentTime = frameIdx / fps
+      await frameSource.drawFrame(sourceCtx, currentTime, videoW, videoH)
+
+      renderFrame({
+        sourceCanvas,
+        outputCanvas: canvas,
+        videoW,
+        videoH,
+        currentTime,
+        tapEvents,
+        zoomLevel,
+        videoTransform,
+        appliedCrop,
+        showDeviceFrame,
+        selectedBackground,
+        selectedDevice,
+        showNotch,
+        camera,
+        indicatorTrack,
+      })
+    },
+
+    close() {
+      frameSource.close()
+      URL.revokeObjectURL(video.src)
+    },
+  }
+}
+
+/**
+ * Export one still (poster frame)
+ * @param {File} videoFile - Source recording
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {number} time - Time in seconds
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+export async function exportStill(videoFile, previewSettings, time, onProgress, { signal } = {}) {
+  const { stills } = resolveExportSettings(previewSettings.exportSettings)
+  const renderer = await createStillRenderer(videoFile, previewSettings)
+
+  try {
+    onProgress({ phase: 'rendering', percent: 20, message: `Rendering ${formatTimestamp(time)}...` })
+    await renderer.render(time)
+    signal?.throwIfAborted()
+
+    const blob = await canvasToBlob(renderer.canvas, stills.format, stills.jpegQuality)
+    onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+    return { blob, extension: STILL_FORMATS[stills.format].extension }
+  } finally {
+    renderer.close()
+  }
+}
+
+/**
+ * Export a still at every tap into one zip
+ * @returns {Promise<Blob>} Zip with `tap-01-0.53s.png` etc.
+ */
+export async function exportTapStills(videoFile, previewSettings, onProgress, { signal } = {}) {
+  const { stills } = resolveExportSettings(previewSettings.exportSettings)
+  const { extension } = STILL_FORMATS[stills.format]
+  const taps = getSortedTaps(previewSettings.tapEvents)
+  if (taps.length === 0) throw new Error('No taps to export')
+
+  const renderer = await createStillRenderer(videoFile, previewSettings, { sequential: true })
+  const zip = new JSZip()
+
+  try {
+    for (let i = 0; i < taps.length; i++) {
+      signal?.throwIfAborted()
+      onProgress({ phase: 'rendering', percent: (i / taps.length) * 95, message: `Tap ${i + 1}/${taps.length}` })
+
+      await renderer.render(taps[i].time + TAP_STILL_OFFSET)
+      const blob = await canvasToBlob(renderer.canvas, stills.format, stills.jpegQuality)
+      zip.file(`tap-${String(i + 1).padStart(2, '0')}-${taps[i].time.toFixed(2)}s.${extension}`, blob)
+    }
+  } finally {
+    renderer.close()
+  }
+
+  onProgress({ phase: 'finalizing', percent: 96, message: 'Creating zip...' })
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'STORE' })
+  onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+  return blob
+}
+
+/**
+ * Compose a contact sheet of every tap, captioned with tap number and timestamp
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+export async function exportContactSheet(videoFile, previewSettings, onProgress, { signal } = {}) {
+  const { stills } = resolveExportSettings(previewSettings.exportSettings)
+  const taps = getSortedTaps(previewSettings.tapEvents)
+  if (taps.length === 0) throw new Error('No taps to export')
+
+  const renderer = await createStillRenderer(videoFile, previewSettings, { sequential: true })
+
+  try {
+    const columns = Math.min(stills.sheetColumns, taps.length)
+    const rows = Math.ceil(taps.length / columns)
+    const cellW = SHEET_CELL_WIDTH
+    const cellH = Math.round(cellW * renderer.height / renderer.width)
+
+    const sheet = document.createElement('canvas')
+    sheet.width = columns * cellW + (columns + 1) * SHEET_GAP
+    sheet.height = rows * (cellH + SHEET_CAPTION_HEIGHT) + (rows + 1) * SHEET_GAP
+    const ctx = sheet.getContext('2d')
+    ctx.fillStyle = SHEET_BACKGROUND
+    ctx.fillRect(0, 0, sheet.width, sheet.height)
+    ctx.imageSmoothingQuality = 'high'
+
+    for (let i = 0; i < taps.length; i++) {
+      signal?.throwIfAborted()
+      onProgress({ phase: 'rendering', percent: (i / taps.length) * 95, message: `Tap ${i + 1}/${taps.length}` })
+
+      await renderer.render(taps[i].time + TAP_STILL_OFFSET)
+
+      const x = SHEET_GAP + (i % columns) * (cellW + SHEET_GAP)
+      const y = SHEET_GAP + Math.floor(i / columns) * (cellH + SHEET_CAPTION_HEIGHT + SHEET_GAP)
+      ctx.drawImage(renderer.canvas, x, y, cellW, cellH)
+      drawCaption(ctx, i + 1, taps[i].time, x, y + cellH, cellW)
+    }
+
+    onProgress({ phase: 'finalizing', percent: 97, message: 'Encoding image...' })
+    const blob = await canvasToBlob(sheet, stills.format, stills.jpegQuality)
+    onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+    return { blob, extension: STILL_FORMATS[stills.format].extension }
+  } finally {
+    renderer.close()
+  }
+}
+
+/**
+ * Export every frame as PNG into one zip (for compositing in other tools)
+ * All frames are held in memory until the zip is built.
+ * @returns {Promise<Blob>} Zip with `frame-000000.png` etc.
+ */
+export async function exportFrameSequence(videoFile, previewSettings, onProgress, { signal } = {}) {
+  const renderer = await createStillRenderer(videoFile, previewSettings, { sequential: true })
+  const zip = new JSZip()
+
+  try {
+    const totalFrames = Math.ceil(renderer.duration * renderer.fps)
+    const renderStart = performance.now()
+    console.log('[StillExporter] Rendering', totalFrames, 'PNG frames at', renderer.width, 'x', renderer.height)
+
+    for (let frameIdx = 0; frameIdx < totalFrames; frameIdx++) {
+      signal?.throwIfAborted()
+
+      await renderer.render(frameIdx / renderer.fps)
+      const blob = await canvasToBlob(renderer.canvas, 'png')
+      zip.file(`frame-${String(frameIdx).padStart(6, '0')}.png`, blob)
+
+      if (frameIdx % 5 === 0) {
+        const framesDone = frameIdx + 1
+        const elapsed = (performance.now() - renderStart) / 1000
+        onProgress({
+          phase: 'rendering',
+          percent: (framesDone / totalFrames) * 90,
+          frame: framesDone,
+          totalFrames,
+          eta: (elapsed / framesDone) * (totalFrames - framesDone),
+        })
+      }
+    }
+  } finally {
+    renderer.close()
+  }
+
+  onProgress({ phase: 'finalizing', percent: 92, message: 'Creating zip...' })
+  // PNG is already compressed
+  const blob = await zip.generateAsync({ type: 'blob', compression: 'STORE' })
+  onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
+  return blob
+}
+
+/**
+ * Format seconds as m:ss.ss
+ */
+export function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`
+}
+
+function getSortedTaps(tapEvents = []) {
+  return [...tapEvents].sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Draw the tap number badge and timestamp under a contact sheet cell
+ */
+function drawCaption(ctx, number, time, x, y, width) {
+  const centerY = y + SHEET_CAPTION_HEIGHT / 2
+  const badgeRadius = 11
+
+  ctx.fillStyle = '#00538C' // mavs-blue
+  ctx.beginPath()
+  ctx.arc(x + badgeRadius + 2, centerY, badgeRadius, 0, Math.PI * 2)
+  ctx.fill()
+
+  ctx.textBaseline = 'middle'
+  ctx.textAlign = 'center'
+  ctx.font = 'bold 12px system-ui, sans-serif'
+  ctx.fillStyle = '#fff'
+  ctx.fillText(String(number), x + badgeRadius + 2, centerY)
+
+  ctx.textAlign = 'right'
+  ctx.font = '14px ui-monospace, monospace'
+  ctx.fillStyle = '#c4ced4'
+  ctx.fillText(formatTimestamp(time), x + width, centerY)
+}
+
+/**
+ * Encode a canvas as PNG or JPEG
+ */
+function canvasToBlob(canvas, format, quality) {
+  const { mimeType } = STILL_FORMATS[format] || STILL_FORMATS.png
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`${mimeType} encoding failed`))), mimeType, quality)
+  })
+}
@@ -0,0 +1,100 @@
+/**
+ * Worker-based export
+ * Main-thread side of exportWorker.js: starts the worker, relays progress
+ * and forwards cancellation from an AbortSignal.
+ */
+
+import { isFastExportSupported, loadVideoElement } from './fastExporter'
+import { isFrameDecodingSupported } from './frameSource'
+
+/**
+ * Check if export can run in a worker
+ */
+export function isWorkerExportSupported() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    isFastExportSupported() &&
+    isFrameDecodingSupported()
+}
+
+/**
+ * Export video in a dedicated worker
+ * @param {File} videoFile - Source recording
+ * @param {Object} settings - Preview settings
+ * @param {Function} onProgress - Receives { phase, percent, message, frame, totalFrames, eta }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @param {Object} options.output - Stream to this file instead of memory (see fileOutput.js)
+ * @returns {Promise<Object>} { data, mimeType, extension }, or { streamed, bytesWritten, mimeType, extension } with an output
+ */
+export async function exportInWorker(videoFile, settings, onProgress, { signal, output } = {}) {
+  signal?.throwIfAborted()
+
+  onProgress({ phase: 'init', percent: 2, message: 'Loading video...' })
+
+  // Read metadata the same way the preview does (display size, duration)
+  const video = await loadVideoElement(videoFile)
+  const videoInfo = { width: video.videoWidth, height: video.videoHeight, duration: video.duration }
+  URL.revokeObjectURL(video.src)
+
+  signal?.throwIfAborted()
+
+  const worker = new Worker(new URL('./exportWorker.js', import.meta.url), { type: 'module' })
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => worker.postMessage({ type: 'cancel' })
+
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+    }
+
+    signal?.addEventListener('abort', onAbort)
+
+    worker.onmessage = (e) => {
+      const message = e.data
+      switch (message.type) {
+        case 'progress':
+          try {
+            onProgress(message.progress)
+          } catch (err) {
+            // Ignore progress callback errors
+          }
+          break
+        case 'done':
+          cleanup()
+          resolve(message.result)
+          break
+        case 'error':
+          cleanup()
+          reject(toError(message.error))
+          break
+        default:
+          break
+      }
+    }
+
+    worker.onerror = (e) => {
+      cleanup()
+      reject(new Error(`Export worker failed: ${e.message || 'unknown error'}`))
+    }
+
+    // File handles are structured-cloneable, the worker opens its own writable
+    const workerOutput = output ? { handle: output.handle, extension: output.extension } : null
+    worker.postMessage({ type: 'start', videoFile, settings, videoInfo, output: workerOutput })
+  })
+}
+
+/**
+ * Rebuild an error posted from the worker
+ */
+function toError({ name, message, useFallback, needsMainThread }) {
+  if (name === 'AbortError') {
+    return new DOMException(message || 'Export cancelled', 'AbortError')
+  }
+  const error = new Error(message)
+  error.name = name
+  error.useFallback = useFallback
+  error.needsMainThread = needsMainThread
+  return error
+}
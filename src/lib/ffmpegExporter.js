@@ -2,74 +2,87 @@
  * FFmpeg.wasm fallback exporter
  * Used when WebCodecs is not available (older browsers)
  *
+ * Frames are rendered with the shared renderFrame pipeline (tap animations,
+ * device frame, camera zoom/pan) and piped to FFmpeg as JPEG segments, so
+ * the output matches the fast path. The ffmpeg core is bundled with the app
+ * and served locally - nothing is fetched from a CDN.
+ *
  * Limitations:
- * - Cannot render tap animations (uses FFmpeg filters instead)
  * - Slower than WebCodecs (CPU-only encoding)
- * - Higher memory usage
+ * - Always produces H.264 MP4
  */
 
 import { FFmpeg } from '@ffmpeg/ffmpeg'
 import { fetchFile } from '@ffmpeg/util'
-import { getOutputDimensions } from './frameRenderer'
+import coreURL from '@ffmpeg/core?url'
+import wasmURL from '@ffmpeg/core/wasm?url'
+import { CameraEngine } from './cameraEngine'
+import { renderFrame } from './frameRenderer'
+import {
+  resolveExportSettings,
+  getExportDimensions,
+  getExportDuration,
+  resolveFrameRate,
+  getExportBitrate,
+} from './export/exportSettings'
+import { demuxFile } from './export/demuxer'
+import { loadVideoElement } from './export/fastExporter'
+import { createFrameSource } from './export/frameSource'
+
+// Frames rendered to JPEG and encoded per FFmpeg run (bounds the in-memory file system)
+const SEGMENT_SECONDS = 4
+const FRAME_JPEG_QUALITY = 0.92
 
 let ffmpeg = null
 let ffmpegLoaded = false
 
 /**
- * Initialize FFmpeg.wasm
+ * Initialize FFmpeg.wasm from the bundled core
  */
-async function initFFmpeg(onProgress) {
+async function initFFmpeg() {
   if (ffmpegLoaded && ffmpeg) return ffmpeg
 
   ffmpeg = new FFmpeg()
 
-  ffmpeg.on('progress', ({ progress }) => {
-    if (onProgress) onProgress(progress * 100)
-  })
-
   ffmpeg.on('log', ({ message }) => {
     console.log('[FFmpeg]', message)
   })
 
-  await ffmpeg.load({
-    coreURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.js',
-    wasmURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm/ffmpeg-core.wasm',
-  })
+  await ffmpeg.load({ coreURL, wasmURL })
 
   ffmpegLoaded = true
   return ffmpeg
 }
 
 /**
- * Get video info
+ * Stop FFmpeg mid-command - the worker has to be reloaded afterwards
  */
-function getVideoInfo(url) {
-  return new Promise((resolve) => {
-    const video = document.createElement('video')
-    video.src = url
-    video.onloadedmetadata = () => {
-      resolve({
-        width: video.videoWidth,
-        height: video.videoHeight,
-        duration: video.duration,
-      })
-    }
-  })
+function terminateFFmpeg() {
+  if (ffmpeg) ffmpeg.terminate()
+  ffmpeg = null
+  ffmpegLoaded = false
 }
 
 /**
  * Run FFmpeg command
  */
 async function runFFmpegCommand(ff, args) {
-  // FFmpeg.wasm's run method
-  return ff['exec'](args)
+  const exitCode = await ff.exec(args)
+  if (exitCode !== 0) {
+    throw new Error(`FFmpeg exited with code ${exitCode}`)
+  }
 }
 
 /**
- * Render video with FFmpeg filters
- * Note: This approximates preview settings but cannot render canvas-drawn tap animations
+ * Render video with the shared renderFrame pipeline and encode it with FFmpeg
+ * @param {File} videoFile - Source recording
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {Function} onProgress - Receives { phase, percent, message, frame, totalFrames, eta }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @returns {Promise<Uint8Array>} MP4 data
  */
-export async function renderWithFFmpeg(videoFile, previewSettings, onProgress) {
+export async function renderWithFFmpeg(videoFile, previewSettings, onProgress, { signal } = {}) {
   const {
     tapEvents = [],
     outputAspect = '9:16',
@@ -77,142 +90,181 @@ export async function renderWithFFmpeg(videoFile, previewSettings, onProgress) {
     videoTransform = { scale: 1, x: 0, y: 0, stretch: false },
     appliedCrop = { x: 0, y: 0, width: 100, height: 100 },
     zoomLevel = 1.4,
+    selectedBackground = 'ocean',
+    selectedDevice = 'match',
+    showNotch = true,
+    indicatorTrack = null,
+    includeAudio = true,
   } = previewSettings
+  const exportSettings = resolveExportSettings(previewSettings.exportSettings)
+
+  onProgress({ phase: 'init', percent: 2, message: 'Loading FFmpeg...' })
+  const ff = await initFFmpeg()
+
+  const onAbort = () => terminateFFmpeg()
+  signal?.addEventListener('abort', onAbort)
+
+  const video = await loadVideoElement(videoFile)
+  const frameSource = await createFrameSource(videoFile, video)
+
+  try {
+    signal?.throwIfAborted()
+
+    const videoW = video.videoWidth
+    const videoH = video.videoHeight
+    const fps = resolveFrameRate(exportSettings.frameRate, frameSource.frameRate)
+    const duration = getExportDuration(exportSettings, video.duration)
+    const totalFrames = Math.ceil(duration * fps)
+
+    const { width: outW, height: outH } = getExportDimensions(exportSettings, outputAspect, videoW, videoH, appliedCrop, showDeviceFrame)
+    const bitrate = getExportBitrate(exportSettings, outW, outH, fps)
+
+    console.log('[FFmpegExporter] Rendering', totalFrames, 'frames at', outW, 'x', outH, '@', fps, 'fps')
+
+    const sourceCanvas = document.createElement('canvas')
+    sourceCanvas.width = videoW
+    sourceCanvas.height = videoH
+    const sourceCtx = sourceCanvas.getContext('2d', { willReadFrequently: true })
+
+    const outputCanvas = document.createElement('canvas')
+    outputCanvas.width = outW
+    outputCanvas.height = outH
+
+    const camera = new CameraEngine(videoW, videoH)
+    const framesPerSegment = Math.max(1, Math.round(SEGMENT_SECONDS * fps))
+    const segments = []
+    const renderStart = performance.now()
+
+    onProgress({ phase: 'rendering', percent: 5, message: 'Rendering frames...' })
+
+    for (let segmentStart = 0; segmentStart < totalFrames; segmentStart += framesPerSegment) {
+      const segmentEnd = Math.min(totalFrames, segmentStart + framesPerSegment)
+      const frameNames = []
+
+      // Render this segment's frames into the FFmpeg file system
+      for (let frameIdx = segmentStart; frameIdx < segmentEnd; frameIdx++) {
+        signal?.throwIfAborted()
+
+        const currentTime = frameIdx / fps
+        await frameSource.drawFrame(sourceCtx, currentTime, videoW, videoH)
+
+        renderFrame({
+          sourceCanvas,
+          outputCanvas,
+          videoW,
+          videoH,
+          currentTime,
+          tapEvents,
+          zoomLevel,
+          videoTransform,
+          appliedCrop,
+          showDeviceFrame,
+          selectedBackground,
+          selectedDevice,
+          showNotch,
+          camera,
+          indicatorTrack,
+        })
+
+        const name = `frame${String(frameIdx).padStart(6, '0')}.jpg`
+        await ff.writeFile(name, await canvasToJpeg(outputCanvas))
+        frameNames.push(name)
+
+        if (frameIdx % 5 === 0) {
+          const framesDone = frameIdx + 1
+          const elapsed = (performance.now() - renderStart) / 1000
+          onProgress({
+            phase: 'rendering',
+            percent: 5 + (framesDone / totalFrames) * 85,
+            message: `Frame ${framesDone}/${totalFrames}`,
+            frame: framesDone,
+            totalFrames,
+            eta: (elapsed / framesDone) * (totalFrames - framesDone),
+          })
+        }
+      }
+
+      // Encode the segment, then drop its frames
+      const segmentName = `segment${segments.length}.mp4`
+      await runFFmpegCommand(ff, [
+        '-framerate', String(fps),
+        '-start_number', String(segmentStart),
+        '-i', 'frame%06d.jpg',
+        '-frames:v', String(segmentEnd - segmentStart),
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-b:v', String(bitrate),
+        '-pix_fmt', 'yuv420p',
+        '-g', String(Math.round(fps * 2)),
+        '-y',
+        segmentName,
+      ])
+      segments.push(segmentName)
+
+      for (const name of frameNames) {
+        await ff.deleteFile(name)
+      }
+    }
 
-  const ff = await initFFmpeg((p) => onProgress(20 + p * 0.7))
-  onProgress(5)
-
-  // Get video info
-  const videoUrl = URL.createObjectURL(videoFile)
-  const info = await getVideoInfo(videoUrl)
-  URL.revokeObjectURL(videoUrl)
-
-  const { width: srcW, height: srcH } = info
+    onProgress({ phase: 'finalizing', percent: 92, message: 'Muxing...' })
+
+    // Join the segments and add the source audio (if it has any)
+    await ff.writeFile('segments.txt', segments.map(name => `file '${name}'`).join('\n'))
+    const args = ['-f', 'concat', '-safe', '0', '-i', 'segments.txt']
+    const useSourceAudio = includeAudio && (exportSettings.format !== 'appPreview' || await hasAudioTrack(videoFile))
+    if (useSourceAudio) {
+      await ff.writeFile('input.mp4', await fetchFile(videoFile))
+      args.push('-i', 'input.mp4', '-map', '0:v', '-map', '1:a?', '-c:a', 'aac', '-b:a', '128k', '-shortest')
+    } else if (exportSettings.format === 'appPreview') {
+      // App previews need an audio track, add silence
+      args.push('-f', 'lavfi', '-i', 'anullsrc=r=48000:cl=stereo', '-map', '0:v', '-map', '1:a', '-c:a', 'aac', '-b:a', '128k', '-shortest')
+    }
+    args.push('-c:v', 'copy', '-movflags', '+faststart', '-y', 'output.mp4')
+    await runFFmpegCommand(ff, args)
 
-  // Calculate output dimensions
-  const { width: outW, height: outH } = getOutputDimensions(outputAspect, srcW, srcH)
+    const data = await ff.readFile('output.mp4')
 
-  onProgress(10)
+    for (const name of [...segments, 'segments.txt', 'output.mp4', ...(useSourceAudio ? ['input.mp4'] : [])]) {
+      await ff.deleteFile(name)
+    }
 
-  // Write input
-  await ff.writeFile('input.mp4', await fetchFile(videoFile))
+    onProgress({ phase: 'done', percent: 100, message: 'Export complete!' })
 
-  onProgress(15)
+    return data
+  } catch (error) {
+    if (signal?.aborted) {
+      // FFmpeg was terminated, its file system is gone with it
+      throw signal.reason instanceof DOMException ? signal.reason : new DOMException('Export cancelled', 'AbortError')
+    }
+    // Leave a clean core for the next export
+    terminateFFmpeg()
+    throw error
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+    frameSource.close()
+    URL.revokeObjectURL(video.src)
+  }
+}
 
-  // Build filter chain
-  const filters = buildFilterChain({
-    srcW, srcH, outW, outH,
-    videoTransform,
-    appliedCrop,
-    showDeviceFrame,
-    zoomLevel,
-    tapEvents,
-    duration: info.duration,
+/**
+ * Encode a canvas as JPEG bytes
+ */
+async function canvasToJpeg(canvas) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('JPEG encoding failed'))), 'image/jpeg', FRAME_JPEG_QUALITY)
   })
-
-  onProgress(20)
-
-  // Run FFmpeg
-  await runFFmpegCommand(ff, [
-    '-i', 'input.mp4',
-    '-vf', filters,
-    '-c:v', 'libx264',
-    '-preset', 'fast',
-    '-crf', '23',
-    '-c:a', 'aac',
-    '-b:a', '128k',
-    '-movflags', '+faststart',
-    '-y',
-    'output.mp4'
-  ])
-
-  onProgress(95)
-
-  const data = await ff.readFile('output.mp4')
-
-  await ff.deleteFile('input.mp4')
-  await ff.deleteFile('output.mp4')
-
-  onProgress(100)
-
-  return data
+  return new Uint8Array(await blob.arrayBuffer())
 }
 
 /**
- * Build FFmpeg filter chain
- * Approximates preview settings using FFmpeg filters
+ * Check if the source has an audio track
+ * Assumes it does when MP4Box can't parse the file (WebM), FFmpeg then maps it if present.
  */
-function buildFilterChain({ srcW, srcH, outW, outH, videoTransform, appliedCrop, showDeviceFrame, zoomLevel, tapEvents, duration }) {
-  const filters = []
-
-  // 1. Apply crop if set
-  const hasCrop = appliedCrop.x !== 0 || appliedCrop.y !== 0 || appliedCrop.width !== 100 || appliedCrop.height !== 100
-  if (hasCrop) {
-    const cropX = Math.round((appliedCrop.x / 100) * srcW)
-    const cropY = Math.round((appliedCrop.y / 100) * srcH)
-    const cropW = Math.round((appliedCrop.width / 100) * srcW)
-    const cropH = Math.round((appliedCrop.height / 100) * srcH)
-    filters.push(`crop=${cropW}:${cropH}:${cropX}:${cropY}`)
+async function hasAudioTrack(videoFile) {
+  try {
+    const { audio } = await demuxFile(videoFile, { tracks: ['audio'] })
+    return !!audio
+  } catch (e) {
+    return true
   }
-
-  // 2. Calculate zoom/pan based on tap events
-  if (tapEvents.length > 0) {
-    const fps = 30
-    let zoomExpr = '1'
-    let xExpr = 'iw/2'
-    let yExpr = 'ih/2'
-
-    const zoomParts = []
-    const xParts = []
-    const yParts = []
-
-    for (const tap of tapEvents) {
-      const tapFrame = Math.round(tap.time * fps)
-      const zoomDuration = Math.round(0.6 * fps)
-      const tapZoom = tap.zoomLevel || zoomLevel
-
-      zoomParts.push(
-        `if(between(on,${tapFrame},${tapFrame + zoomDuration}),` +
-        `${1 + (tapZoom - 1) * 0.5}*sin((on-${tapFrame})/${zoomDuration}*PI),1)`
-      )
-
-      const tapX = tap.x / srcW
-      const tapY = tap.y / srcH
-      xParts.push(
-        `if(between(on,${tapFrame},${tapFrame + zoomDuration}),` +
-        `iw*${tapX},iw/2)`
-      )
-      yParts.push(
-        `if(between(on,${tapFrame},${tapFrame + zoomDuration}),` +
-        `ih*${tapY},ih/2)`
-      )
-    }
-
-    if (zoomParts.length > 0) {
-      zoomExpr = `max(${zoomParts.join(',')})`
-      xExpr = xParts.length > 0 ? xParts[0] : 'iw/2'
-      yExpr = yParts.length > 0 ? yParts[0] : 'ih/2'
-    }
-
-    filters.push(
-      `zoompan=z='${zoomExpr}':x='${xExpr}-(iw/zoom/2)':y='${yExpr}-(ih/zoom/2)':d=1:s=${srcW}x${srcH}:fps=${fps}`
-    )
-  }
-
-  // 3. Scale to fit output with transform
-  const { scale, stretch } = videoTransform
-
-  if (stretch || !showDeviceFrame) {
-    filters.push(`scale=${outW}:${outH}:force_original_aspect_ratio=disable`)
-  } else {
-    const scaledW = Math.round(outW * scale)
-    const scaledH = Math.round(outH * scale)
-    filters.push(`scale=${scaledW}:${scaledH}:force_original_aspect_ratio=decrease`)
-    filters.push(`pad=${outW}:${outH}:(${outW}-iw)/2:(${outH}-ih)/2:color=black`)
-  }
-
-  // Ensure even dimensions (required for h264)
-  filters.push('pad=ceil(iw/2)*2:ceil(ih/2)*2')
-
-  return filters.join(',')
 }
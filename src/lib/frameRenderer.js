@@ -4,6 +4,8 @@
  */
 
 import { CameraEngine } from './cameraEngine'
+import { isGesture, isMultiTouch, getGesturePoint, getTouchPoints } from './gestureSegmenter'
+import { eraseIndicator } from './indicatorEraser'
 
 // Device presets (must match VideoPreview)
 const DEVICES = {
@@ -44,11 +46,65 @@ const OUTPUT_ASPECTS = {
   'match': { name: 'Match', ratio: null, desc: 'Match video' },
 }
 
+// Tap burst length, and how long a long-press ring takes to fade after release (s)
+const TAP_ANIMATION_LENGTH = 0.6
+const HOLD_RELEASE_TIME = 0.3
+
+// Two-digit hex alpha to append to a #rrggbb color
+const hex = (alpha) => Math.round(alpha * 255).toString(16).padStart(2, '0')
+
+/**
+ * How long a tap's animation runs: the fixed burst, or the press plus its release
+ */
+export function getTapAnimationLength(tap) {
+  return tap.type === 'longpress' && tap.duration ? tap.duration + HOLD_RELEASE_TIME : TAP_ANIMATION_LENGTH
+}
+
+/**
+ * Draw a long-press hold: a ring that fills over the press, then expands and fades on release
+ * @param {number} progress - Animation progress 0-1 over getTapAnimationLength
+ * @param {number} duration - Press duration in seconds
+ */
+export function drawHoldAnimation(ctx, x, y, color, progress, duration) {
+  const holdEnd = duration / (duration + HOLD_RELEASE_TIME)
+  const radius = 28
+
+  ctx.save()
+  ctx.lineCap = 'round'
+  if (progress < holdEnd) {
+    const fill = progress / holdEnd
+
+    ctx.beginPath()
+    ctx.arc(x, y, 10, 0, Math.PI * 2)
+    ctx.fillStyle = `${color}${hex(0.6)}`
+    ctx.fill()
+
+    ctx.beginPath()
+    ctx.arc(x, y, radius, 0, Math.PI * 2)
+    ctx.strokeStyle = `${color}${hex(0.25)}`
+    ctx.lineWidth = 5
+    ctx.stroke()
+
+    ctx.beginPath()
+    ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + fill * Math.PI * 2)
+    ctx.strokeStyle = `${color}${hex(0.9)}`
+    ctx.stroke()
+  } else {
+    const release = (progress - holdEnd) / (1 - holdEnd)
+    ctx.beginPath()
+    ctx.arc(x, y, radius + release * 30, 0, Math.PI * 2)
+    ctx.strokeStyle = `${color}${hex(0.9 * (1 - release))}`
+    ctx.lineWidth = 5 * (1 - release) + 1
+    ctx.stroke()
+  }
+  ctx.restore()
+}
+
 /**
  * Draw a tap animation on the canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} tap - Tap event {x, y, animation}
- * @param {number} progress - Animation progress 0-1
+ * @param {Object} tap - Tap event {x, y, animation, type, duration}
+ * @param {number} progress - Animation progress 0-1 over getTapAnimationLength
  * @param {number} scaledWidth - Width of video area
  * @param {number} scaledHeight - Height of video area
  * @param {number} cropX - Camera crop X in video coords
@@ -65,6 +121,10 @@ function drawTapAnimation(ctx, tap, progress, scaledWidth, scaledHeight, cropX,
   const x = ((tap.x - cropX) / cropWidth) * scaledWidth + offsetX
   const y = ((tap.y - cropY) / cropHeight) * scaledHeight + offsetY
   const anim = TAP_ANIMATIONS[tap.animation] || TAP_ANIMATIONS.ripple
+  if (tap.type === 'longpress' && tap.duration) {
+    drawHoldAnimation(ctx, x, y, anim.color, progress, tap.duration)
+    return
+  }
   const alpha = 1 - progress
 
   ctx.save()
@@ -110,6 +170,162 @@ function drawTapAnimation(ctx, tap, progress, scaledWidth, scaledHeight, cropX,
   ctx.restore()
 }
 
+// Swipe/drag trails fade out over this long after the finger lifts (s)
+const GESTURE_FADE = 0.4
+
+/**
+ * Draw a swipe, drag or two-finger gesture on the canvas
+ * Shows the path travelled so far and the moving touch point. Swipes get a
+ * tapered trail with an arrowhead, drags a dashed path from the pick-up point.
+ * Pinch, spread and rotate draw both fingers joined by a line.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} gesture - Gesture event {type, time, endTime, path, animation}
+ * @param {number} currentTime - Current video time in seconds
+ * Remaining parameters are the same as drawTapAnimation
+ */
+export function drawGestureAnimation(ctx, gesture, currentTime, scaledWidth, scaledHeight, cropX, cropY, cropWidth, cropHeight, offsetX = 0, offsetY = 0) {
+  if (!gesture.animation || gesture.animation === 'none') return
+  if (currentTime < gesture.time || currentTime > gesture.endTime + GESTURE_FADE) return
+
+  const toCanvas = (p) => ({
+    x: ((p.x - cropX) / cropWidth) * scaledWidth + offsetX,
+    y: ((p.y - cropY) / cropHeight) * scaledHeight + offsetY,
+  })
+
+  const anim = TAP_ANIMATIONS[gesture.animation] || TAP_ANIMATIONS.ripple
+  const fade = currentTime > gesture.endTime ? 1 - (currentTime - gesture.endTime) / GESTURE_FADE : 1
+
+  if (isMultiTouch(gesture)) {
+    drawTouchPair(ctx, gesture, currentTime, toCanvas, anim.color, fade)
+    return
+  }
+
+  const points = [
+    ...gesture.path.filter(p => p.time < currentTime),
+    getGesturePoint(gesture, currentTime),
+  ].map(toCanvas)
+  const head = points[points.length - 1]
+
+  ctx.save()
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  if (gesture.type === 'swipe') {
+    // Tapered trail, thin and faint at the tail
+    for (let i = 1; i < points.length; i++) {
+      const t = i / (points.length - 1)
+      ctx.beginPath()
+      ctx.moveTo(points[i - 1].x, points[i - 1].y)
+      ctx.lineTo(points[i].x, points[i].y)
+      ctx.strokeStyle = `${anim.color}${hex(fade * (0.25 + t * 0.65))}`
+      ctx.lineWidth = 2 + t * 6
+      ctx.stroke()
+    }
+
+    const tail = points[points.length - 2]
+    if (tail && (head.x !== tail.x || head.y !== tail.y)) {
+      const angle = Math.atan2(head.y - tail.y, head.x - tail.x)
+      const size = 16
+      ctx.beginPath()
+      ctx.moveTo(head.x + Math.cos(angle) * size, head.y + Math.sin(angle) * size)
+      ctx.lineTo(head.x + Math.cos(angle + 2.5) * size, head.y + Math.sin(angle + 2.5) * size)
+      ctx.lineTo(head.x + Math.cos(angle - 2.5) * size, head.y + Math.sin(angle - 2.5) * size)
+      ctx.closePath()
+      ctx.fillStyle = `${anim.color}${hex(fade)}`
+      ctx.fill()
+    }
+  } else {
+    // Dashed path from the pick-up point
+    ctx.beginPath()
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)))
+    ctx.setLineDash([8, 8])
+    ctx.strokeStyle = `${anim.color}${hex(fade * 0.8)}`
+    ctx.lineWidth = 4
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    ctx.beginPath()
+    ctx.arc(points[0].x, points[0].y, 8, 0, Math.PI * 2)
+    ctx.strokeStyle = `${anim.color}${hex(fade * 0.6)}`
+    ctx.lineWidth = 2
+    ctx.stroke()
+  }
+
+  // Touch point
+  ctx.beginPath()
+  ctx.arc(head.x, head.y, 14, 0, Math.PI * 2)
+  ctx.fillStyle = `${anim.color}${hex(fade * 0.6)}`
+  ctx.fill()
+  ctx.strokeStyle = `#ffffff${hex(fade * 0.9)}`
+  ctx.lineWidth = 2
+  ctx.stroke()
+
+  ctx.restore()
+}
+
+/**
+ * Draw both fingers of a pinch/spread/rotate joined by a line
+ * Pinch and spread get chevrons showing the direction, rotate an arc for the turn so far.
+ */
+function drawTouchPair(ctx, gesture, currentTime, toCanvas, color, fade) {
+  const [a, b] = getTouchPoints(gesture, currentTime).map(toCanvas)
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+  const span = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2)
+
+  ctx.save()
+  ctx.lineCap = 'round'
+
+  ctx.beginPath()
+  ctx.moveTo(a.x, a.y)
+  ctx.lineTo(b.x, b.y)
+  if (gesture.type !== 'rotate') ctx.setLineDash([6, 6])
+  ctx.strokeStyle = `${color}${hex(fade * 0.7)}`
+  ctx.lineWidth = 3
+  ctx.stroke()
+  ctx.setLineDash([])
+
+  if (gesture.type === 'rotate') {
+    const [s1, s2] = getTouchPoints(gesture, gesture.time).map(toCanvas)
+    const startAngle = Math.atan2(s2.y - s1.y, s2.x - s1.x)
+    let sweep = Math.atan2(b.y - a.y, b.x - a.x) - startAngle
+    if (sweep > Math.PI) sweep -= Math.PI * 2
+    if (sweep < -Math.PI) sweep += Math.PI * 2
+    ctx.beginPath()
+    ctx.arc(mid.x, mid.y, span / 2 + 14, startAngle, startAngle + sweep, sweep < 0)
+    ctx.strokeStyle = `${color}${hex(fade * 0.9)}`
+    ctx.lineWidth = 4
+    ctx.stroke()
+  } else if (span > 0) {
+    // Chevrons point inward for a pinch, outward for a spread
+    const sign = gesture.type === 'spread' ? 1 : -1
+    for (const p of [a, b]) {
+      const ux = ((p.x - mid.x) / span) * 2 * sign
+      const uy = ((p.y - mid.y) / span) * 2 * sign
+      const cx = p.x + ux * 24
+      const cy = p.y + uy * 24
+      ctx.beginPath()
+      ctx.moveTo(cx - ux * 8 - uy * 8, cy - uy * 8 + ux * 8)
+      ctx.lineTo(cx, cy)
+      ctx.lineTo(cx - ux * 8 + uy * 8, cy - uy * 8 - ux * 8)
+      ctx.strokeStyle = `${color}${hex(fade * 0.9)}`
+      ctx.lineWidth = 3
+      ctx.stroke()
+    }
+  }
+
+  for (const p of [a, b]) {
+    ctx.beginPath()
+    ctx.arc(p.x, p.y, 14, 0, Math.PI * 2)
+    ctx.fillStyle = `${color}${hex(fade * 0.6)}`
+    ctx.fill()
+    ctx.strokeStyle = `#ffffff${hex(fade * 0.9)}`
+    ctx.lineWidth = 2
+    ctx.stroke()
+  }
+
+  ctx.restore()
+}
+
 /**
  * Get output canvas dimensions for a given aspect ratio and max size
  * @param {string} outputAspect - Aspect ratio key ('match', '9:16', '4:5', etc.)
@@ -173,6 +389,7 @@ export function getOutputDimensions(outputAspect, videoW, videoH, maxWidth = 108
  * @param {boolean} params.showDeviceFrame - Whether device frame mode is on
  * @param {string} params.selectedBackground - Background gradient key (e.g., 'ocean', 'midnight')
  * @param {CameraEngine} params.camera - Camera engine instance
+ * @param {Array} params.indicatorTrack - Detection trajectory to erase the touch indicator along, or null to keep it
  */
 export function renderFrame({
   sourceCanvas,
@@ -189,9 +406,15 @@ export function renderFrame({
   selectedDevice = 'match',
   showNotch = true,
   camera,
+  indicatorTrack = null,
 }) {
   const outCtx = outputCanvas.getContext('2d')
 
+  // Paint the recorded indicator out of the source frame, leaving only the rendered animation
+  if (indicatorTrack) {
+    eraseIndicator(sourceCanvas.getContext('2d'), indicatorTrack, currentTime, videoW, videoH)
+  }
+
   // Update camera for current time
   camera.update(currentTime, tapEvents, zoomLevel)
   const { x, y, zoom } = camera.getState()
@@ -356,10 +579,15 @@ export function renderFrame({
 
   // Draw tap animations (pass drawX/drawY offset for device frame mode)
   for (const tap of tapEvents) {
+    if (isGesture(tap)) {
+      drawGestureAnimation(outCtx, tap, currentTime, scaledWidth, scaledHeight, finalCropX, finalCropY, finalCropWidth, finalCropHeight, drawX, drawY)
+      continue
+    }
     const tapStart = tap.time
-    const tapEnd = tap.time + 0.6
+    const length = getTapAnimationLength(tap)
+    const tapEnd = tap.time + length
     if (currentTime >= tapStart && currentTime <= tapEnd) {
-      const progress = (currentTime - tapStart) / 0.6
+      const progress = (currentTime - tapStart) / length
       drawTapAnimation(outCtx, tap, progress, scaledWidth, scaledHeight, finalCropX, finalCropY, finalCropWidth, finalCropHeight, drawX, drawY)
     }
   }
@@ -380,6 +608,7 @@ export function createFrameRenderer(videoElement, settings) {
     selectedBackground = 'ocean',
     selectedDevice = 'match',
     showNotch = true,
+    indicatorTrack = null,
   } = settings
 
   const videoW = videoElement.videoWidth
@@ -430,6 +659,7 @@ export function createFrameRenderer(videoElement, settings) {
         selectedDevice,
         showNotch,
         camera,
+        indicatorTrack,
       })
 
       return outputCanvas
@@ -0,0 +1,408 @@
+// Gesture segmentation for the tracked touch indicator
+// Splits the per-frame trajectory from circleDetector into taps, swipes and drags,
+// and the two-finger stretches of it into pinch, spread and rotate gestures
+
+import { distance } from './videoUtils'
+
+// Same movement threshold the tap detection has always used (px per sample)
+const MOVEMENT_THRESHOLD = 15
+const MIN_PAUSE_FRAMES = 2 // Still samples for a stop to count as a tap
+
+// A move becomes a gesture only if it is tracked over a few samples and travels far enough.
+// Shorter moves are the indicator jumping between taps.
+const MIN_GESTURE_FRAMES = 2
+const MIN_GESTURE_DISTANCE = 60 // px along the path
+
+const SWIPE_MIN_SPEED = 800 // px/s, slower moves are drags
+const DRAG_HOLD_TIME = 0.4 // s held before moving = press-and-drag
+
+// Two-finger gestures need both touches for a few samples.
+// Single-finger events this close to one belong to it (fingers land and lift unevenly).
+const MIN_MULTI_TOUCH_FRAMES = 3
+const MULTI_TOUCH_MARGIN = 0.2 // s
+
+// Stops held at least this long are long presses (iOS default press duration)
+export const LONG_PRESS_DURATION = 0.5
+
+// Gesture event types (taps keep type 'tap'/'manual')
+export const GESTURE_TYPES = {
+  tap: { name: 'Tap', color: '#00538C' },
+  longpress: { name: 'Long Press', color: '#14b8a6' },
+  swipe: { name: 'Swipe', color: '#f59e0b' },
+  drag: { name: 'Drag', color: '#a855f7' },
+  pinch: { name: 'Pinch', color: '#ef4444' },
+  spread: { name: 'Spread', color: '#22c55e' },
+  rotate: { name: 'Rotate', color: '#eab308' },
+}
+
+/**
+ * Check if an event is a swipe/drag gesture (has a path) rather than a tap
+ */
+export function isGesture(event) {
+  return Array.isArray(event?.path) && event.path.length > 1 && event.endTime != null
+}
+
+/**
+ * Check if a gesture is a two-finger pinch/spread/rotate (has per-sample touch pairs)
+ */
+export function isMultiTouch(event) {
+  return isGesture(event) && Array.isArray(event.touches)
+}
+
+/**
+ * Time the finger lifts: the end of a gesture or long press, the tap time otherwise
+ */
+export function getEventEndTime(event) {
+  if (isGesture(event)) return event.endTime
+  if (event.type === 'longpress' && event.duration) return event.time + event.duration
+  return event.time
+}
+
+/**
+ * Tap type for a press held for `duration` seconds
+ */
+export function getPressType(duration) {
+  return duration >= LONG_PRESS_DURATION ? 'longpress' : 'tap'
+}
+
+/**
+ * Position of a gesture at a time, interpolated along its path
+ * Clamped to the start/end point outside the gesture.
+ */
+export function getGesturePoint(gesture, time) {
+  const { path } = gesture
+  if (time <= path[0].time) return { x: path[0].x, y: path[0].y }
+
+  for (let i = 1; i < path.length; i++) {
+    if (time <= path[i].time) {
+      const a = path[i - 1]
+      const b = path[i]
+      const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }
+    }
+  }
+
+  const last = path[path.length - 1]
+  return { x: last.x, y: last.y }
+}
+
+/**
+ * Both touch points of a two-finger gesture at a time, interpolated between samples
+ * @returns {Array<{x, y}>} The two touch points
+ */
+export function getTouchPoints(gesture, time) {
+  const { touches } = gesture
+  const pair = (t) => [{ x: t.x1, y: t.y1 }, { x: t.x2, y: t.y2 }]
+  if (time <= touches[0].time) return pair(touches[0])
+
+  for (let i = 1; i < touches.length; i++) {
+    if (time <= touches[i].time) {
+      const a = touches[i - 1]
+      const b = touches[i]
+      const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1
+      return [
+        { x: a.x1 + (b.x1 - a.x1) * t, y: a.y1 + (b.y1 - a.y1) * t },
+        { x: a.x2 + (b.x2 - a.x2) * t, y: a.y2 + (b.y2 - a.y2) * t },
+      ]
+    }
+  }
+
+  return pair(touches[touches.length - 1])
+}
+
+/**
+ * Move an event to a new start point
+ * Gestures are shifted as a whole so their path keeps its shape.
+ */
+export function moveEvent(event, x, y) {
+  if (!isGesture(event)) return { ...event, x, y }
+
+  const dx = x - event.x
+  const dy = y - event.y
+  return {
+    ...event,
+    x,
+    y,
+    endX: event.endX + dx,
+    endY: event.endY + dy,
+    path: event.path.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })),
+    ...(event.touches && {
+      touches: event.touches.map(t => ({ ...t, x1: t.x1 + dx, y1: t.y1 + dy, x2: t.x2 + dx, y2: t.y2 + dy })),
+    }),
+  }
+}
+
+/**
+ * Segment a trajectory into taps and swipe/drag/multi-touch gestures
+ * @param {Array<{time, x, y, second}>} frameData - Per-frame indicator positions (x is null when not found),
+ *   second is the other finger's { x, y } while two touches are tracked
+ * @param {Object} options
+ * @param {boolean} options.touchOnly - The indicator is only shown while touching: any stop is a tap,
+ *   timed from when it appeared
+ * @returns {{taps: Array<{time, x, y, duration, type}>, gestures: Array<Object>}}
+ *   Taps are 'tap' or 'longpress' depending on how long the circle stayed put.
+ *   Gestures are { type, time, x, y, endTime, endX, endY, duration, path, distance, velocity, direction },
+ *   velocity is { x, y, peak } in px/s.
+ *   Two-finger gestures also carry touches ({ time, x1, y1, x2, y2 } per sample), scale and rotation (degrees);
+ *   their path is the midpoint between the fingers. Single-finger events within one are dropped.
+ */
+export function segmentGestures(frameData, { touchOnly = false } = {}) {
+  const taps = []
+  const gestures = []
+
+  for (const run of splitVisibleRuns(frameData)) {
+    const segments = splitRun(run)
+
+    // Stops consumed as part of a gesture: the hold or drop of a drag, the touch-down or lift of a swipe
+    const consumed = new Set()
+
+    segments.forEach((segment, index) => {
+      if (segment.kind !== 'move') return
+
+      const before = segments[index - 1]
+      const after = segments[index + 1]
+      const gesture = classifyMove(run, segment, before)
+      if (!gesture) return
+
+      if (gesture.type === 'drag') {
+        if (gesture.held) consumed.add(index - 1)
+        // Finger resting at the drop position until it lifts
+        if (after) {
+          consumed.add(index + 1)
+          gesture.endTime = run[after.end].time
+          gesture.duration = gesture.endTime - gesture.time
+        }
+      } else if (gesture.type === 'swipe') {
+        // The finger landing right where the swipe starts, and coming to rest where it ends,
+        // is the swipe itself and not a tap
+        if (before?.kind === 'stop') consumed.add(index - 1)
+        if (after?.kind === 'stop') consumed.add(index + 1)
+      }
+      delete gesture.held
+      gestures.push(gesture)
+    })
+
+    segments.forEach((segment, index) => {
+      if (segment.kind !== 'stop' || consumed.has(index)) return
+      if (segment.end - segment.start < (touchOnly ? 1 : MIN_PAUSE_FRAMES)) return
+
+      // First sample after arriving, matching the original stop detection.
+      // A touch-only indicator appearing is the touch itself.
+      // The press lasts until the circle moves off or disappears.
+      const sample = run[touchOnly && segment.start === 0 ? 0 : segment.start + 1]
+      const duration = run[segment.end].time - sample.time
+      taps.push({
+        time: sample.time,
+        x: Math.round(sample.x),
+        y: Math.round(sample.y),
+        duration,
+        type: getPressType(duration),
+      })
+    })
+  }
+
+  // One finger of a pinch is also tracked as a single touch, drop those events.
+  // Only events within the two-finger stretch: a shorter one does not swallow a longer touch
+  const multiTouch = segmentMultiTouch(frameData)
+  const isSingleFinger = (event) => !multiTouch.some(m =>
+    event.time >= m.time - MULTI_TOUCH_MARGIN &&
+    (event.endTime ?? event.time + (event.duration || 0)) <= m.endTime + MULTI_TOUCH_MARGIN
+  )
+
+  return {
+    taps: taps.filter(isSingleFinger).sort((a, b) => a.time - b.time),
+    gestures: [...gestures.filter(isSingleFinger), ...multiTouch].sort((a, b) => a.time - b.time),
+  }
+}
+
+/**
+ * Find pinch, spread and rotate gestures where two touches are tracked together
+ */
+function segmentMultiTouch(frameData) {
+  const gestures = []
+  let run = []
+
+  const finishRun = () => {
+    if (run.length >= MIN_MULTI_TOUCH_FRAMES) {
+      const gesture = classifyMultiTouch(run)
+      if (gesture) gestures.push(gesture)
+    }
+    run = []
+  }
+
+  for (const frame of frameData) {
+    if (frame.x !== null && frame.second) {
+      run.push(frame)
+    } else {
+      finishRun()
+    }
+  }
+  finishRun()
+
+  return gestures
+}
+
+/**
+ * Classify a two-finger run by whether the fingers mostly changed distance or turned
+ */
+function classifyMultiTouch(run) {
+  const touches = run.map(f => ({
+    time: f.time,
+    x1: Math.round(f.x),
+    y1: Math.round(f.y),
+    x2: Math.round(f.second.x),
+    y2: Math.round(f.second.y),
+  }))
+
+  // Angle of the line between the fingers, unwrapped across samples
+  let rotation = 0
+  let meanSpan = 0
+  for (let i = 0; i < touches.length; i++) {
+    meanSpan += touchSpan(touches[i]) / touches.length
+    if (i === 0) continue
+    let delta = touchAngle(touches[i]) - touchAngle(touches[i - 1])
+    if (delta > Math.PI) delta -= Math.PI * 2
+    if (delta < -Math.PI) delta += Math.PI * 2
+    rotation += delta
+  }
+
+  const first = touches[0]
+  const last = touches[touches.length - 1]
+  const startSpan = touchSpan(first)
+  const endSpan = touchSpan(last)
+
+  // Compare how far each finger moved for the pinch and for the turn
+  const pinchMove = Math.abs(endSpan - startSpan) / 2
+  const rotateMove = Math.abs(rotation) * meanSpan / 2
+  if (Math.max(pinchMove, rotateMove) < MIN_GESTURE_DISTANCE / 2) return null
+
+  const type = rotateMove > pinchMove ? 'rotate' : endSpan < startSpan ? 'pinch' : 'spread'
+  const path = touches.map(t => ({ time: t.time, x: Math.round((t.x1 + t.x2) / 2), y: Math.round((t.y1 + t.y2) / 2) }))
+  const start = path[0]
+  const end = path[path.length - 1]
+
+  return {
+    type,
+    time: start.time,
+    x: start.x,
+    y: start.y,
+    endTime: end.time,
+    endX: end.x,
+    endY: end.y,
+    duration: end.time - start.time,
+    path,
+    touches,
+    distance: Math.round(Math.max(pinchMove, rotateMove) * 2),
+    scale: startSpan > 0 ? Math.round((endSpan / startSpan) * 100) / 100 : 1,
+    rotation: Math.round(rotation * 180 / Math.PI),
+  }
+}
+
+function touchSpan(t) {
+  return Math.sqrt((t.x2 - t.x1) ** 2 + (t.y2 - t.y1) ** 2)
+}
+
+function touchAngle(t) {
+  return Math.atan2(t.y2 - t.y1, t.x2 - t.x1)
+}
+
+/**
+ * Split the trajectory into runs of consecutive frames where the indicator was found
+ */
+function splitVisibleRuns(frameData) {
+  const runs = []
+  let current = []
+
+  for (const frame of frameData) {
+    if (frame.x === null) {
+      if (current.length > 0) runs.push(current)
+      current = []
+    } else {
+      current.push(frame)
+    }
+  }
+  if (current.length > 0) runs.push(current)
+
+  return runs
+}
+
+/**
+ * Split a run into alternating stop/move segments
+ * Segments share their boundary sample: a move starts at the point it left from.
+ */
+function splitRun(run) {
+  if (run.length < 2) return [{ kind: 'stop', start: 0, end: run.length - 1 }]
+
+  const segments = []
+  let kind = null
+  let start = 0
+
+  for (let i = 1; i < run.length; i++) {
+    const step = distance(run[i - 1], run[i]) >= MOVEMENT_THRESHOLD ? 'move' : 'stop'
+    if (kind === null) {
+      kind = step
+    } else if (step !== kind) {
+      segments.push({ kind, start, end: i - 1 })
+      kind = step
+      start = i - 1
+    }
+  }
+  segments.push({ kind, start, end: run.length - 1 })
+
+  return segments
+}
+
+/**
+ * Turn a move segment into a swipe or drag, or null if it is just the indicator travelling
+ */
+function classifyMove(run, segment, before) {
+  const samples = run.slice(segment.start, segment.end + 1)
+  if (samples.length - 1 < MIN_GESTURE_FRAMES) return null
+
+  let pathLength = 0
+  let peak = 0
+  for (let i = 1; i < samples.length; i++) {
+    const step = distance(samples[i - 1], samples[i])
+    pathLength += step
+    const dt = samples[i].time - samples[i - 1].time
+    if (dt > 0) peak = Math.max(peak, step / dt)
+  }
+  if (pathLength < MIN_GESTURE_DISTANCE) return null
+
+  const first = samples[0]
+  const last = samples[samples.length - 1]
+  const moveDuration = last.time - first.time
+  const speed = moveDuration > 0 ? pathLength / moveDuration : Infinity
+
+  // Held in place before moving (long-press to pick up)
+  const holdTime = before?.kind === 'stop' ? run[before.end].time - run[before.start].time : 0
+  const held = holdTime >= DRAG_HOLD_TIME
+  const type = held || speed < SWIPE_MIN_SPEED ? 'drag' : 'swipe'
+
+  const start = held ? run[before.start] : first
+  const path = (held ? run.slice(before.start, segment.end + 1) : samples)
+    .map(f => ({ time: f.time, x: Math.round(f.x), y: Math.round(f.y) }))
+
+  const dx = last.x - first.x
+  const dy = last.y - first.y
+
+  return {
+    type,
+    time: start.time,
+    x: Math.round(start.x),
+    y: Math.round(start.y),
+    endTime: last.time,
+    endX: Math.round(last.x),
+    endY: Math.round(last.y),
+    duration: last.time - start.time,
+    path,
+    distance: Math.round(pathLength),
+    velocity: {
+      x: moveDuration > 0 ? Math.round(dx / moveDuration) : 0,
+      y: moveDuration > 0 ? Math.round(dy / moveDuration) : 0,
+      peak: Math.round(peak),
+    },
+    direction: Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up'),
+    held,
+  }
+}
@@ -0,0 +1,208 @@
+// Indicator appearance calibration
+// Measures the circle marked with "Mark Circle" in the current frame (color, size and
+// how much it stands out from what is around it) and turns that into a detector profile
+
+// The marked point is averaged over this square to get the seed color
+const SEED_SIZE = 5 // px
+// Pixels closer than this to the seed color (largest channel difference) belong to the dot
+const SEED_TOLERANCE = 36
+// Regions smaller than this are a mis-click on UI detail, not the indicator
+const MIN_REGION_RADIUS = 8 // px
+// A region this far from round is a bar or panel, not the indicator
+const MAX_ELONGATION = 1.6 // farthest pixel / area radius
+
+// Color range from the 5th to 95th percentile inside the dot, widened by these margins
+const LOW_PERCENTILE = 0.05
+const HIGH_PERCENTILE = 0.95
+const BRIGHTNESS_MARGIN = 12
+const CHANNEL_MARGIN = 8
+// Channel deviation above this makes it a colored indicator, which then needs some color
+const COLORED_CHANNEL_DIFF = 20
+
+// Inner part of the dot used for color, clear of the anti-aliased rim
+const INNER_SCALE = 0.8
+// Ring around the dot the edge contrast is measured against
+const RING_INNER_SCALE = 1.2
+const RING_OUTER_SCALE = 1.6
+
+// Size range accepted around the measured radius (indicators grow while pressed)
+const MIN_RADIUS_SCALE = 0.6
+const MAX_RADIUS_SCALE = 1.5
+
+// Candidates must keep half the measured contrast, capped since the content under a
+// translucent dot changes how much it stands out
+const EDGE_CONTRAST_SHARE = 0.5
+const MAX_EDGE_CONTRAST = 20
+const MIN_EDGE_CONTRAST = 8 // Below this the dot barely has an edge and none is required
+
+/**
+ * Measure the indicator at a marked point
+ * @param {CanvasRenderingContext2D} ctx - Frame showing the indicator
+ * @param {{x: number, y: number}} point - Marked position (video pixels)
+ * @param {Object} options
+ * @param {Object} options.profile - Current detector profile, bounds the search size
+ * @param {number} options.radius - Known radius (resized marker): skips measuring the size
+ * @returns {Object|null} Appearance {x, y, radius, brightness, color, size, edge},
+ *   or null when no round region is found at the point
+ */
+export function sampleIndicatorAppearance(ctx, width, height, point, { profile, radius: knownRadius = null } = {}) {
+  const searchRadius = Math.ceil((knownRadius || profile.size.maxRadius) * RING_OUTER_SCALE)
+  const left = Math.max(0, Math.round(point.x) - searchRadius)
+  const top = Math.max(0, Math.round(point.y) - searchRadius)
+  const boxW = Math.min(width, Math.round(point.x) + searchRadius + 1) - left
+  const boxH = Math.min(height, Math.round(point.y) + searchRadius + 1) - top
+  if (boxW <= 0 || boxH <= 0) return null
+
+  const { data } = ctx.getImageData(left, top, boxW, boxH)
+  const pixel = (x, y) => {
+    const i = (y * boxW + x) * 4
+    return [data[i], data[i + 1], data[i + 2]]
+  }
+
+  let center = { x: point.x - left, y: point.y - top }
+  let radius = knownRadius
+
+  if (!radius) {
+    const region = growRegion(pixel, boxW, boxH, center)
+    if (!region) return null
+    center = region.center
+    radius = region.radius
+  }
+
+  // Brightness and channel deviation inside the dot, brightness in the ring around it
+  const inside = []
+  const ring = []
+  const r = Math.ceil(radius * RING_OUTER_SCALE)
+  for (let y = Math.max(0, Math.floor(center.y - r)); y <= Math.min(boxH - 1, center.y + r); y++) {
+    for (let x = Math.max(0, Math.floor(center.x - r)); x <= Math.min(boxW - 1, center.x + r); x++) {
+      const dist = Math.sqrt((x - center.x) ** 2 + (y - center.y) ** 2)
+      const [red, green, blue] = pixel(x, y)
+      const avg = (red + green + blue) / 3
+      if (dist <= radius * INNER_SCALE) {
+        inside.push({ avg, diff: Math.max(Math.abs(red - avg), Math.abs(green - avg), Math.abs(blue - avg)) })
+      } else if (dist >= radius * RING_INNER_SCALE && dist <= radius * RING_OUTER_SCALE) {
+        ring.push(avg)
+      }
+    }
+  }
+  if (inside.length === 0) return null
+
+  const brightness = inside.map(p => p.avg).sort((a, b) => a - b)
+  const diffs = inside.map(p => p.diff).sort((a, b) => a - b)
+  const lowDiff = percentile(diffs, LOW_PERCENTILE)
+
+  const insideMean = mean(brightness)
+  const contrast = ring.length > 0 ? Math.abs(insideMean - mean(ring)) : 0
+
+  const appearance = {
+    x: center.x + left,
+    y: center.y + top,
+    radius,
+    brightness: insideMean,
+    color: {
+      minBrightness: Math.max(0, percentile(brightness, LOW_PERCENTILE) - BRIGHTNESS_MARGIN),
+      maxBrightness: Math.min(256, percentile(brightness, HIGH_PERCENTILE) + BRIGHTNESS_MARGIN),
+      minChannelDiff: lowDiff > COLORED_CHANNEL_DIFF ? Math.max(0, lowDiff - CHANNEL_MARGIN) : 0,
+      maxChannelDiff: Math.min(256, percentile(diffs, HIGH_PERCENTILE) + CHANNEL_MARGIN),
+    },
+    size: {
+      minRadius: radius * MIN_RADIUS_SCALE,
+      maxRadius: radius * MAX_RADIUS_SCALE,
+    },
+    edge: {
+      contrast,
+      minContrast: contrast >= MIN_EDGE_CONTRAST ? Math.min(contrast * EDGE_CONTRAST_SHARE, MAX_EDGE_CONTRAST) : 0,
+    },
+  }
+
+  console.log('[IndicatorCalibration] Measured indicator:', appearance)
+  return appearance
+}
+
+/**
+ * Detector profile with the measured appearance in place of its color model and size range
+ * Circularity limits and motion rules still come from the profile.
+ */
+export function calibrateProfile(profile, appearance) {
+  if (!appearance) return profile
+  return {
+    ...profile,
+    color: appearance.color,
+    size: { ...profile.size, ...appearance.size },
+    edge: appearance.edge,
+  }
+}
+
+/**
+ * Flood fill from the marked point over pixels close to its color
+ * @returns {{center: {x, y}, radius: number}|null} null when the region is too small,
+ *   not round, or runs off the search box
+ */
+function growRegion(pixel, boxW, boxH, start) {
+  const sx = Math.round(start.x)
+  const sy = Math.round(start.y)
+
+  // Seed color averaged around the marked point
+  const seed = [0, 0, 0]
+  let seedCount = 0
+  const half = Math.floor(SEED_SIZE / 2)
+  for (let y = Math.max(0, sy - half); y <= Math.min(boxH - 1, sy + half); y++) {
+    for (let x = Math.max(0, sx - half); x <= Math.min(boxW - 1, sx + half); x++) {
+      const p = pixel(x, y)
+      for (let c = 0; c < 3; c++) seed[c] += p[c]
+      seedCount++
+    }
+  }
+  if (seedCount === 0) return null
+  for (let c = 0; c < 3; c++) seed[c] /= seedCount
+
+  const matches = (x, y) => {
+    const p = pixel(x, y)
+    return Math.max(Math.abs(p[0] - seed[0]), Math.abs(p[1] - seed[1]), Math.abs(p[2] - seed[2])) < SEED_TOLERANCE
+  }
+
+  const visited = new Uint8Array(boxW * boxH)
+  const queue = [[sx, sy]]
+  visited[sy * boxW + sx] = 1
+  let count = 0, sumX = 0, sumY = 0
+  const members = []
+
+  while (queue.length > 0) {
+    const [x, y] = queue.pop()
+    // Touching the search box means it is bigger than any indicator
+    if (x === 0 || y === 0 || x === boxW - 1 || y === boxH - 1) return null
+
+    count++
+    sumX += x
+    sumY += y
+    members.push(x, y)
+
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+      const k = ny * boxW + nx
+      if (!visited[k] && matches(nx, ny)) {
+        visited[k] = 1
+        queue.push([nx, ny])
+      }
+    }
+  }
+
+  const radius = Math.sqrt(count / Math.PI)
+  if (radius < MIN_REGION_RADIUS) return null
+
+  const center = { x: sumX / count, y: sumY / count }
+  let maxDist = 0
+  for (let i = 0; i < members.length; i += 2) {
+    maxDist = Math.max(maxDist, Math.sqrt((members[i] - center.x) ** 2 + (members[i + 1] - center.y) ** 2))
+  }
+  if (maxDist > radius * MAX_ELONGATION) return null
+
+  return { center, radius }
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length
+}
@@ -0,0 +1,128 @@
+// Touch indicator eraser
+// Paints the detected indicator dot out of a source frame, so only the rendered tap
+// animation is visible. Uses the detection trajectory (debugData) for where the dot is
+// and fills it from the pixels around it.
+
+// Erased area relative to the detected radius (covers the dot's soft rim and shadow)
+const ERASE_SCALE = 1.3
+const ERASE_PADDING = 2 // px
+// The trajectory is sampled at 10 fps: cover part of the distance moved between samples
+const MOTION_SHARE = 0.25
+// Without a sample on both sides, the nearest one is used up to this far away
+const MAX_SAMPLE_GAP = 0.1 // s
+
+/**
+ * Erase the indicator (and a second touch) from a frame
+ * @param {CanvasRenderingContext2D} ctx - Source frame in video pixels
+ * @param {Array} indicatorTrack - Detection trajectory [{time, x, y, radius, second}]
+ * @param {number} time - Frame time
+ */
+export function eraseIndicator(ctx, indicatorTrack, time, width, height) {
+  for (const circle of getIndicatorCircles(indicatorTrack, time)) {
+    inpaintCircle(ctx, circle.x, circle.y, circle.radius, width, height)
+  }
+}
+
+/**
+ * Indicator circles at a time, interpolated between trajectory samples
+ * @returns {Array<{x, y, radius}>} The primary touch and the second one, when present
+ */
+export function getIndicatorCircles(indicatorTrack, time) {
+  if (!indicatorTrack || indicatorTrack.length === 0) return []
+
+  // Last sample at or before the time
+  let lo = 0
+  let hi = indicatorTrack.length - 1
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (indicatorTrack[mid].time <= time) lo = mid
+    else hi = mid - 1
+  }
+  const before = indicatorTrack[lo].time <= time ? indicatorTrack[lo] : null
+  const after = indicatorTrack[before ? lo + 1 : lo] || null
+
+  const circles = []
+  const primary = blend(before, after, time, (s) => s)
+  if (primary) circles.push(primary)
+  const second = blend(before, after, time, (s) => s.second)
+  if (second) circles.push(second)
+  return circles
+}
+
+// Circle between two samples, or the nearer sample when only one has it
+function blend(before, after, time, pick) {
+  const a = before && before.x !== null ? pick(before) : null
+  const b = after && after.x !== null ? pick(after) : null
+
+  if (a && b) {
+    const t = (time - before.time) / (after.time - before.time)
+    const moved = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2)
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      radius: a.radius + (b.radius - a.radius) * t + moved * MOTION_SHARE,
+    }
+  }
+  if (a && time - before.time <= MAX_SAMPLE_GAP) return { x: a.x, y: a.y, radius: a.radius }
+  if (b && after.time - time <= MAX_SAMPLE_GAP) return { x: b.x, y: b.y, radius: b.radius }
+  return null
+}
+
+/**
+ * Fill a circle from its surroundings
+ * Every pixel blends the colors just outside the circle on its row and its column,
+ * weighted towards the nearer edge, which continues gradients and flat UI across the hole.
+ */
+function inpaintCircle(ctx, cx, cy, detectedRadius, width, height) {
+  const radius = detectedRadius * ERASE_SCALE + ERASE_PADDING
+  const left = Math.max(0, Math.floor(cx - radius - 1))
+  const top = Math.max(0, Math.floor(cy - radius - 1))
+  const right = Math.min(width - 1, Math.ceil(cx + radius + 1))
+  const bottom = Math.min(height - 1, Math.ceil(cy + radius + 1))
+  const boxW = right - left + 1
+  const boxH = bottom - top + 1
+  if (boxW <= 2 || boxH <= 2) return
+
+  const imageData = ctx.getImageData(left, top, boxW, boxH)
+  const src = imageData.data
+  const out = new Uint8ClampedArray(src)
+  const lx = cx - left
+  const ly = cy - top
+
+  const sample = (x, y, c) => {
+    const px = Math.max(0, Math.min(boxW - 1, Math.round(x)))
+    const py = Math.max(0, Math.min(boxH - 1, Math.round(y)))
+    return src[(py * boxW + px) * 4 + c]
+  }
+
+  for (let y = 0; y < boxH; y++) {
+    const dy = y - ly
+    if (Math.abs(dy) >= radius) continue
+    const halfRow = Math.sqrt(radius * radius - dy * dy)
+    const x0 = lx - halfRow - 1
+    const x1 = lx + halfRow + 1
+
+    for (let x = Math.max(0, Math.ceil(lx - halfRow)); x <= Math.min(boxW - 1, Math.floor(lx + halfRow)); x++) {
+      const dx = x - lx
+      const halfCol = Math.sqrt(Math.max(0, radius * radius - dx * dx))
+      const y0 = ly - halfCol - 1
+      const y1 = ly + halfCol + 1
+
+      const tx = (x - x0) / (x1 - x0)
+      const ty = (y - y0) / (y1 - y0)
+      // Trust the direction with the closer edge more
+      const wx = 1 / Math.max(1, Math.min(x - x0, x1 - x))
+      const wy = 1 / Math.max(1, Math.min(y - y0, y1 - y))
+
+      const i = (y * boxW + x) * 4
+      for (let c = 0; c < 3; c++) {
+        const row = sample(x0, y, c) * (1 - tx) + sample(x1, y, c) * tx
+        const col = sample(x, y0, c) * (1 - ty) + sample(x, y1, c) * ty
+        out[i + c] = (row * wx + col * wy) / (wx + wy)
+      }
+    }
+  }
+
+  imageData.data.set(out)
+  ctx.putImageData(imageData, left, top)
+}
@@ -0,0 +1,118 @@
+// OpenCV.js circle detection backend
+// Same candidate interface as the pixel scan in circleDetector: builds a mask from the
+// profile's color model, then keeps round contours that change what is under them
+
+// Frames are analysed at half size, the indicator is still 7+ px across
+const SCALE = 0.5
+// Contours must be this round (4π·area / perimeter², 1 = perfect circle)
+const MIN_CIRCULARITY = 0.6
+// Alpha-blend check: a translucent dot shifts the brightness of the content under it,
+// a patch of flat grey UI cut out by the mask looks the same inside and out
+const MIN_BLEND_CONTRAST = 8
+const RING_SCALE = 1.6 // Outer radius of the comparison ring
+const EPSILON = 1e-3
+
+/**
+ * Find candidate indicator circles with OpenCV contour analysis
+ * @param {Object} cv - Loaded OpenCV.js runtime
+ * @param {CanvasRenderingContext2D} ctx - Frame to search
+ * @param {Object} profile - Detector profile (color model, size range, and measured edge when calibrated)
+ * @returns {Array<{x, y, radius, brightness, greyScore, pixelCount}>} pixelCount is scaled
+ *   to the pixel scan's 4 px sampling so tracking scores stay comparable
+ */
+export function findCirclesWithOpenCV(cv, ctx, width, height, profile) {
+  const { color, size } = profile
+  const mats = []
+  const track = (mat) => {
+    mats.push(mat)
+    return mat
+  }
+
+  try {
+    const full = track(cv.matFromImageData(ctx.getImageData(0, 0, width, height)))
+    const src = track(new cv.Mat())
+    cv.resize(full, src, new cv.Size(Math.round(width * SCALE), Math.round(height * SCALE)), 0, 0, cv.INTER_AREA)
+
+    // Brightness (channel average) and grey-ness (largest deviation from it), as in the scan
+    const channels = track(new cv.MatVector())
+    cv.split(src, channels)
+    const [r, g, b] = [0, 1, 2].map(i => {
+      const plane = channels.get(i)
+      const channel = track(new cv.Mat())
+      plane.convertTo(channel, cv.CV_32F)
+      plane.delete()
+      return channel
+    })
+
+    const avg = track(new cv.Mat())
+    cv.add(r, g, avg)
+    cv.add(avg, b, avg)
+    avg.convertTo(avg, cv.CV_32F, 1 / 3)
+
+    const maxDiff = track(new cv.Mat())
+    const diff = track(new cv.Mat())
+    cv.absdiff(r, avg, maxDiff)
+    cv.absdiff(g, avg, diff)
+    cv.max(maxDiff, diff, maxDiff)
+    cv.absdiff(b, avg, diff)
+    cv.max(maxDiff, diff, maxDiff)
+
+    // Color model mask (bounds as in the scan: exclusive except the minimum deviation)
+    const inRange = (mat, low, high) => {
+      const dst = track(new cv.Mat())
+      const lowMat = track(new cv.Mat(mat.rows, mat.cols, cv.CV_32F, new cv.Scalar(low)))
+      const highMat = track(new cv.Mat(mat.rows, mat.cols, cv.CV_32F, new cv.Scalar(high)))
+      cv.inRange(mat, lowMat, highMat, dst)
+      return dst
+    }
+    const mask = inRange(avg, color.minBrightness + EPSILON, color.maxBrightness - EPSILON)
+    cv.bitwise_and(mask, inRange(maxDiff, color.minChannelDiff, color.maxChannelDiff - EPSILON), mask)
+
+    const kernel = track(cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(3, 3)))
+    cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel)
+
+    const contours = track(new cv.MatVector())
+    const hierarchy = track(new cv.Mat())
+    cv.findContours(mask, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE)
+
+    const circles = []
+    const regionMask = track(cv.Mat.zeros(src.rows, src.cols, cv.CV_8U))
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i)
+      const area = cv.contourArea(contour)
+      const perimeter = cv.arcLength(contour, true)
+      const { center, radius } = cv.minEnclosingCircle(contour)
+      contour.delete()
+
+      const fullRadius = radius / SCALE
+      if (fullRadius < size.minRadius || fullRadius > size.maxRadius || perimeter === 0) continue
+
+      const circularity = (4 * Math.PI * area) / (perimeter * perimeter)
+      if (circularity < MIN_CIRCULARITY) continue
+
+      // Alpha-blend check: mean brightness inside vs a ring around the dot
+      regionMask.setTo(new cv.Scalar(0))
+      cv.circle(regionMask, center, Math.round(radius), new cv.Scalar(255), -1)
+      const inside = cv.mean(avg, regionMask)[0]
+      regionMask.setTo(new cv.Scalar(0))
+      cv.circle(regionMask, center, Math.round(radius * RING_SCALE), new cv.Scalar(255), -1)
+      cv.circle(regionMask, center, Math.round(radius), new cv.Scalar(0), -1)
+      const ring = cv.mean(avg, regionMask)[0]
+      if (Math.abs(inside - ring) < (profile.edge?.minContrast || MIN_BLEND_CONTRAST)) continue
+
+      circles.push({
+        x: center.x / SCALE,
+        y: center.y / SCALE,
+        radius: fullRadius,
+        brightness: inside,
+        greyScore: circularity,
+        pixelCount: Math.round(area / (SCALE * SCALE) / 16),
+      })
+    }
+
+    return circles
+  } finally {
+    for (const mat of mats) mat.delete()
+  }
+}
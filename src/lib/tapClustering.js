@@ -0,0 +1,5 @@
+// Thresholds for treating nearby detections as one tap
+// Used when clustering coarse taps, merging refined quick taps and merging a re-detected range
+
+export const TAP_CLUSTER_DISTANCE = 80 // px
+export const TAP_CLUSTER_TIME = 0.5 // s
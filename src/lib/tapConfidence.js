@@ -0,0 +1,64 @@
+// Tap confidence scoring
+// Rates each detected tap from the tracked trajectory around it, so doubtful ones
+// can be reviewed instead of checking every tap by hand
+
+// Trajectory frames around the tap that are looked at
+const WINDOW_BEFORE = 0.2 // s
+const MIN_WINDOW_AFTER = 0.2 // s, or the press duration when longer
+// A tracked position this close to the tap supports it
+const SUPPORT_DISTANCE = 40 // px
+// Other candidates this close make the pick ambiguous
+const COMPETITOR_DISTANCE = 150 // px
+// Taps this close to a position that was held stationary may be UI
+const STATIONARY_DISTANCE = 50 // px
+const STATIONARY_PENALTY = 0.5
+
+// Weights of the three parts of the score
+const SUPPORT_WEIGHT = 0.4
+const SHAPE_WEIGHT = 0.3
+const CLARITY_WEIGHT = 0.3
+
+// Taps below this go into the review queue
+export const REVIEW_THRESHOLD = 0.6
+
+/**
+ * Add a confidence score (0-1) to every tap and long press
+ * The score combines how steadily the dot was tracked at the tap, how round it was,
+ * and how few other candidates were around. Taps near stationary zones are marked down.
+ * @param {Array} events - Detected events
+ * @param {Array} frameData - Tracked trajectory (debugData)
+ * @param {Array} stationaryZones - Positions held stationary [{x, y}]
+ * @returns {Array} Events, taps with `confidence` and `needsReview`
+ */
+export function scoreTapConfidence(events, frameData, stationaryZones = []) {
+  return events.map(event => {
+    if (event.type !== 'tap' && event.type !== 'longpress') return event
+    const confidence = getTapConfidence(event, frameData, stationaryZones)
+    return { ...event, confidence, needsReview: confidence < REVIEW_THRESHOLD }
+  })
+}
+
+function getTapConfidence(tap, frameData, stationaryZones) {
+  const start = tap.time - WINDOW_BEFORE
+  const end = tap.time + Math.max(tap.duration || 0, MIN_WINDOW_AFTER)
+  const frames = frameData.filter(f => f.time >= start && f.time <= end)
+  if (frames.length === 0) return 0
+
+  const near = (p, distance) => Math.sqrt((p.x - tap.x) ** 2 + (p.y - tap.y) ** 2) < distance
+
+  const supporting = frames.filter(f => f.x !== null && near(f, SUPPORT_DISTANCE))
+  const support = supporting.length / frames.length
+
+  // greyScore is the blob's circularity, 1 for a filled disc
+  const shape = supporting.length > 0
+    ? supporting.reduce((sum, f) => sum + Math.max(0, 1 - Math.abs((f.greyScore || 0) - 1)), 0) / supporting.length
+    : 0
+
+  const competitors = frames.reduce((sum, f) => sum + (f.rejected || []).filter(c => near(c, COMPETITOR_DISTANCE)).length, 0)
+  const clarity = 1 / (1 + competitors / frames.length)
+
+  const penalty = stationaryZones.some(z => near(z, STATIONARY_DISTANCE)) ? STATIONARY_PENALTY : 1
+
+  const score = (support * SUPPORT_WEIGHT + shape * SHAPE_WEIGHT + clarity * CLARITY_WEIGHT) * penalty
+  return Math.round(score * 100) / 100
+}
@@ -0,0 +1,71 @@
+// Tap data files
+// Saves the tap events together with the detection regions they were found with,
+// so a video can be re-detected or edited later with the same masks. Also exports the
+// raw detection track for inspection
+
+import { EMPTY_DETECTION_REGIONS } from './detectionRegions'
+
+const TAP_DATA_VERSION = 1
+
+/**
+ * Serialize tap events and detection regions to a JSON string
+ */
+export function serializeTapData(tapEvents, detectionRegions) {
+  return JSON.stringify({
+    version: TAP_DATA_VERSION,
+    tapEvents,
+    detectionRegions: detectionRegions || EMPTY_DETECTION_REGIONS,
+  }, null, 2)
+}
+
+/**
+ * Parse a tap data file
+ * A bare array of taps (no regions) is accepted too.
+ * @returns {{tapEvents: Array, detectionRegions: Object}}
+ */
+export function parseTapData(text) {
+  const data = JSON.parse(text)
+  if (Array.isArray(data)) return { tapEvents: data, detectionRegions: EMPTY_DETECTION_REGIONS }
+
+  if (!data || !Array.isArray(data.tapEvents)) {
+    throw new Error('Not a tap data file: tapEvents missing')
+  }
+
+  const regions = data.detectionRegions || {}
+  return {
+    tapEvents: data.tapEvents,
+    detectionRegions: {
+      exclude: Array.isArray(regions.exclude) ? regions.exclude : [],
+      roi: regions.roi || null,
+    },
+  }
+}
+
+/**
+ * Raw detection track as CSV, one row per sampled frame
+ * Empty cells where nothing was tracked.
+ */
+export function serializeTrackCSV(track) {
+  const header = 'time,x,y,radius,brightness,greyScore,second_x,second_y,second_radius,rejected'
+  const round = (v, digits = 1) => (v === null || v === undefined ? '' : Number(v.toFixed(digits)))
+  const rows = track.map(f => [
+    round(f.time, 3),
+    round(f.x),
+    round(f.y),
+    round(f.radius),
+    f.x === null ? '' : round(f.brightness),
+    f.x === null ? '' : round(f.greyScore, 3),
+    round(f.second?.x),
+    round(f.second?.y),
+    round(f.second?.radius),
+    (f.rejected || []).length,
+  ].join(','))
+  return [header, ...rows].join('\n')
+}
+
+/**
+ * Raw detection track, stationary zones and the taps found in it as JSON
+ */
+export function serializeTrackJSON(track, stationaryZones, tapEvents) {
+  return JSON.stringify({ version: TAP_DATA_VERSION, track, stationaryZones, tapEvents }, null, 2)
+}
@@ -0,0 +1,181 @@
+// Coarse-to-fine tap refinement
+// Re-scans short windows at the source frame rate after the 10 fps pass: snaps taps
+// to the frame of first contact and finds quick taps where the dot flickers in and out
+
+import { getPressType, isGesture } from './gestureSegmenter'
+import { TAP_CLUSTER_DISTANCE, TAP_CLUSTER_TIME } from './tapClustering'
+
+// First contact is looked for this far before a coarse tap (two coarse samples)
+const SNAP_WINDOW = 0.2 // s
+const SNAP_DISTANCE = 20 // px from the tap that still counts as the same contact
+
+// Visibility changes closer than this form a flicker stretch that is scanned densely
+const FLICKER_GAP = 0.5 // s
+
+// A quick tap is the dot seen for a few frames without travelling
+const MIN_CONTACT_FRAMES = 2
+const QUICK_TAP_MAX_TRAVEL = 30 // px
+
+/**
+ * Refine coarse detection results at the source frame rate
+ * @param {Array} events - Events from buildTapEvents
+ * @param {Array} frameData - Coarse trajectory the events came from
+ * @param {Object} options
+ * @param {number} options.frameRate - Source frame rate
+ * @param {number} options.sampleInterval - Seconds between coarse samples
+ * @param {Function} options.scanFrame - async (time) => candidate circles [{x, y, radius, pixelCount}],
+ *   called with increasing times
+ * @param {AbortSignal} options.signal - Cancels refinement
+ * @param {Function} options.onProgress - Receives progress 0-1
+ * @returns {Promise<Array>} Events with snapped tap times and quick taps added, sorted by time
+ */
+export async function refineTaps(events, frameData, { frameRate, sampleInterval, scanFrame, signal, onProgress }) {
+  const taps = events.filter(e => e.type === 'tap' || e.type === 'longpress')
+  const flickerWindows = findFlickerWindows(frameData, sampleInterval)
+  const windows = [
+    ...taps.map(tap => [tap.time - SNAP_WINDOW, tap.time]),
+    ...flickerWindows,
+  ]
+
+  // Every source frame in any window, scanned once in increasing order
+  const frameIndices = new Set()
+  for (const [start, end] of windows) {
+    for (let k = firstFrame(start, frameRate); k <= lastFrame(end, frameRate); k++) {
+      frameIndices.add(k)
+    }
+  }
+  const sorted = [...frameIndices].sort((a, b) => a - b)
+
+  const candidatesByFrame = new Map()
+  for (let i = 0; i < sorted.length; i++) {
+    signal?.throwIfAborted()
+    candidatesByFrame.set(sorted[i], await scanFrame(sorted[i] / frameRate))
+    onProgress?.((i + 1) / sorted.length)
+  }
+
+  const snapped = events.map(event => {
+    if (!taps.includes(event)) return event
+    return snapToFirstContact(event, candidatesByFrame, frameRate)
+  })
+
+  const quickTaps = flickerWindows.flatMap(([start, end]) =>
+    findQuickTaps(candidatesByFrame, frameRate, start, end)
+  )
+
+  let added = 0
+  for (const quickTap of quickTaps) {
+    // A quick tap this close to a coarse one is the same tap, as in clusterTaps
+    const existing = snapped.find(e =>
+      (isGesture(e) && quickTap.time >= e.time && quickTap.time <= e.endTime) ||
+      (Math.abs(e.time - quickTap.time) < TAP_CLUSTER_TIME &&
+        Math.sqrt((e.x - quickTap.x) ** 2 + (e.y - quickTap.y) ** 2) < TAP_CLUSTER_DISTANCE)
+    )
+    if (!existing) {
+      snapped.push(quickTap)
+      added++
+    }
+  }
+
+  console.log(`[TapRefinement] Scanned ${sorted.length} frames at ${frameRate.toFixed(1)} fps, ${flickerWindows.length} flicker stretches, ${added} quick taps added`)
+
+  return snapped.sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Find stretches where the coarse pass saw the dot appear and disappear in quick succession
+ * @returns {Array<[number, number]>} Time windows, padded by one coarse sample each side
+ */
+function findFlickerWindows(frameData, sampleInterval) {
+  const toggles = []
+  for (let i = 1; i < frameData.length; i++) {
+    if ((frameData[i].x === null) !== (frameData[i - 1].x === null)) {
+      toggles.push(frameData[i].time)
+    }
+  }
+
+  const windows = []
+  for (let i = 1; i < toggles.length; i++) {
+    if (toggles[i] - toggles[i - 1] > FLICKER_GAP) continue
+
+    const start = toggles[i - 1] - sampleInterval
+    const end = toggles[i] + sampleInterval
+    const last = windows[windows.length - 1]
+    if (last && start <= last[1]) {
+      last[1] = end
+    } else {
+      windows.push([start, end])
+    }
+  }
+
+  return windows
+}
+
+/**
+ * Move a tap back to the earliest frame the dot was already at its position
+ */
+function snapToFirstContact(tap, candidatesByFrame, frameRate) {
+  let contact = null
+
+  // Walk back from the coarse time while the dot stays on the tap
+  for (let k = lastFrame(tap.time, frameRate); k >= firstFrame(tap.time - SNAP_WINDOW, frameRate); k--) {
+    const candidates = candidatesByFrame.get(k)
+    const onTap = candidates?.some(c => Math.sqrt((c.x - tap.x) ** 2 + (c.y - tap.y) ** 2) < SNAP_DISTANCE)
+    if (!onTap) break
+    contact = k / frameRate
+  }
+
+  if (contact === null || contact >= tap.time) return tap
+
+  const duration = (tap.duration || 0) + (tap.time - contact)
+  return { ...tap, time: contact, duration, type: getPressType(duration) }
+}
+
+/**
+ * Find taps in a densely scanned window: the dot seen for a few frames in one place
+ */
+function findQuickTaps(candidatesByFrame, frameRate, start, end) {
+  const taps = []
+  let run = []
+
+  const finishRun = () => {
+    if (run.length >= MIN_CONTACT_FRAMES) {
+      const first = run[0]
+      const last = run[run.length - 1]
+      const travel = Math.max(...run.map(f => Math.sqrt((f.x - first.x) ** 2 + (f.y - first.y) ** 2)))
+      if (travel <= QUICK_TAP_MAX_TRAVEL) {
+        const duration = last.time - first.time
+        taps.push({
+          time: first.time,
+          x: Math.round(first.x),
+          y: Math.round(first.y),
+          duration,
+          type: getPressType(duration),
+        })
+      }
+    }
+    run = []
+  }
+
+  for (let k = firstFrame(start, frameRate); k <= lastFrame(end, frameRate); k++) {
+    const candidates = candidatesByFrame.get(k) || []
+    if (candidates.length === 0) {
+      finishRun()
+      continue
+    }
+    // The biggest blob is the touch indicator
+    const best = candidates.reduce((a, b) => (b.pixelCount > a.pixelCount ? b : a))
+    run.push({ time: k / frameRate, x: best.x, y: best.y })
+  }
+  finishRun()
+
+  return taps
+}
+
+// Source frames inside a time window (times are sums of float steps, allow for rounding)
+function firstFrame(time, frameRate) {
+  return Math.max(0, Math.ceil(time * frameRate - 1e-6))
+}
+
+function lastFrame(time, frameRate) {
+  return Math.floor(time * frameRate + 1e-6)
+}
@@ -0,0 +1,317 @@
+// Screen transition detection, for recordings without a touch indicator
+// Differences downscaled frames to find where the UI changed: pushes, modal presentations
+// and controls changing state (button highlights). Each is proposed as a likely tap for
+// the user to confirm, located where a control changed state when one did.
+
+import { DETECTION_FPS, getDetectionRegions } from './circleDetector'
+import { seekVideo, distance, toLuma } from './videoUtils'
+import { isMaskedOut } from './detectionRegions'
+
+// Frames are compared at this width (height keeps the aspect ratio)
+const THUMB_WIDTH = 72
+// Luma difference (0-255) for a cell to count as changed
+const CELL_THRESHOLD = 14
+// Less than this share of cells changing is noise (compression, dithering)
+const MIN_CHANGE_SHARE = 0.002
+// A change covering this share of the screen is a transition, smaller ones are local
+const SCREEN_CHANGE_SHARE = 0.3
+// A local change whose box is larger than this share of the screen is content, not a control
+const MAX_CONTROL_AREA = 0.12
+// Changes running longer than this are video, scrolling or an animation
+const MAX_TRANSITION_DURATION = 1.5 // s
+// A shifted previous frame must explain the change this much better to count as sliding
+const SLIDE_IMPROVEMENT = 0.6
+// Mean luma drop of a dimming backdrop (alerts, sheets)
+const DIM_DROP = 15
+// Transitions start as the finger lifts, a little after the touch
+const TAP_LEAD = 0.1 // s
+// A control change this long before a transition is the control that triggered it
+const TRIGGER_WINDOW = 0.6 // s
+// Changes at the same place this close in time are one press (highlight on, then off)
+const SAME_CONTROL_TIME = 0.5 // s
+const SAME_CONTROL_DISTANCE = 60 // px, video
+// A place that changes this often is blinking (caret, spinner), not being tapped
+const BLINK_REPEATS = 4
+
+const TRANSITION_KINDS = ['push', 'modal', 'screen']
+
+// Confidence of the proposals, all go to review
+const CONFIDENCE = {
+  triggered: 0.8, // control change followed by a transition
+  control: 0.5, // control change alone
+  transition: 0.3, // transition without a located control, placed mid-screen
+}
+
+/**
+ * Propose taps from screen transitions by seeking the given <video>
+ * Detection regions (exclusion areas, ROI) leave their cells out of the comparison.
+ * @param {HTMLVideoElement} video
+ * @param {Function} onProgress - Receives progress 0-100
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the scan
+ * @returns {Promise<Array>} Proposed taps { time, x, y, type: 'tap', source: 'transition', transition,
+ *   confidence, needsReview: true }, sorted by time
+ */
+export async function detectTransitionTaps(video, onProgress, { signal } = {}) {
+  const videoW = video.videoWidth
+  const videoH = video.videoHeight
+  const width = THUMB_WIDTH
+  const height = Math.max(1, Math.round(THUMB_WIDTH * videoH / videoW))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+
+  const startTime = video.currentTime
+  const interval = 1 / DETECTION_FPS
+  const total = Math.floor(video.duration * DETECTION_FPS)
+  const mask = buildMask(getDetectionRegions(), width, height, videoW / width, videoH / height)
+  // Frames are compared as they are sampled, only the previous one is kept
+  const tracker = createChangeTracker(width, height, mask, interval)
+  for (let i = 0; i < total; i++) {
+    signal?.throwIfAborted()
+    await seekVideo(video, i * interval)
+    ctx.drawImage(video, 0, 0, width, height)
+    tracker.addFrame(i * interval, toLuma(ctx.getImageData(0, 0, width, height).data))
+    onProgress(((i + 1) / total) * 100)
+  }
+  await seekVideo(video, startTime)
+
+  const changes = tracker.finish()
+  const taps = proposeTaps(changes, videoW / width, videoH / height, videoW, videoH)
+  console.log(`Screen transitions: ${changes.length} changes, ${taps.length} taps proposed`)
+  return taps
+}
+
+/**
+ * Group frame differences into changes
+ * Works on any sequence of equally spaced luma thumbnails, so it runs without a <video> too.
+ * @param {Array<{time, luma: Uint8Array|Float32Array}>} frames
+ * @param {Uint8Array|null} mask - 1 for cells left out
+ * @returns {Array<{kind, start, end, box, share, trigger}>} kind is 'push', 'modal', 'screen', 'control'
+ *   or 'content', start is when the change began (between two samples), box is in thumbnail cells.
+ *   trigger is the box of a control change the transition grew out of, if it did
+ */
+export function findChanges(frames, width, height, mask, interval) {
+  const tracker = createChangeTracker(width, height, mask, interval)
+  for (const frame of frames) tracker.addFrame(frame.time, frame.luma)
+  return tracker.finish()
+}
+
+/**
+ * Group frame differences into changes as the frames arrive
+ * Keeps the previous frame and the pair of frames where the current change peaked, nothing else.
+ * @returns {{addFrame: Function, finish: Function}} addFrame(time, luma) takes the next thumbnail,
+ *   finish() returns the changes as findChanges does
+ */
+export function createChangeTracker(width, height, mask, interval) {
+  const changes = []
+  let current = null
+  let previous = null
+
+  const endChange = () => {
+    if (current && current.end - current.start <= MAX_TRANSITION_DURATION) changes.push(classifyChange(current, width, height))
+    current = null
+  }
+
+  const addFrame = (time, luma) => {
+    const before = previous
+    previous = luma
+    if (!before) return
+
+    const diff = diffFrames(before, luma, width, height, mask)
+    if (diff.share < MIN_CHANGE_SHARE) {
+      endChange()
+      return
+    }
+    if (!current) {
+      current = { start: time - interval / 2, end: time, box: diff.box, share: diff.share, peak: [before, luma], lead: diff }
+    } else {
+      current.end = time
+      current.box = unionBox(current.box, diff.box)
+      if (diff.share > current.share) {
+        current.share = diff.share
+        current.peak = [before, luma]
+      }
+    }
+  }
+
+  const finish = () => {
+    endChange()
+    return changes
+  }
+
+  return { addFrame, finish }
+}
+
+/**
+ * Turn changes into proposed taps, in video pixels
+ */
+export function proposeTaps(changes, scaleX, scaleY, videoW, videoH) {
+  const center = (box) => ({ x: Math.round(((box.x0 + box.x1 + 1) / 2) * scaleX), y: Math.round(((box.y0 + box.y1 + 1) / 2) * scaleY) })
+
+  // Control changes at one place close together are one press; places that keep changing are blinking
+  const controls = []
+  for (const change of changes.filter(c => c.kind === 'control')) {
+    const point = center(change.box)
+    const press = controls.find(p => change.start - p.end <= SAME_CONTROL_TIME && distance(p, point) <= SAME_CONTROL_DISTANCE)
+    if (press) press.end = change.end
+    else controls.push({ ...point, start: change.start, end: change.end })
+  }
+  const repeats = (control) => controls.filter(c => distance(c, control) <= SAME_CONTROL_DISTANCE).length
+  const presses = controls.filter(c => repeats(c) < BLINK_REPEATS)
+
+  const taps = []
+  const triggers = new Set()
+  for (const change of changes.filter(c => TRANSITION_KINDS.includes(c.kind))) {
+    const trigger = presses.find(p => !triggers.has(p) && change.start - p.start >= 0 && change.start - p.start <= TRIGGER_WINDOW)
+    if (trigger) {
+      triggers.add(trigger)
+      taps.push(makeTap(trigger.start, trigger.x, trigger.y, change.kind, CONFIDENCE.triggered))
+    } else if (change.trigger) {
+      const point = center(change.trigger)
+      taps.push(makeTap(change.start, point.x, point.y, change.kind, CONFIDENCE.triggered))
+    } else {
+      taps.push(makeTap(Math.max(0, change.start - TAP_LEAD), Math.round(videoW / 2), Math.round(videoH / 2), change.kind, CONFIDENCE.transition))
+    }
+  }
+  for (const press of presses) {
+    if (!triggers.has(press)) taps.push(makeTap(press.start, press.x, press.y, 'control', CONFIDENCE.control))
+  }
+
+  return taps.sort((a, b) => a.time - b.time)
+}
+
+function makeTap(time, x, y, transition, confidence) {
+  return { time: Math.max(0, time), x, y, duration: 0, type: 'tap', source: 'transition', transition, confidence, needsReview: true }
+}
+
+// Share of changed cells, and the bounding box of the largest connected patch of them
+// (a caret blinking elsewhere must not stretch a highlighted button's box)
+function diffFrames(a, b, width, height, mask) {
+  const changed = new Uint8Array(width * height)
+  let count = 0
+  let counted = 0
+  for (let i = 0; i < changed.length; i++) {
+    if (mask && mask[i]) continue
+    counted++
+    if (Math.abs(a[i] - b[i]) > CELL_THRESHOLD) {
+      changed[i] = 1
+      count++
+    }
+  }
+  return { share: counted > 0 ? count / counted : 0, box: largestPatch(changed, width, height) }
+}
+
+function largestPatch(changed, width, height) {
+  const seen = new Uint8Array(changed.length)
+  let best = { size: 0, box: { x0: 0, y0: 0, x1: width - 1, y1: height - 1 } }
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue
+    const box = { x0: width, y0: height, x1: -1, y1: -1 }
+    const stack = [start]
+    seen[start] = 1
+    let size = 0
+    while (stack.length > 0) {
+      const i = stack.pop()
+      const x = i % width
+      const y = (i - x) / width
+      size++
+      if (x < box.x0) box.x0 = x
+      if (x > box.x1) box.x1 = x
+      if (y < box.y0) box.y0 = y
+      if (y > box.y1) box.y1 = y
+      // 8-connected, bridging single-cell gaps (anti-aliased text, thin borders)
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const nx = x + dx
+          const ny = y + dy
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue
+          const n = ny * width + nx
+          if (changed[n] && !seen[n]) {
+            seen[n] = 1
+            stack.push(n)
+          }
+        }
+      }
+    }
+    if (size > best.size) best = { size, box }
+  }
+  return best.box
+}
+
+// Screen-wide changes are pushes (sliding sideways), modals (sliding up or dimming) or new screens;
+// small compact ones are controls changing state, and anything else is content (not proposed)
+function classifyChange(change, width, height) {
+  const { start, end, box, share, peak, lead } = change
+  const isControl = (b, s) => s < SCREEN_CHANGE_SHARE && boxArea(b, width, height) <= MAX_CONTROL_AREA
+  const result = { start, end, box, share, trigger: null }
+
+  if (share < SCREEN_CHANGE_SHARE) {
+    return { ...result, kind: isControl(box, share) ? 'control' : 'content' }
+  }
+  // A highlight running straight into the transition, with no still frame between
+  if (isControl(lead.box, lead.share)) result.trigger = lead.box
+
+  const [before, after] = peak
+  const still = shiftError(before, after, width, height, 0, 0)
+  const sideways = bestShift(before, after, width, height, 'x')
+  const upward = bestShift(before, after, width, height, 'y')
+  if (sideways.error < still * SLIDE_IMPROVEMENT && sideways.error <= upward.error) return { ...result, kind: 'push' }
+  if (upward.error < still * SLIDE_IMPROVEMENT) return { ...result, kind: 'modal' }
+  if (meanLuma(before) - meanLuma(after) > DIM_DROP) return { ...result, kind: 'modal' }
+  return { ...result, kind: 'screen' }
+}
+
+// Shift of the previous frame along one axis that best matches the next one
+function bestShift(before, after, width, height, axis) {
+  const size = axis === 'x' ? width : height
+  let best = { shift: 0, error: Infinity }
+  for (let shift = 2; shift <= size / 2; shift += 2) {
+    for (const s of [shift, -shift]) {
+      const error = axis === 'x' ? shiftError(before, after, width, height, s, 0) : shiftError(before, after, width, height, 0, s)
+      if (error < best.error) best = { shift: s, error }
+    }
+  }
+  return best
+}
+
+// Mean luma difference between `after` and `before` moved by (dx, dy), over the overlap
+function shiftError(before, after, width, height, dx, dy) {
+  let sum = 0
+  let count = 0
+  for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y++) {
+    for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x++) {
+      sum += Math.abs(after[y * width + x] - before[(y - dy) * width + (x - dx)])
+      count++
+    }
+  }
+  return count > 0 ? sum / count : Infinity
+}
+
+function meanLuma(luma) {
+  let sum = 0
+  for (let i = 0; i < luma.length; i++) sum += luma[i]
+  return sum / luma.length
+}
+
+// Cells whose centre is masked out by the detection regions
+function buildMask(regions, width, height, scaleX, scaleY) {
+  if (!regions || (regions.exclude.length === 0 && !regions.roi)) return null
+  const mask = new Uint8Array(width * height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      mask[y * width + x] = isMaskedOut(regions, (x + 0.5) * scaleX, (y + 0.5) * scaleY) ? 1 : 0
+    }
+  }
+  return mask
+}
+
+function boxArea(box, width, height) {
+  return ((box.x1 - box.x0 + 1) * (box.y1 - box.y0 + 1)) / (width * height)
+}
+
+function unionBox(a, b) {
+  return { x0: Math.min(a.x0, b.x0), y0: Math.min(a.y0, b.y0), x1: Math.max(a.x1, b.x1), y1: Math.max(a.y1, b.y1) }
+}
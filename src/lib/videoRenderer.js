@@ -1,14 +1,21 @@
 /**
  * Video Renderer - Export orchestrator
  *
- * Uses WebCodecs + mp4-muxer for fast, hardware-accelerated export.
+ * Uses WebCodecs + mp4-muxer for fast, hardware-accelerated export,
+ * in a dedicated worker when OffscreenCanvas and VideoDecoder are available.
  * Falls back to FFmpeg.wasm for browsers without WebCodecs support.
  *
  * The export exactly matches the preview by using the same rendering
  * pipeline (frameRenderer.js) with tap animations, camera zoom/pan, etc.
  */
 
+import { exportAnimated } from './export/animatedExporter'
+import { validateAppPreview } from './export/appPreview'
+import { resolveExportSettings, isAnimatedFormat } from './export/exportSettings'
 import { exportFast, isFastExportSupported } from './export/fastExporter'
+import { writeExportOutput } from './export/fileOutput'
+import { isFrameDecodingSupported } from './export/frameSource'
+import { exportInWorker, isWorkerExportSupported } from './export/workerExporter'
 import { getOutputDimensions } from './frameRenderer'
 
 // FFmpeg fallback (lazy loaded)
@@ -40,31 +47,78 @@ export async function renderVideo(videoFile, previewSettings, onProgress) {
 
   // Fallback to FFmpeg
   console.log('[VideoRenderer] Using FFmpeg.wasm (fallback)')
-  return renderWithFFmpeg(videoFile, previewSettings, onProgress)
+  return renderWithFFmpeg(videoFile, previewSettings, progressCallback)
 }
 
 /**
  * Export and get result with metadata (mime type, extension)
+ * Runs in a worker when possible, then on the main thread, then FFmpeg.
+ * GIF/WebP/APNG formats go through the animated exporter instead. App previews
+ * also carry a `validation` report (see export/appPreview.js).
+ *
+ * @param {File} videoFile - Source recording
+ * @param {Object} previewSettings - Settings shared with the preview
+ * @param {Function} onProgress - Receives { phase, percent, message, frame, totalFrames, eta }
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the export (rejects with an AbortError)
+ * @param {Object} options.output - Write to this file instead of returning data (see export/fileOutput.js).
+ *   The result is then { streamed: true, bytesWritten, mimeType, extension }.
  */
-export async function renderVideoWithMetadata(videoFile, previewSettings, onProgress) {
+export async function renderVideoWithMetadata(videoFile, previewSettings, onProgress, { signal, output } = {}) {
   console.log('[VideoRenderer] renderVideoWithMetadata called')
   console.log('[VideoRenderer] isFastExportSupported:', isFastExportSupported())
 
   const progressCallback = (info) => {
     if (typeof info === 'number') {
-      onProgress(info)
+      onProgress({ phase: 'encoding', percent: info })
     } else {
-      onProgress(info.percent)
+      onProgress(info)
+    }
+  }
+
+  const { format } = resolveExportSettings(previewSettings.exportSettings)
+  if (isAnimatedFormat(format)) {
+    console.log('[VideoRenderer] Exporting animated', format)
+    const result = await exportAnimated(videoFile, previewSettings, progressCallback, { signal })
+    return saveToOutput(result, output)
+  }
+
+  if (format === 'appPreview') {
+    // Encoded in memory so the file is validated before it's written
+    const result = await exportVideo(videoFile, previewSettings, progressCallback, { signal })
+    progressCallback({ phase: 'validating', percent: 100, message: 'Checking App Store requirements...' })
+    const validation = await validateAppPreview(result.data)
+    return saveToOutput({ ...result, validation }, output)
+  }
+
+  return exportVideo(videoFile, previewSettings, progressCallback, { signal, output })
+}
+
+/**
+ * Export an MP4/WebM video: worker, then main thread, then FFmpeg
+ */
+async function exportVideo(videoFile, previewSettings, progressCallback, { signal, output }) {
+  if (isWorkerExportSupported()) {
+    try {
+      console.log('[VideoRenderer] Attempting worker export...')
+      const result = await exportInWorker(videoFile, previewSettings, progressCallback, { signal, output })
+      console.log('[VideoRenderer] Worker export result:', result ? `${result.data?.length} bytes` : 'null')
+      return result
+    } catch (error) {
+      // The main thread can still decode audio with Web Audio, and falls back to FFmpeg for codecs
+      if (!error.needsMainThread && !error.useFallback) throw error
+      console.warn('[VideoRenderer] Worker export failed, retrying on main thread:', error)
     }
   }
 
   if (isFastExportSupported()) {
     try {
       console.log('[VideoRenderer] Attempting fast export...')
-      const result = await exportFast(videoFile, previewSettings, progressCallback)
+      const result = await exportFast(videoFile, previewSettings, progressCallback, { signal, output })
       console.log('[VideoRenderer] Fast export result:', result ? `${result.data?.length} bytes` : 'null')
       return result
     } catch (error) {
+      if (error.name === 'AbortError') throw error
       console.error('[VideoRenderer] Fast export failed:', error)
       // If codec not supported, fall back to FFmpeg
       if (error.useFallback || error.message?.includes('codec')) {
@@ -76,23 +130,35 @@ export async function renderVideoWithMetadata(videoFile, previewSettings, onProg
     }
   }
 
+  signal?.throwIfAborted()
+
   // FFmpeg always produces MP4
   console.log('[VideoRenderer] Using FFmpeg fallback')
-  const data = await renderWithFFmpeg(videoFile, previewSettings, onProgress)
-  return { data, mimeType: 'video/mp4', extension: 'mp4' }
+  const data = await renderWithFFmpeg(videoFile, previewSettings, progressCallback, { signal })
+  return saveToOutput({ data, mimeType: 'video/mp4', extension: 'mp4' }, output)
+}
+
+/**
+ * Write an in-memory result to the streaming output, if there is one
+ */
+async function saveToOutput(result, output) {
+  if (!output) return result
+  const { streamed, bytesWritten } = await writeExportOutput(output, result.data)
+  const { data, ...metadata } = result
+  return { ...metadata, streamed, bytesWritten }
 }
 
 /**
  * FFmpeg-based rendering (fallback for older browsers)
- * Note: This cannot render tap animations, only basic zoom/pan via filters
+ * Frames come from the same renderFrame pipeline, FFmpeg only encodes them
  */
-async function renderWithFFmpeg(videoFile, previewSettings, onProgress) {
+async function renderWithFFmpeg(videoFile, previewSettings, onProgress, options) {
   // Lazy load FFmpeg to reduce initial bundle size
   if (!ffmpegModule) {
     ffmpegModule = await import('./ffmpegExporter')
   }
 
-  return ffmpegModule.renderWithFFmpeg(videoFile, previewSettings, onProgress)
+  return ffmpegModule.renderWithFFmpeg(videoFile, previewSettings, onProgress, options)
 }
 
 // Re-export for backward compatibility
@@ -102,6 +168,7 @@ export { getOutputDimensions }
  * Check which export method will be used
  */
 export function getExportMethod() {
+  if (isWorkerExportSupported()) return 'webcodecs-worker'
   if (isFastExportSupported()) return 'webcodecs'
   return 'ffmpeg'
 }
@@ -109,15 +176,17 @@ export function getExportMethod() {
 /**
  * Get estimated export time in seconds
  */
-export function getEstimatedExportTime(duration, width, height) {
+export function getEstimatedExportTime(duration, width, height, fps = 30) {
   if (isFastExportSupported()) {
-    // WebCodecs: limited by video seeking (~30-50 seeks/sec) + encoding
-    const fps = 30
     const totalFrames = duration * fps
+    if (isFrameDecodingSupported()) {
+      // WebCodecs decode + render + encode, no seeking
+      return Math.ceil(totalFrames / 90) // ~90 frames/sec
+    }
+    // WebCodecs: limited by video seeking (~30-50 seeks/sec) + encoding
     return Math.ceil(totalFrames / 25) // ~25 frames/sec with seeking overhead
   } else {
     // FFmpeg: much slower
-    const fps = 30
     const totalFrames = duration * fps
     return Math.ceil(totalFrames / 8)
   }
@@ -0,0 +1,44 @@
+// Small helpers shared by the export and detection modules
+
+/**
+ * Seek a <video> and resolve once the frame at `time` can be drawn
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Resolve straight away when already this close (seconds)
+ * @param {boolean} [options.waitForFrame] - Also wait for the next animation frame after `seeked`,
+ *   for exports that need the new frame composited before drawing it
+ */
+export function seekVideo(video, time, { tolerance = 0, waitForFrame = false } = {}) {
+  return new Promise((resolve) => {
+    if (tolerance > 0 && Math.abs(video.currentTime - time) < tolerance) {
+      resolve()
+      return
+    }
+
+    const onSeeked = () => {
+      video.removeEventListener('seeked', onSeeked)
+      if (waitForFrame) requestAnimationFrame(() => resolve())
+      else resolve()
+    }
+
+    video.addEventListener('seeked', onSeeked)
+    video.currentTime = time
+  })
+}
+
+/**
+ * Distance between two {x, y} points in pixels
+ */
+export function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2)
+}
+
+/**
+ * Rec. 601 luma of every pixel in RGBA image data, 0-255
+ */
+export function toLuma(data) {
+  const luma = new Uint8Array(data.length / 4)
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114
+  }
+  return luma
+}
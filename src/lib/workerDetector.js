@@ -0,0 +1,95 @@
+/**
+ * Worker-based tap detection
+ * Main-thread side of detectionWorker.js: starts the worker, relays progress
+ * and partial results, and forwards cancellation from an AbortSignal.
+ */
+
+import { getCalibration, getDetectorProfileId } from './circleDetector'
+import { isFrameDecodingSupported } from './export/frameSource'
+
+/**
+ * Check if detection can run in a worker
+ */
+export function isWorkerDetectionSupported() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    isFrameDecodingSupported()
+}
+
+/**
+ * Detect taps in a dedicated worker
+ * @param {File} videoFile - Source recording
+ * @param {HTMLVideoElement} video - Loaded preview video (for display size and duration)
+ * @param {Object} options
+ * @param {Function} options.onProgress - Receives percent 0-100
+ * @param {Function} options.onPartial - Receives the events found so far while detection runs
+ * @param {AbortSignal} options.signal - Cancels detection
+ * @param {{start: number, end: number}} [options.range] - Only detect within this time range (seconds)
+ * @returns {Promise<{taps: Array, debugData: Array, stationaryZones: Array}>} Same result as detectCircles
+ */
+export function detectCirclesInWorker(videoFile, video, { onProgress, onPartial, signal, range = null } = {}) {
+  signal?.throwIfAborted()
+
+  const worker = new Worker(new URL('./detectionWorker.js', import.meta.url), { type: 'module' })
+  const videoInfo = { width: video.videoWidth, height: video.videoHeight, duration: video.duration }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => worker.postMessage({ type: 'cancel' })
+
+    const cleanup = () => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+    }
+
+    signal?.addEventListener('abort', onAbort)
+
+    worker.onmessage = (e) => {
+      const message = e.data
+      switch (message.type) {
+        case 'progress':
+          onProgress?.(message.percent)
+          break
+        case 'partial':
+          onPartial?.(message.taps)
+          break
+        case 'done':
+          cleanup()
+          onProgress?.(100)
+          resolve(message.result)
+          break
+        case 'error':
+          cleanup()
+          reject(toError(message.error))
+          break
+        default:
+          break
+      }
+    }
+
+    worker.onerror = (e) => {
+      cleanup()
+      reject(new Error(`Detection worker failed: ${e.message || 'unknown error'}`))
+    }
+
+    worker.postMessage({
+      type: 'start',
+      videoFile,
+      videoInfo,
+      calibration: getCalibration(),
+      profile: getDetectorProfileId(),
+      range,
+    })
+  })
+}
+
+/**
+ * Rebuild an error posted from the worker
+ */
+function toError({ name, message }) {
+  if (name === 'AbortError') {
+    return new DOMException(message || 'Detection cancelled', 'AbortError')
+  }
+  const error = new Error(message)
+  error.name = name
+  return error
+}
@@ -3,6 +3,9 @@ import VideoUploader from '../components/VideoUploader'
 import VideoPreview from '../components/VideoPreview'
 import Timeline from '../components/Timeline'
 import ExportPanel from '../components/ExportPanel'
+import DetectionInspector from '../components/DetectionInspector'
+import { DEFAULT_EXPORT_SETTINGS } from '../lib/export/exportSettings'
+import { EMPTY_DETECTION_REGIONS } from '../lib/detectionRegions'
 
 /**
  * HomePage - Video editor workflow
@@ -13,11 +16,20 @@ function HomePage() {
   const [videoFile, setVideoFile] = useState(null)
   const [videoUrl, setVideoUrl] = useState(null)
   const [tapEvents, setTapEvents] = useState([])
+  // Exclusion areas and ROI used for detection, saved with the taps
+  const [detectionRegions, setDetectionRegions] = useState(EMPTY_DETECTION_REGIONS)
+  // Last detection run: trajectory (debugData), stationary zones and video size
+  // The trajectory also erases the recorded dot from the output
+  const [detectionDebug, setDetectionDebug] = useState(null)
+  const indicatorTrack = detectionDebug?.track || null
+  const [hideIndicator, setHideIndicator] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
   const [processingProgress, setProcessingProgress] = useState(0)
   const [currentTime, setCurrentTime] = useState(0)
   const [duration, setDuration] = useState(0)
   const [selectedTapIndex, setSelectedTapIndex] = useState(null)
+  // Timeline range to re-run detection in, null for the whole video
+  const [detectionRange, setDetectionRange] = useState(null)
 
   // Preview settings - lifted from VideoPreview for export sharing
   const [outputAspect, setOutputAspect] = useState('9:16')
@@ -29,6 +41,9 @@ function HomePage() {
   const [selectedDevice, setSelectedDevice] = useState('match')
   const [showNotch, setShowNotch] = useState(true)
 
+  // Export settings (resolution, frame rate, quality, codec)
+  const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS)
+
   // Ref to access video element for seeking
   const videoRef = useRef(null)
 
@@ -36,6 +51,9 @@ function HomePage() {
     setVideoFile(file)
     setVideoUrl(URL.createObjectURL(file))
     setTapEvents([])
+    setDetectionRegions(EMPTY_DETECTION_REGIONS)
+    setDetectionDebug(null)
+    setDetectionRange(null)
     setCurrentTime(0)
     setSelectedTapIndex(null)
     // Reset preview settings
@@ -66,6 +84,10 @@ function HomePage() {
     }
   }, [selectedTapIndex])
 
+  const handleConfirmTaps = useCallback((indices) => {
+    setTapEvents(prev => prev.map((tap, i) => (indices.includes(i) ? { ...tap, needsReview: false } : tap)))
+  }, [])
+
   const handleSelectTap = useCallback((index) => {
     setSelectedTapIndex(index)
     // Jump to tap time
@@ -78,6 +100,9 @@ function HomePage() {
     setVideoFile(null)
     setVideoUrl(null)
     setTapEvents([])
+    setDetectionRegions(EMPTY_DETECTION_REGIONS)
+    setDetectionDebug(null)
+    setDetectionRange(null)
     setSelectedTapIndex(null)
   }, [])
 
@@ -92,7 +117,9 @@ function HomePage() {
     selectedBackground,
     selectedDevice,
     showNotch,
-  }), [tapEvents, outputAspect, showDeviceFrame, videoTransform, appliedCrop, zoomLevel, selectedBackground, selectedDevice, showNotch])
+    exportSettings,
+    indicatorTrack: hideIndicator ? indicatorTrack : null,
+  }), [tapEvents, outputAspect, showDeviceFrame, videoTransform, appliedCrop, zoomLevel, selectedBackground, selectedDevice, showNotch, exportSettings, hideIndicator, indicatorTrack])
 
   return (
     <>
@@ -119,6 +146,13 @@ function HomePage() {
             onTimeUpdate={handleTimeUpdate}
             onDurationChange={handleDurationChange}
             onTapEventsDetected={handleTapEventsDetected}
+            detectionRegions={detectionRegions}
+            onDetectionRegionsChange={setDetectionRegions}
+            indicatorTrack={indicatorTrack}
+            onDetectionDebug={setDetectionDebug}
+            detectionRange={detectionRange}
+            hideIndicator={hideIndicator}
+            setHideIndicator={setHideIndicator}
             isProcessing={isProcessing}
             processingProgress={processingProgress}
             setIsProcessing={setIsProcessing}
@@ -151,14 +185,35 @@ function HomePage() {
             tapEvents={tapEvents}
             onSeek={handleSeek}
             onDeleteTap={handleDeleteTap}
+            onConfirmTaps={handleConfirmTaps}
             onSelectTap={handleSelectTap}
             selectedTapIndex={selectedTapIndex}
+            selectedRange={detectionRange}
+            onRangeChange={setDetectionRange}
           />
 
+          {/* Detection Inspector - after a detection run */}
+          {detectionDebug && (
+            <DetectionInspector
+              detectionDebug={detectionDebug}
+              tapEvents={tapEvents}
+              duration={duration}
+              currentTime={currentTime}
+              onSeek={handleSeek}
+              onSelectTap={handleSelectTap}
+              onDeleteTap={handleDeleteTap}
+              onTapEventsChange={handleTapEventsDetected}
+              videoName={videoFile?.name}
+            />
+          )}
+
           {/* Export Panel */}
           <ExportPanel
             videoFile={videoFile}
             previewSettings={previewSettings}
+            duration={duration}
+            currentTime={currentTime}
+            onExportSettingsChange={setExportSettings}
           />
         </div>
       )}